@@ -28,9 +28,20 @@ AUDIO_FORMAT="${AUTORIP_AUDIO_FORMAT:-flac}"  # flac, mp3, ogg, etc.
 
 # Web interface status directories
 STATUS_DIR="${AUTORIP_STATUS_DIR:-/var/lib/autorip/status}"
-HISTORY_FILE="${AUTORIP_HISTORY_FILE:-/var/lib/autorip/history.json}"
+HISTORY_STORE="${AUTORIP_HISTORY_STORE:-/var/lib/autorip/history.ndjson}"
 HEARTBEAT_INTERVAL=30  # seconds between heartbeat updates
 
+# Title review: publish a video disc's titles to the web interface and wait
+# for an operator to pick which to rip; all titles are ripped on timeout
+REVIEW_MODE="${AUTORIP_REVIEW:-false}"
+REVIEW_TIMEOUT="${AUTORIP_REVIEW_TIMEOUT:-300}"  # seconds
+DECISION_DIR="${AUTORIP_DECISION_DIR:-/var/lib/autorip/decisions}"
+
+# Rip queue: when the web interface is running, wait for it to grant a rip
+# slot (it limits rips per bus and in total); rip right away otherwise
+QUEUE_DIR="${AUTORIP_QUEUE_DIR:-/var/lib/autorip/queue}"
+QUEUE_COORDINATOR_TIMEOUT=30  # seconds before the web interface counts as stopped
+
 # User to run as (leave empty to run as root)
 # Set these to run the rip process as a specific user (useful for NFS mounts with root_squash)
 AUTORIP_USER="${AUTORIP_USER:-}"
@@ -59,13 +70,16 @@ log() {
 # Global status variables
 STATUS_FILE=""
 HEARTBEAT_PID=""
+DISC_TIME=""
 RIP_START_TIME=""
 
 # Initialize status directory and file
+# The rip clock starts at detection and is restarted once a rip slot is held
 init_status() {
     mkdir -p "$STATUS_DIR"
     STATUS_FILE="$STATUS_DIR/${DEVICE}.json"
-    RIP_START_TIME=$(date +%s)
+    DISC_TIME=$(date +%s)
+    RIP_START_TIME=$DISC_TIME
 }
 
 # Write status to JSON file (atomic write via temp file)
@@ -152,7 +166,59 @@ clear_status() {
     fi
 }
 
-# Add entry to history file
+# First line of a sysfs attribute, trimmed; with "clean", characters other
+# than letters, digits, ".", "_" and "-" become "_"
+sysfs_field() {
+    local file="$1"
+    local value=""
+    [[ -r "$file" ]] && read -r value < "$file"
+    if [[ "${2:-}" == "clean" ]]; then
+        value=$(printf '%s' "$value" | sed 's/[^A-Za-z0-9._-]\+/_/g')
+    fi
+    printf '%s' "$value"
+}
+
+# Stable identity of the drive, so the web interface can follow it when
+# srN names move between drives. Same order as web/lib/drive-identity.js:
+# a /dev/disk/by-id link (wwn-* first), vendor_model_serial from sysfs,
+# a /dev/disk/by-path link, the kernel name
+drive_identity() {
+    local LC_ALL=C
+    local link
+    for link in /dev/disk/by-id/wwn-* /dev/disk/by-id/*; do
+        if [[ -L "$link" && "$(readlink -f "$link")" == "$DEVICE_PATH" ]]; then
+            basename "$link"
+            return
+        fi
+    done
+
+    local sys_device="/sys/block/$DEVICE/device"
+    local vendor=$(sysfs_field "$sys_device/vendor" clean)
+    local model=$(sysfs_field "$sys_device/model" clean)
+    local serial=""
+    local dir=$(readlink -f "$sys_device")
+    while [[ -n "$dir" && "$dir" != "/sys" && "$dir" != "/" ]]; do
+        serial=$(sysfs_field "$dir/serial" clean)
+        [[ -n "$serial" ]] && break
+        dir=$(dirname "$dir")
+    done
+    if [[ -n "$vendor" && -n "$model" && -n "$serial" ]]; then
+        echo "${vendor}_${model}_${serial}"
+        return
+    fi
+
+    for link in /dev/disk/by-path/*; do
+        if [[ -L "$link" && "$(readlink -f "$link")" == "$DEVICE_PATH" ]]; then
+            basename "$link"
+            return
+        fi
+    done
+
+    echo "$DEVICE"
+}
+
+# Append entry to the history store (one JSON object per line)
+# The web server indexes new lines and enforces retention
 add_history_entry() {
     local disc_name="$1"
     local disc_type="$2"
@@ -166,7 +232,8 @@ add_history_entry() {
 
     local end_time=$(date +%s)
     local duration=$((end_time - RIP_START_TIME))
-    local history_dir=$(dirname "$HISTORY_FILE")
+    local wait_time=$((RIP_START_TIME - DISC_TIME))
+    local history_dir=$(dirname "$HISTORY_STORE")
     mkdir -p "$history_dir"
 
     # Create entry JSON
@@ -174,12 +241,14 @@ add_history_entry() {
 {
     "id": "$(cat /proc/sys/kernel/random/uuid)",
     "device": "$DEVICE",
+    "driveId": "$DRIVE_ID",
     "discName": "$disc_name",
     "discType": "$disc_type",
     "status": "$status",
     "startTime": $RIP_START_TIME,
     "endTime": $end_time,
     "duration": $duration,
+    "waitTime": $wait_time,
     "outputDir": "$output_dir",
     "errorMessage": "$error_msg",
     "titlesTotal": $titles_total,
@@ -190,39 +259,11 @@ add_history_entry() {
 EOF
 )
 
-    # Append to history with file locking
+    # Append as a single line with file locking
     (
         flock -x 202
-        # Read existing history or create empty array
-        local history="[]"
-        if [[ -f "$HISTORY_FILE" ]]; then
-            history=$(cat "$HISTORY_FILE" 2>/dev/null || echo "[]")
-        fi
-
-        # Prepend new entry and limit to 1000 entries
-        # Using a simple approach: write entry, then existing entries
-        local temp_file=$(mktemp)
-        echo "[" > "$temp_file"
-        echo "$entry" >> "$temp_file"
-
-        # Add existing entries (up to 999 more)
-        if [[ "$history" != "[]" ]]; then
-            # Extract entries from existing array, skip first [ and last ]
-            local existing=$(echo "$history" | sed '1d;$d')
-            if [[ -n "$existing" ]]; then
-                echo "," >> "$temp_file"
-                echo "$existing" >> "$temp_file"
-            fi
-        fi
-        echo "]" >> "$temp_file"
-
-        # Limit to 1000 entries using jq if available, otherwise keep as-is
-        if command -v jq &>/dev/null; then
-            jq '.[0:1000]' "$temp_file" > "${temp_file}.limited" && mv "${temp_file}.limited" "$temp_file"
-        fi
-
-        mv "$temp_file" "$HISTORY_FILE"
-        chmod 644 "$HISTORY_FILE" 2>/dev/null || true
+        printf '%s\n' "$(echo "$entry" | tr -d '\n')" >> "$HISTORY_STORE"
+        chmod 644 "$HISTORY_STORE" 2>/dev/null || true
     ) 202>/tmp/autorip-history.lock
 }
 
@@ -273,6 +314,10 @@ if [[ "${AUTORIP_DETACHED:-}" != "1" ]]; then
         --setenv=AUTORIP_AUDIO_FORMAT="$AUDIO_FORMAT" \
         --setenv=AUTORIP_USER="$AUTORIP_USER" \
         --setenv=AUTORIP_GROUP="$AUTORIP_GROUP" \
+        --setenv=AUTORIP_REVIEW="$REVIEW_MODE" \
+        --setenv=AUTORIP_REVIEW_TIMEOUT="$REVIEW_TIMEOUT" \
+        --setenv=AUTORIP_DECISION_DIR="$DECISION_DIR" \
+        --setenv=AUTORIP_QUEUE_DIR="$QUEUE_DIR" \
         --setenv=PATH="/usr/local/bin:/usr/bin:/bin:/sbin:/usr/sbin" \
         "$0" "$@"
     exit 0
@@ -295,16 +340,24 @@ fi
 cleanup() {
     stop_heartbeat
     clear_status
+    rm -f "$DECISION_DIR/${DEVICE}.pending.json" 2>/dev/null || true
+    rm -f "$QUEUE_DIR/${DEVICE}.request.json" "$QUEUE_DIR/${DEVICE}.grant.json" 2>/dev/null || true
     flock -u 200 2>/dev/null || true
     rm -f "$LOCK_FILE" 2>/dev/null || true
 }
 trap cleanup EXIT
 
+# Stopping the transient unit (e.g. a cancel from the web interface) sends SIGTERM
+trap 'log "Rip cancelled"; exit 143' TERM
+
 # Initialize status reporting
 init_status
 
+# Resolve now: a crash and bus reset may rename the device mid-rip
+DRIVE_ID=$(drive_identity)
+
 log "========================================"
-log "Disc detected on $DEVICE_PATH"
+log "Disc detected on $DEVICE_PATH ($DRIVE_ID)"
 log "========================================"
 
 # Wait for disc to be fully ready
@@ -439,7 +492,8 @@ EOF
     log "Output format: $AUDIO_FORMAT"
     log "Output directory: $AUDIO_OUTPUT_DIR"
 
-    # Update status and start heartbeat
+    # Wait for a free rip slot, then update status and start heartbeat
+    wait_for_rip_slot "Audio CD" "audio"
     write_status "ripping" "Audio CD" "audio" 0 "" "Starting rip"
     start_heartbeat
 
@@ -545,6 +599,132 @@ EOF
     rm -rf "$abcde_tempdir"
 }
 
+# ============================================================
+# TITLE REVIEW (web interface)
+# ============================================================
+
+# Publish the disc's titles and wait for a selection from the web interface
+# Sets SELECTED_TITLES to "all" or a space-separated list of title indexes
+review_titles() {
+    SELECTED_TITLES="all"
+    [[ "$REVIEW_MODE" == "true" ]] || return 0
+
+    mkdir -p "$DECISION_DIR"
+    local pending_file="$DECISION_DIR/${DEVICE}.pending.json"
+    local decision_file="$DECISION_DIR/${DEVICE}.decision.json"
+    local deadline=$(( $(date +%s) + REVIEW_TIMEOUT ))
+    rm -f "$decision_file"
+
+    # Write atomically: the web server picks up whatever file it sees
+    local temp_file=$(mktemp "$DECISION_DIR/.${DEVICE}.XXXXXX")
+    {
+        echo "{"
+        echo "  \"device\": \"$DEVICE\","
+        echo "  \"discId\": \"$DISC_ID\","
+        echo "  \"outputDir\": \"$RIP_DIR\","
+        echo "  \"requestedAt\": $(date +%s),"
+        echo "  \"deadline\": $deadline,"
+        echo "  \"discInfo\": $(cat "$RIP_DIR/disc_info.json")"
+        echo "}"
+    } > "$temp_file"
+    chmod 644 "$temp_file"
+    mv "$temp_file" "$pending_file"
+
+    log "Waiting up to ${REVIEW_TIMEOUT}s for title selection..."
+    write_status "review" "$DISC_NAME" "video" 0 "" "Waiting for title selection" "" 0 "$TITLE_COUNT"
+    start_heartbeat
+
+    while [[ ! -f "$decision_file" ]] && [[ $(date +%s) -lt $deadline ]]; do
+        sleep 2
+    done
+
+    stop_heartbeat
+    rm -f "$pending_file"
+
+    if [[ ! -f "$decision_file" ]]; then
+        log "No title selection received, ripping all titles"
+        return 0
+    fi
+
+    # {"titles": [0, 3, 4]} - anything else (e.g. "all") rips everything
+    local selection=$(grep -oP '"titles"\s*:\s*\[\K[0-9, ]*' "$decision_file" | tr ',' ' ')
+    rm -f "$decision_file"
+
+    local titles=()
+    local title
+    for title in $selection; do
+        [[ "$title" -lt "$TITLE_COUNT" ]] && titles+=("$title")
+    done
+
+    if [[ ${#titles[@]} -eq 0 ]]; then
+        log "Title selection: all titles"
+        return 0
+    fi
+    SELECTED_TITLES="${titles[*]}"
+    log "Title selection: $SELECTED_TITLES"
+}
+
+# ============================================================
+# RIP QUEUE (web interface)
+# ============================================================
+
+# Whether the web interface has refreshed its coordinator file recently
+queue_coordinator_running() {
+    local coordinator_file="$QUEUE_DIR/coordinator.json"
+    [[ -f "$coordinator_file" ]] || return 1
+    local age=$(( $(date +%s) - $(stat -c %Y "$coordinator_file" 2>/dev/null || echo 0) ))
+    [[ $age -le $QUEUE_COORDINATOR_TIMEOUT ]]
+}
+
+# Ask the web interface for a rip slot and wait until it is granted
+# The slot is held until the script exits (cleanup removes the grant)
+# Starts the rip clock, so time spent in review or queued is not rip time
+wait_for_rip_slot() {
+    local disc_name="$1"
+    local disc_type="$2"
+
+    if ! queue_coordinator_running; then
+        RIP_START_TIME=$(date +%s)
+        return 0
+    fi
+
+    local request_file="$QUEUE_DIR/${DEVICE}.request.json"
+    local grant_file="$QUEUE_DIR/${DEVICE}.grant.json"
+    rm -f "$grant_file"
+
+    # Write atomically: the web server picks up whatever file it sees
+    local temp_file=$(mktemp "$QUEUE_DIR/.${DEVICE}.XXXXXX")
+    cat > "$temp_file" << EOF
+{
+  "device": "$DEVICE",
+  "discName": "$disc_name",
+  "discType": "$disc_type",
+  "requestedAt": $(date +%s)
+}
+EOF
+    chmod 644 "$temp_file"
+    mv "$temp_file" "$request_file"
+
+    log "Waiting for a rip slot..."
+    write_status "queued" "$disc_name" "$disc_type" 0 "" "Waiting for a rip slot"
+    start_heartbeat
+
+    while [[ ! -f "$grant_file" ]]; do
+        if ! queue_coordinator_running; then
+            log "Rip queue coordinator stopped, starting without a slot"
+            break
+        fi
+        sleep 2
+    done
+
+    stop_heartbeat
+    rm -f "$request_file"
+    if [[ -f "$grant_file" ]]; then
+        log "Rip slot granted"
+    fi
+    RIP_START_TIME=$(date +%s)
+}
+
 # ============================================================
 # VIDEO DISC RIPPING (DVD/Blu-ray)
 # ============================================================
@@ -634,11 +814,20 @@ rip_video_disc() {
         echo "}"
     } > "$RIP_DIR/disc_info.json"
 
+    # Let an operator pick the titles in review mode
+    review_titles
+    RIP_TITLE_COUNT=$TITLE_COUNT
+    if [[ "$SELECTED_TITLES" != "all" ]]; then
+        RIP_TITLE_COUNT=$(echo $SELECTED_TITLES | wc -w)
+    fi
+
+    # Wait for a free rip slot
+    wait_for_rip_slot "$DISC_NAME" "video"
+
     # Run MakeMKV rip with progress tracking
     log "Starting rip..."
-    log "Command: makemkvcon -r mkv $DRIVE_SPEC all \"$RIP_DIR\""
 
-    write_status "ripping" "$DISC_NAME" "video" 0 "" "Starting rip" "" 0 "$TITLE_COUNT"
+    write_status "ripping" "$DISC_NAME" "video" 0 "" "Starting rip" "" 0 "$RIP_TITLE_COUNT"
     start_heartbeat
 
     RIP_OUTPUT=$(mktemp)
@@ -647,37 +836,53 @@ rip_video_disc() {
     local progress=0
     local last_progress_update=0
 
-    # Run MakeMKV and parse progress output
-    makemkvcon -r mkv "$DRIVE_SPEC" all "$RIP_DIR" 2>&1 | while IFS= read -r line; do
-        echo "$line" >> "$RIP_OUTPUT"
-        echo "$line"
-
-        # Parse PRGV (progress) messages: PRGV:current,total,max
-        if [[ "$line" =~ ^PRGV:([0-9]+),([0-9]+),([0-9]+) ]]; then
-            local prgv_current="${BASH_REMATCH[1]}"
-            local prgv_total="${BASH_REMATCH[2]}"
-            local prgv_max="${BASH_REMATCH[3]}"
-            if [[ "$prgv_max" -gt 0 ]]; then
-                progress=$((prgv_current * 100 / prgv_max))
-                # Only update status every 2% to reduce file I/O
-                if [[ $((progress - last_progress_update)) -ge 2 ]] || [[ "$progress" -eq 100 ]]; then
-                    last_progress_update=$progress
-                    write_status "ripping" "$DISC_NAME" "video" "$progress" "" "Ripping" "" "$current_title" "$TITLE_COUNT"
+    # One makemkvcon run for "all", or one per selected title
+    local run_index=0
+    local run_count=$(echo $SELECTED_TITLES | wc -w)
+    local title_spec
+    for title_spec in $SELECTED_TITLES; do
+        log "Command: makemkvcon -r mkv $DRIVE_SPEC $title_spec \"$RIP_DIR\""
+        # Titles and progress are counted across runs; each run numbers its
+        # own titles from 0 and keeps its counters to itself (the parser
+        # below runs in a subshell)
+        current_title=$run_index
+        progress=$(( run_index * 100 / run_count ))
+        last_progress_update=$progress
+
+        # Run MakeMKV and parse progress output
+        makemkvcon -r mkv "$DRIVE_SPEC" "$title_spec" "$RIP_DIR" 2>&1 | while IFS= read -r line; do
+            echo "$line" >> "$RIP_OUTPUT"
+            echo "$line"
+
+            # Parse PRGV (progress) messages: PRGV:current,total,max
+            if [[ "$line" =~ ^PRGV:([0-9]+),([0-9]+),([0-9]+) ]]; then
+                local prgv_current="${BASH_REMATCH[1]}"
+                local prgv_total="${BASH_REMATCH[2]}"
+                local prgv_max="${BASH_REMATCH[3]}"
+                if [[ "$prgv_max" -gt 0 ]]; then
+                    progress=$(( (run_index * 100 + prgv_current * 100 / prgv_max) / run_count ))
+                    # Only update status every 2% to reduce file I/O
+                    if [[ $((progress - last_progress_update)) -ge 2 ]] || [[ "$progress" -eq 100 ]]; then
+                        last_progress_update=$progress
+                        write_status "ripping" "$DISC_NAME" "video" "$progress" "" "Ripping" "" "$((current_title + 1))" "$RIP_TITLE_COUNT"
+                    fi
+                fi
+            # Parse PRGT (progress title) messages for current title info
+            elif [[ "$line" =~ ^PRGT:([0-9]+), ]]; then
+                current_title=$((run_index + BASH_REMATCH[1]))
+                write_status "ripping" "$DISC_NAME" "video" "$progress" "" "Ripping title $((current_title + 1)) of $RIP_TITLE_COUNT" "" "$((current_title + 1))" "$RIP_TITLE_COUNT"
+            # Parse PRGC (progress current) for operation details
+            elif [[ "$line" =~ ^PRGC:([0-9]+),([0-9]+),\"(.*)\" ]]; then
+                local operation="${BASH_REMATCH[3]}"
+                if [[ -n "$operation" ]]; then
+                    write_status "ripping" "$DISC_NAME" "video" "$progress" "" "$operation" "" "$((current_title + 1))" "$RIP_TITLE_COUNT"
                 fi
             fi
-        # Parse PRGT (progress title) messages for current title info
-        elif [[ "$line" =~ ^PRGT:([0-9]+), ]]; then
-            current_title="${BASH_REMATCH[1]}"
-            write_status "ripping" "$DISC_NAME" "video" "$progress" "" "Ripping title $((current_title + 1)) of $TITLE_COUNT" "" "$((current_title + 1))" "$TITLE_COUNT"
-        # Parse PRGC (progress current) for operation details
-        elif [[ "$line" =~ ^PRGC:([0-9]+),([0-9]+),\"(.*)\" ]]; then
-            local operation="${BASH_REMATCH[3]}"
-            if [[ -n "$operation" ]]; then
-                write_status "ripping" "$DISC_NAME" "video" "$progress" "" "$operation" "" "$((current_title + 1))" "$TITLE_COUNT"
-            fi
-        fi
+        done
+        local run_exit=${PIPESTATUS[0]}
+        [[ "$run_exit" -ne 0 ]] && RIP_EXIT_CODE=$run_exit
+        run_index=$((run_index + 1))
     done
-    RIP_EXIT_CODE=${PIPESTATUS[0]}
 
     # Stop heartbeat
     stop_heartbeat
@@ -754,7 +959,7 @@ rip_video_disc() {
         mark_as_ripped "$DISC_ID|$RIP_DIR|$(date -Iseconds)"
 
         # Add to history
-        add_history_entry "$DISC_NAME" "video" "$rip_status" "$RIP_DIR" "" "$TITLE_COUNT" "$titles_succeeded" "$titles_failed" "$failed_titles_json"
+        add_history_entry "$DISC_NAME" "video" "$rip_status" "$RIP_DIR" "" "$RIP_TITLE_COUNT" "$titles_succeeded" "$titles_failed" "$failed_titles_json"
 
         log "Ejecting disc..."
         for attempt in 1 2 3 4 5; do
@@ -794,7 +999,7 @@ rip_video_disc() {
         } > "$RIP_DIR/error.txt"
 
         # Add to history
-        add_history_entry "$DISC_NAME" "video" "error" "$RIP_DIR" "$error_msg" "$TITLE_COUNT" "0" "$TITLE_COUNT" "$failed_titles_json"
+        add_history_entry "$DISC_NAME" "video" "error" "$RIP_DIR" "$error_msg" "$RIP_TITLE_COUNT" "0" "$RIP_TITLE_COUNT" "$failed_titles_json"
 
         log "Error file written: $RIP_DIR/error.txt"
     fi
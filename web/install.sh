@@ -18,6 +18,8 @@ set -e
 # Configuration
 INSTALL_DIR="/opt/autorip-web"
 STATE_DIR="/var/lib/autorip"
+# Rip output root, as in autorip.sh; holds the .ripped_discs registry
+OUTPUT_DIR="${AUTORIP_OUTPUT:-/ripped_discs}"
 SERVICE_NAME="autorip-web"
 
 # Colors for output
@@ -206,7 +208,7 @@ install_service() {
     print_step "Installing systemd service..."
 
     # Create service file
-    cat > "/etc/systemd/system/${SERVICE_NAME}.service" << 'EOF'
+    cat > "/etc/systemd/system/${SERVICE_NAME}.service" << EOF
 [Unit]
 Description=Autorip Web Dashboard
 Documentation=https://github.com/jstormes/bash-autorip
@@ -218,6 +220,8 @@ User=root
 Group=root
 WorkingDirectory=/opt/autorip-web
 ExecStart=/usr/bin/node /opt/autorip-web/server.js
+# SIGHUP reloads TLS certificates
+ExecReload=/bin/kill -HUP \$MAINPID
 
 # Environment variables (customize as needed)
 # Port to listen on
@@ -226,12 +230,17 @@ Environment=AUTORIP_WEB_PORT=8080
 Environment=AUTORIP_WEB_HOST=0.0.0.0
 # Directory where autorip.sh writes status files
 Environment=AUTORIP_STATUS_DIR=/var/lib/autorip/status
-# History file location
-Environment=AUTORIP_HISTORY_FILE=/var/lib/autorip/history.json
+# Append-only history store (a legacy history.json is imported on first start)
+Environment=AUTORIP_HISTORY_STORE=/var/lib/autorip/history.ndjson
+# Keep history for 30 days and at most 1000 entries (0 disables a limit)
+Environment=AUTORIP_HISTORY_MAX_AGE_DAYS=30
+Environment=AUTORIP_HISTORY_MAX_ENTRIES=1000
 # Drive statistics file
 Environment=AUTORIP_DRIVE_STATS_FILE=/var/lib/autorip/drive_stats.json
 # Directory containing autorip log files
 Environment=AUTORIP_LOG_DIR=/tmp
+# Rip output root (same as autorip.sh)
+Environment=AUTORIP_OUTPUT=$OUTPUT_DIR
 # Seconds without heartbeat before detecting a crash (5 minutes)
 Environment=AUTORIP_CRASH_TIMEOUT=300
 # Automatically reset crashed drives when safe
@@ -246,7 +255,9 @@ RestartSec=5
 NoNewPrivileges=true
 ProtectSystem=strict
 ProtectHome=true
-ReadWritePaths=/var/lib/autorip /tmp
+# The output root is writable for registry edits (.ripped_discs);
+# "-" lets the service start before the first rip creates it
+ReadWritePaths=/var/lib/autorip /tmp -$OUTPUT_DIR
 
 # Logging
 StandardOutput=journal
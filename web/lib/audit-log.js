@@ -0,0 +1,93 @@
+/**
+ * Audit Log Module
+ *
+ * Append-only NDJSON record of operator actions on the drives: who asked
+ * for what, whether it was forced and how it ended. A full log is rotated
+ * to <file>.1, <file>.2, ... and the oldest beyond maxFiles is dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { statOrNull } = require('./log-tailer');
+
+class AuditLog {
+    constructor(config) {
+        this.config = config;
+        this.file = config.auditLog;
+        this.maxBytes = 5 * 1024 * 1024; // Rotate at 5MB
+        this.maxFiles = 3; // Rotated files kept
+        this.queue = Promise.resolve(); // Keeps lines whole and in order
+    }
+
+    /**
+     * Append one action; failures are logged, never thrown
+     */
+    record(action) {
+        const entry = { time: Math.floor(Date.now() / 1000), ...action };
+        console.log(`[Audit] ${entry.action} ${entry.device || ''} by ${entry.user} (${entry.result})`);
+
+        this.queue = this.queue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await this.rotate();
+            await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n');
+        }).catch(err => {
+            console.error(`[Audit] Cannot write ${this.file}: ${err.message}`);
+        });
+        return entry;
+    }
+
+    /**
+     * Move the log aside once it reaches maxBytes
+     */
+    async rotate() {
+        const stat = await statOrNull(this.file);
+        if (!stat || stat.size < this.maxBytes) {
+            return;
+        }
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            try {
+                await fs.promises.rename(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+        }
+        await fs.promises.rename(this.file, `${this.file}.1`);
+        console.log(`[Audit] Rotated ${this.file}`);
+    }
+
+    /**
+     * Most recent actions, newest first, optionally for one device
+     * Reads on into the rotated files until limit entries are found
+     */
+    async recent({ limit = 100, device } = {}) {
+        await this.queue;
+        const entries = [];
+        for (let i = 0; i <= this.maxFiles && entries.length < limit; i++) {
+            let data;
+            try {
+                data = await fs.promises.readFile(i === 0 ? this.file : `${this.file}.${i}`, 'utf8');
+            } catch (err) {
+                if (err.code === 'ENOENT') {
+                    continue;
+                }
+                throw err;
+            }
+
+            const lines = data.split('\n');
+            for (let j = lines.length - 1; j >= 0 && entries.length < limit; j--) {
+                if (!lines[j].trim()) continue;
+                try {
+                    const entry = JSON.parse(lines[j]);
+                    if (!device || entry.device === device) {
+                        entries.push(entry);
+                    }
+                } catch (err) {
+                    // Skip a torn or corrupt line
+                }
+            }
+        }
+        return entries;
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,236 @@
+/**
+ * Authentication Module
+ *
+ * Validates API tokens and local user accounts, issues session tokens
+ * and maps every credential to a role (viewer or operator).
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Roles in ascending order of privilege
+const ROLES = ['viewer', 'operator'];
+
+class Auth {
+    constructor(config) {
+        this.config = config;
+        this.usersFile = config.usersFile;
+        this.sessionTTL = config.sessionTTL * 1000; // Convert to ms
+        this.tokens = this.parseTokens(config.apiTokens);
+        this.users = {};
+        this.sessions = new Map();
+        this.linkSecret = crypto.randomBytes(32); // Signs download links until restart
+
+        this.load();
+    }
+
+    /**
+     * Parse "role:token" pairs from the AUTORIP_WEB_TOKENS setting
+     */
+    parseTokens(spec) {
+        const tokens = [];
+        for (const pair of (spec || '').split(',')) {
+            const trimmed = pair.trim();
+            if (!trimmed) continue;
+
+            const sep = trimmed.indexOf(':');
+            const role = sep > 0 ? trimmed.slice(0, sep) : '';
+            const token = sep > 0 ? trimmed.slice(sep + 1) : '';
+            if (!ROLES.includes(role) || !token) {
+                console.error(`[Auth] Ignoring malformed API token entry (expected role:token)`);
+                continue;
+            }
+            tokens.push({ role, token });
+        }
+        return tokens;
+    }
+
+    /**
+     * Load user accounts from file
+     */
+    load() {
+        if (!this.usersFile) {
+            return;
+        }
+
+        try {
+            const data = fs.readFileSync(this.usersFile, 'utf8');
+            const users = JSON.parse(data);
+            this.users = {};
+            for (const [username, user] of Object.entries(users)) {
+                if (!ROLES.includes(user.role) || !user.password) {
+                    console.error(`[Auth] Ignoring user ${username}: missing password or invalid role`);
+                    continue;
+                }
+                this.users[username] = user;
+            }
+            console.log(`[Auth] Loaded ${Object.keys(this.users).length} user accounts`);
+        } catch (err) {
+            console.error(`[Auth] Error loading users file: ${err.message}`);
+            this.users = {};
+        }
+    }
+
+    /**
+     * Authentication is enabled when any token or user is configured
+     */
+    isEnabled() {
+        return this.tokens.length > 0 || Object.keys(this.users).length > 0;
+    }
+
+    /**
+     * Verify a username/password pair and create a session
+     * Returns { token, user, role, expires } or null
+     */
+    login(username, password) {
+        const user = Object.prototype.hasOwnProperty.call(this.users, username) ? this.users[username] : null;
+        if (!user || typeof password !== 'string' || !Auth.verifyPassword(password, user.password)) {
+            return null;
+        }
+
+        this.pruneSessions();
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const session = {
+            user: username,
+            role: user.role,
+            expires: Date.now() + this.sessionTTL,
+        };
+        this.sessions.set(token, session);
+        console.log(`[Auth] User ${username} logged in (${user.role})`);
+
+        return { token, ...session };
+    }
+
+    /**
+     * Invalidate a session token
+     */
+    logout(token) {
+        return this.sessions.delete(token);
+    }
+
+    /**
+     * Resolve a bearer token to an identity
+     * Returns { user, role } or null
+     */
+    authenticate(token) {
+        if (!this.isEnabled()) {
+            return { user: null, role: 'operator' };
+        }
+        if (!token) {
+            return null;
+        }
+
+        const session = this.sessions.get(token);
+        if (session) {
+            if (session.expires > Date.now()) {
+                return { user: session.user, role: session.role };
+            }
+            this.sessions.delete(token);
+        }
+
+        const apiToken = this.tokens.find(t => safeEqual(t.token, token));
+        if (apiToken) {
+            return { user: 'api-token', role: apiToken.role };
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract the credential from a request ("Authorization: Bearer <token>")
+     */
+    getRequestToken(req) {
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Extract the credential from a WebSocket upgrade: the header, or a
+     * ?token= query parameter as browsers cannot set headers on upgrades.
+     * Only upgrades take the query parameter, which would otherwise put
+     * tokens in access logs, browser history and Referer headers.
+     */
+    getUpgradeToken(req, url) {
+        return this.getRequestToken(req) || url.searchParams.get('token') || null;
+    }
+
+    /**
+     * Sign a link to download one file, for links that cannot send the
+     * Authorization header. Returns { expires, signature }
+     */
+    signDownload(filePath, ttl = 300) {
+        const expires = Math.floor(Date.now() / 1000) + ttl;
+        return { expires, signature: this.downloadSignature(filePath, expires) };
+    }
+
+    /**
+     * Check a signed download link
+     */
+    verifyDownload(filePath, expires, signature) {
+        const seconds = Number(expires);
+        if (!filePath || !signature || !Number.isInteger(seconds) || seconds < Date.now() / 1000) {
+            return false;
+        }
+        return safeEqual(this.downloadSignature(filePath, seconds), signature);
+    }
+
+    downloadSignature(filePath, expires) {
+        return crypto.createHmac('sha256', this.linkSecret).update(`${filePath}\n${expires}`).digest('hex');
+    }
+
+    /**
+     * Check whether a role satisfies the required role
+     */
+    hasRole(role, required) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(required);
+    }
+
+    /**
+     * Drop expired sessions
+     */
+    pruneSessions() {
+        const now = Date.now();
+        for (const [token, session] of this.sessions) {
+            if (session.expires <= now) {
+                this.sessions.delete(token);
+            }
+        }
+    }
+
+    /**
+     * Hash a password for the users file ("scrypt:<salt>:<hash>")
+     */
+    static hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+        return `scrypt:${salt}:${hash}`;
+    }
+
+    /**
+     * Verify a password against a stored hash
+     */
+    static verifyPassword(password, stored) {
+        const [scheme, salt, hash] = String(stored).split(':');
+        if (scheme !== 'scrypt' || !salt || !hash) {
+            return false;
+        }
+        const candidate = crypto.scryptSync(password, salt, 64).toString('hex');
+        return safeEqual(candidate, hash);
+    }
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    if (bufA.length !== bufB.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+Auth.ROLES = ROLES;
+
+module.exports = Auth;
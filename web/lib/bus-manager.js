@@ -2,19 +2,42 @@
  * Bus Manager Module
  *
  * Discovers bus topology (which drives share which bus) and
- * provides bus reset functionality for crashed drives.
+ * provides bus reset functionality for crashed drives. After a reset it
+ * waits for the bus's drives to leave and re-enumerate, matching them by
+ * hardware identity (see drive-identity.js) since they may come back
+ * under other srN names, and probes each of them.
+ *
+ * Resets use a ladder of strategies, gentlest first; a bus can be pinned
+ * to one strategy, otherwise ('auto') a reset escalates through the
+ * ladder until the drives come back.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
+const { execSync, execFile } = require('child_process');
+
+// Gentlest first
+const STRATEGIES = {
+    scsi_rescan: 'Delete the SCSI devices and rescan their host',
+    driver_rebind: 'Unbind and rebind the driver',
+    usb_power_cycle: 'Power cycle the USB port',
+    pci_reset: 'Reset the PCI function (affects every device on the controller)',
+};
 
 class BusManager {
-    constructor(config) {
+    constructor(config, driveIdentity = null) {
         this.config = config;
+        this.driveIdentity = driveIdentity;
         this.busCache = null;
         this.cacheTime = 0;
         this.cacheTTL = 60000; // 1 minute cache
+        this.resetCounters = {}; // busId -> { attempts, failures }
+        this.verifyTimeout = (config.resetVerifyTimeout || 30) * 1000;
+        this.verifyInterval = 1000;
+        this.strategiesFile = config.resetStrategiesFile;
+        this.strategyChoices = {}; // busId -> strategy pinned by an operator
+
+        this.loadStrategies();
     }
 
     /**
@@ -44,6 +67,9 @@ class BusManager {
                             id: busId,
                             type: busInfo.type,
                             path: busInfo.path,
+                            pciPath: busInfo.pciPath,
+                            // Survives re-enumeration: the USB device, or the controller
+                            anchor: busInfo.type === 'usb' ? busInfo.path : (busInfo.pciPath || busInfo.path),
                             controller: busInfo.controller,
                             drives: [],
                             resetSupported: busInfo.resetSupported,
@@ -61,6 +87,12 @@ class BusManager {
             console.error(`[BusManager] Discovery error: ${err.message}`);
         }
 
+        for (const bus of buses.values()) {
+            bus.strategies = this.availableStrategies(bus);
+            bus.strategy = this.strategyChoices[bus.id] || 'auto';
+            bus.resetSupported = bus.strategies.length > 0;
+        }
+
         this.busCache = Array.from(buses.values());
         this.cacheTime = Date.now();
         return this.busCache;
@@ -96,6 +128,7 @@ class BusManager {
                             type: 'usb',
                             busId: `usb-${busMatch[1]}`,
                             path: currentPath,
+                            pciPath: await this.findParentPci(currentPath),
                             controller: this.getUsbController(currentPath),
                             resetSupported: true,
                             resetPath: path.join(currentPath, 'authorized'),
@@ -114,6 +147,7 @@ class BusManager {
                             type: 'pci',
                             busId: `pci-${pciMatch[1]}`,
                             path: currentPath,
+                            pciPath: currentPath,
                             controller: await this.getPciController(currentPath),
                             resetSupported: true,
                             resetPath: resetFile,
@@ -133,6 +167,7 @@ class BusManager {
                             type: 'sata',
                             busId: `sata-${hostMatch[1]}`,
                             path: currentPath,
+                            pciPath,
                             controller: pciPath ? await this.getPciController(pciPath) : 'Unknown SATA',
                             resetSupported: pciPath && fs.existsSync(path.join(pciPath, 'reset')),
                             resetPath: pciPath ? path.join(pciPath, 'reset') : null,
@@ -151,6 +186,7 @@ class BusManager {
                     type: 'unknown',
                     busId: `unknown-${device}`,
                     path: deviceSysPath,
+                    pciPath: null,
                     controller: 'Unknown',
                     resetSupported: false,
                     resetPath: null,
@@ -221,7 +257,10 @@ class BusManager {
     }
 
     /**
-     * Reset a bus by ID
+     * Reset a bus by ID with its pinned strategy, or by escalating through
+     * its ladder until the drives come back
+     * Resolves with the verification of the last step (see verifyReset),
+     * plus the strategy used and every attempt
      */
     async resetBus(busId) {
         const buses = await this.discoverBuses();
@@ -231,37 +270,295 @@ class BusManager {
             throw new Error(`Bus ${busId} not found`);
         }
 
-        if (!bus.resetSupported || !bus.resetPath) {
+        if (!bus.resetSupported) {
             throw new Error(`Reset not supported for bus ${busId}`);
         }
 
-        console.log(`[BusManager] Resetting bus ${busId} (${bus.type}) at ${bus.resetPath}`);
+        if (bus.strategy !== 'auto' && !bus.strategies.includes(bus.strategy)) {
+            throw new Error(`Reset strategy ${bus.strategy} is not available for bus ${busId}`);
+        }
+        const ladder = bus.strategy === 'auto' ? bus.strategies : [bus.strategy];
 
-        try {
-            if (bus.type === 'usb') {
-                // USB reset: toggle authorized flag
-                await fs.promises.writeFile(bus.resetPath, '0');
+        if (!this.resetCounters[busId]) {
+            this.resetCounters[busId] = { attempts: 0, failures: 0 };
+        }
+        this.resetCounters[busId].attempts++;
+
+        const expected = await Promise.all(bus.drives.map(async d => ({ device: d.device, id: await this.identify(d.device) })));
+        const attempts = [];
+        let verification = null;
+        for (const strategy of ladder) {
+            console.log(`[BusManager] Resetting bus ${busId} (${bus.type}): ${strategy}`);
+            const before = await this.busNodes(bus);
+            try {
+                await this.applyStrategy(bus, strategy);
+            } catch (err) {
+                console.error(`[BusManager] ${strategy} failed on ${busId}: ${err.message}`);
+                attempts.push({ strategy, error: err.message, recovered: false });
+                continue;
+            }
+
+            verification = await this.verifyReset(bus, expected, before);
+            attempts.push({ strategy, error: null, recovered: verification.recovered });
+            const summary = verification.drives.map(d => `${d.device} ${d.outcome}${d.newDevice ? ` as ${d.newDevice}` : ''}`).join(', ');
+            console.log(`[BusManager] Bus ${busId} ${strategy} complete${summary ? `: ${summary}` : ''}`);
+            if (verification.recovered) {
+                break;
+            }
+        }
+
+        if (!verification || !verification.recovered) {
+            this.resetCounters[busId].failures++;
+        }
+        if (!verification) {
+            const errors = attempts.map(a => `${a.strategy}: ${a.error}`).join('; ');
+            throw new Error(`Reset failed (${errors}). May require root privileges.`);
+        }
+
+        return { ...verification, strategy: attempts[attempts.length - 1].strategy, attempts };
+    }
+
+    /**
+     * Reset strategies a bus supports, gentlest first
+     */
+    availableStrategies(bus) {
+        const strategies = [];
+        if (bus.drives.length > 0 && bus.drives.every(d => scsiFiles(d.sysPath))) {
+            strategies.push('scsi_rescan');
+        }
+        if (this.rebindTarget(bus)) {
+            strategies.push('driver_rebind');
+        }
+        if (bus.type === 'usb' && bus.drives.every(d => usbDevicePath(d.sysPath))) {
+            strategies.push('usb_power_cycle');
+        }
+        if (bus.pciPath && fs.existsSync(path.join(bus.pciPath, 'reset'))) {
+            strategies.push('pci_reset');
+        }
+        return strategies;
+    }
+
+    /**
+     * Run one reset strategy (sysfs writes only; verifyReset checks the result)
+     */
+    async applyStrategy(bus, strategy) {
+        switch (strategy) {
+            case 'scsi_rescan': {
+                // Drop each drive from the SCSI layer, then have its host scan for it again
+                const files = bus.drives.map(d => scsiFiles(d.sysPath));
+                for (const { deleteFile } of files) {
+                    await fs.promises.writeFile(deleteFile, '1');
+                }
+                await this.sleep(1000);
+                for (const scanFile of new Set(files.map(f => f.scanFile))) {
+                    await fs.promises.writeFile(scanFile, '- - -');
+                }
+                break;
+            }
+
+            case 'driver_rebind': {
+                const target = this.rebindTarget(bus);
+                await fs.promises.writeFile(path.join(target.driver, 'unbind'), target.name);
                 await this.sleep(1000);
-                await fs.promises.writeFile(bus.resetPath, '1');
-            } else {
-                // PCI/SATA reset: write 1 to reset file
-                await fs.promises.writeFile(bus.resetPath, '1');
+                await fs.promises.writeFile(path.join(target.driver, 'bind'), target.name);
+                break;
             }
 
-            // Wait for devices to re-enumerate
-            await this.sleep(3000);
+            case 'usb_power_cycle': {
+                // Switch the hub port off and on where the kernel allows it,
+                // otherwise disconnect the device by deauthorizing it
+                const devices = new Set(bus.drives.map(d => usbDevicePath(d.sysPath)));
+                for (const device of devices) {
+                    const portDisable = usbPortDisableFile(device);
+                    const control = portDisable && fs.existsSync(portDisable) ?
+                        { file: portDisable, off: '1', on: '0' } :
+                        { file: path.join(device, 'authorized'), off: '0', on: '1' };
+                    await fs.promises.writeFile(control.file, control.off);
+                    await this.sleep(2000);
+                    await fs.promises.writeFile(control.file, control.on);
+                }
+                break;
+            }
+
+            case 'pci_reset':
+                await fs.promises.writeFile(path.join(bus.pciPath, 'reset'), '1');
+                break;
+
+            default:
+                throw new Error(`Unknown reset strategy ${strategy}`);
+        }
+    }
+
+    /**
+     * Device whose driver is rebound: the USB interface of a USB drive,
+     * otherwise the PCI controller. Returns { name, driver } or null
+     */
+    rebindTarget(bus) {
+        let dir = null;
+        if (bus.type === 'usb') {
+            const match = bus.drives.length > 0 && bus.drives[0].sysPath.match(/^(.*\/\d+-[\d.]+:\d+\.\d+)\//);
+            dir = match ? match[1] : null;
+        } else {
+            dir = bus.pciPath;
+        }
+        if (!dir) {
+            return null;
+        }
+        try {
+            return { name: path.basename(dir), driver: fs.realpathSync(path.join(dir, 'driver')) };
+        } catch (err) {
+            return null; // No driver bound
+        }
+    }
+
+    /**
+     * Pin a bus to one reset strategy, or 'auto' to escalate through the ladder
+     */
+    setStrategy(busId, strategy) {
+        if (strategy === 'auto') {
+            delete this.strategyChoices[busId];
+        } else {
+            this.strategyChoices[busId] = strategy;
+        }
+        this.saveStrategies();
+        if (this.busCache) {
+            const bus = this.busCache.find(b => b.id === busId);
+            if (bus) bus.strategy = strategy;
+        }
+        console.log(`[BusManager] Reset strategy for ${busId}: ${strategy}`);
+    }
 
-            // Clear cache to force re-discovery
-            this.busCache = null;
+    loadStrategies() {
+        if (!this.strategiesFile) return;
+        try {
+            this.strategyChoices = JSON.parse(fs.readFileSync(this.strategiesFile, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`[BusManager] Error loading reset strategies: ${err.message}`);
+            }
+        }
+    }
 
-            console.log(`[BusManager] Bus ${busId} reset complete`);
-            return true;
+    saveStrategies() {
+        try {
+            fs.mkdirSync(path.dirname(this.strategiesFile), { recursive: true });
+            const tempFile = `${this.strategiesFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(this.strategyChoices, null, 2));
+            fs.renameSync(tempFile, this.strategiesFile);
         } catch (err) {
-            console.error(`[BusManager] Reset failed: ${err.message}`);
-            throw new Error(`Reset failed: ${err.message}. May require root privileges.`);
+            console.error(`[BusManager] Error saving reset strategies: ${err.message}`);
         }
     }
 
+    /**
+     * Wait for the drives that were on a bus before its reset (expected:
+     * [{ device, id }]) to come back, then probe them. A drive is back once
+     * it has left the bus or shows up on a new sysfs node (compared with
+     * `before`, see busNodes), as an early poll may still see the old
+     * nodes, and a node with its identity is present. Each drive is
+     * 'recovered' (same name, responsive), 'renamed' (responsive under a
+     * new name) or 'dead' (missing, never reset or unresponsive). The bus
+     * is found again by its controller or USB path, as SATA host numbers
+     * can change on re-enumeration.
+     */
+    async verifyReset(bus, expected, before) {
+        const started = Date.now();
+        const gone = new Set(); // drive IDs seen off the bus or on a new node
+        let current = [];
+
+        await this.sleep(this.verifyInterval);
+        while (true) {
+            current = await this.busNodes(bus);
+            for (const { id } of expected) {
+                const node = current.find(n => n.id === id);
+                const old = before.find(n => n.id === id);
+                if (!node || !old || node.sysPath !== old.sysPath || node.inode !== old.inode) {
+                    gone.add(id);
+                }
+            }
+
+            const allBack = expected.every(({ id }) => gone.has(id) && current.some(n => n.id === id));
+            if (allBack || Date.now() - started >= this.verifyTimeout) {
+                break;
+            }
+            await this.sleep(this.verifyInterval);
+        }
+
+        const drives = await Promise.all(expected.map(async ({ device, id }) => {
+            const node = current.find(n => n.id === id);
+            let reason = null;
+            if (!node) {
+                reason = 'missing';
+            } else if (!gone.has(id)) {
+                reason = 'not_reset'; // Still the node from before the reset
+            } else if (!(await this.probeDevice(node.device))) {
+                reason = 'unresponsive';
+            }
+
+            const newDevice = node && node.device !== device ? node.device : null;
+            let outcome = 'dead';
+            if (!reason) {
+                outcome = newDevice ? 'renamed' : 'recovered';
+            }
+            return { device, drive: id, outcome, newDevice, reason };
+        }));
+
+        return {
+            busId: bus.id,
+            recovered: drives.every(d => d.outcome !== 'dead'),
+            duration: Date.now() - started,
+            drives,
+        };
+    }
+
+    /**
+     * The drives now on a bus (found again by its anchor), with their
+     * identity and sysfs node: [{ device, id, sysPath, inode }]
+     * sysfs gives a re-created device directory a new inode
+     */
+    async busNodes(bus) {
+        this.busCache = null; // Force re-discovery
+        const buses = await this.discoverBuses();
+        const drives = buses
+            .filter(b => b.anchor === bus.anchor)
+            .flatMap(b => b.drives);
+
+        return Promise.all(drives.map(async (d) => {
+            let inode = null;
+            try {
+                inode = (await fs.promises.stat(d.sysPath)).ino;
+            } catch (err) {
+                // Gone again
+            }
+            return { device: d.device, id: await this.identify(d.device), sysPath: d.sysPath, inode };
+        }));
+    }
+
+    /**
+     * Stable drive ID of a device (the device name without a resolver)
+     */
+    async identify(device) {
+        return this.driveIdentity ? (await this.driveIdentity.resolve(device)).id : device;
+    }
+
+    /**
+     * Whether a device answers a blkid within 5 seconds (no disc is fine)
+     */
+    probeDevice(device) {
+        return new Promise(resolve => {
+            execFile('timeout', ['5', 'blkid', `/dev/${device}`], { timeout: 6000 }, (err) => {
+                resolve(!(err && (err.killed || err.code === 124)));
+            });
+        });
+    }
+
+    /**
+     * Get reset attempt/failure counts per bus since startup
+     */
+    getResetCounters() {
+        return this.resetCounters;
+    }
+
     /**
      * Sleep helper
      */
@@ -278,4 +575,40 @@ class BusManager {
     }
 }
 
+// SCSI delete and host scan files of a drive, or null
+function scsiFiles(sysPath) {
+    const host = sysPath && sysPath.match(/\/(host\d+)\//);
+    if (!host) {
+        return null;
+    }
+    const deleteFile = path.join(sysPath, 'delete');
+    const scanFile = `/sys/class/scsi_host/${host[1]}/scan`;
+    return fs.existsSync(deleteFile) && fs.existsSync(scanFile) ? { deleteFile, scanFile } : null;
+}
+
+// USB device (e.g. .../usb1/1-2/1-2.3) a drive sits on, or null
+function usbDevicePath(sysPath) {
+    const match = sysPath && sysPath.match(/^(.*\/\d+-[\d.]+)\/\d+-[\d.]+:\d+\.\d+\//);
+    return match ? match[1] : null;
+}
+
+// The "disable" file of the hub port a USB device is plugged into:
+// 1-2.3 is port 3 of hub 1-2 (1-2:1.0/1-2-port3/disable),
+// 1-2 is port 2 of root hub usb1 (1-0:1.0/usb1-port2/disable)
+function usbPortDisableFile(devicePath) {
+    const name = path.basename(devicePath);
+    const match = name.match(/^(\d+)-([\d.]+)$/);
+    if (!match) {
+        return null;
+    }
+    const ports = match[2].split('.');
+    const port = ports.pop();
+    const hub = ports.length > 0 ? `${match[1]}-${ports.join('.')}` : null;
+    const hubInterface = hub ? `${hub}:1.0` : `${match[1]}-0:1.0`;
+    const hubName = hub || `usb${match[1]}`;
+    return path.join(path.dirname(devicePath), hubInterface, `${hubName}-port${port}`, 'disable');
+}
+
+BusManager.STRATEGIES = STRATEGIES;
+
 module.exports = BusManager;
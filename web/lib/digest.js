@@ -0,0 +1,172 @@
+/**
+ * Digest Report Module
+ *
+ * Summarizes the past day or week of rip history and drive crashes,
+ * and schedules the summary to be emailed on a daily or weekly cadence.
+ */
+
+const { textTable, htmlTable, escapeHtml } = require('./mailer');
+
+const PERIODS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+class DigestReport {
+    constructor(config, ripHistory, driveStats) {
+        this.config = config;
+        this.ripHistory = ripHistory;
+        this.driveStats = driveStats;
+        this.schedule = config.digestSchedule; // off, daily or weekly
+        this.hour = config.digestHour;
+        this.timer = null;
+    }
+
+    /**
+     * Build a summary of the period ending at `now`
+     */
+    async build(period = 'daily', now = Date.now()) {
+        if (!PERIODS[period]) {
+            throw new Error(`Unknown digest period: ${period}`);
+        }
+        const since = now - PERIODS[period];
+
+        const entries = (await this.ripHistory.readAll())
+            .filter(e => e.endTime * 1000 > since && e.endTime * 1000 <= now);
+
+        const crashes = {};
+        for (const stats of Object.values(this.driveStats.getAll())) {
+            const count = stats.crashHistory
+                .filter(c => c.type === 'crash' && c.timestamp > since && c.timestamp <= now)
+                .length;
+            if (count > 0) {
+                crashes[stats.device ? `${stats.label} (${stats.device})` : stats.label] = count;
+            }
+        }
+
+        return {
+            period,
+            since,
+            until: now,
+            total: entries.length,
+            succeeded: entries.filter(e => e.status === 'success').length,
+            partial: entries.filter(e => e.status === 'partial'),
+            failed: entries.filter(e => e.status === 'error'),
+            crashes,
+            rippingTime: entries.reduce((sum, e) => sum + (e.duration || 0), 0),
+        };
+    }
+
+    /**
+     * Render a summary as an email message
+     */
+    render(summary) {
+        const title = `${summary.period === 'weekly' ? 'Weekly' : 'Daily'} digest`;
+        const range = `${new Date(summary.since).toLocaleString()} - ${new Date(summary.until).toLocaleString()}`;
+
+        const rows = [
+            ['Discs ripped', summary.total],
+            ['Succeeded', summary.succeeded],
+            ['Partial', summary.partial.length],
+            ['Failed', summary.failed.length],
+            ['Total ripping time', formatDuration(summary.rippingTime)],
+        ];
+
+        const crashRows = Object.entries(summary.crashes).map(([device, count]) => [device, count]);
+        const describe = e => `${e.device}: ${e.discName || 'Unknown'}${e.errorMessage ? ` - ${e.errorMessage}` : ''}`;
+        const describePartial = e => `${e.device}: ${e.discName || 'Unknown'} (${e.titlesSucceeded}/${e.titlesTotal} titles)`;
+
+        const text = [
+            `${title} for ${range}`,
+            '',
+            textTable(rows),
+            '',
+            'Crashes per drive:',
+            crashRows.length ? textTable(crashRows) : 'None',
+            '',
+            'Failures:',
+            summary.failed.length ? summary.failed.map(e => `  - ${describe(e)}`).join('\n') : 'None',
+            '',
+            'Partial rips:',
+            summary.partial.length ? summary.partial.map(e => `  - ${describePartial(e)}`).join('\n') : 'None',
+        ].join('\n');
+
+        const htmlList = (items, fn) => items.length ?
+            `<ul>${items.map(e => `<li>${escapeHtml(fn(e))}</li>`).join('')}</ul>` :
+            '<p>None</p>';
+
+        const html = [
+            `<h2>${escapeHtml(title)}</h2>`,
+            `<p>${escapeHtml(range)}</p>`,
+            htmlTable(rows),
+            '<h3>Crashes per drive</h3>',
+            crashRows.length ? htmlTable(crashRows) : '<p>None</p>',
+            '<h3>Failures</h3>',
+            htmlList(summary.failed, describe),
+            '<h3>Partial rips</h3>',
+            htmlList(summary.partial, describePartial),
+        ].join('\n');
+
+        return { subject: `${title}: ${summary.total} discs, ${summary.failed.length} failed`, text, html };
+    }
+
+    /**
+     * Schedule the digest; `send` receives the rendered message
+     */
+    start(send) {
+        if (!PERIODS[this.schedule]) {
+            return;
+        }
+
+        const next = this.nextRun(Date.now());
+        console.log(`[Digest] Next ${this.schedule} digest at ${new Date(next).toLocaleString()}`);
+
+        this.timer = setTimeout(async () => {
+            try {
+                const summary = await this.build(this.schedule);
+                await send(this.render(summary));
+            } catch (err) {
+                console.error(`[Digest] Error sending digest: ${err.message}`);
+            }
+            this.start(send);
+        }, next - Date.now());
+    }
+
+    /**
+     * Stop the schedule
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Next send time: the configured hour each day, or each Monday for weekly
+     */
+    nextRun(now) {
+        const next = new Date(now);
+        next.setHours(this.hour, 0, 0, 0);
+        if (next.getTime() <= now) {
+            next.setDate(next.getDate() + 1);
+        }
+        if (this.schedule === 'weekly') {
+            while (next.getDay() !== 1) {
+                next.setDate(next.getDate() + 1);
+            }
+        }
+        return next.getTime();
+    }
+}
+
+// Format seconds as "Xh Ym"
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+DigestReport.PERIODS = PERIODS;
+
+module.exports = DigestReport;
@@ -0,0 +1,32 @@
+/**
+ * Drive Control Module
+ *
+ * Opens and closes optical drive trays with eject(1).
+ */
+
+const { run } = require('./rip-control');
+
+class DriveControl {
+    constructor(config) {
+        this.config = config;
+        this.timeout = 30000; // eject can block while the drive spins down
+    }
+
+    /**
+     * Open the tray of a device (e.g. "sr0")
+     */
+    eject(device) {
+        console.log(`[DriveControl] Ejecting /dev/${device}`);
+        return run('eject', [`/dev/${device}`], this.timeout);
+    }
+
+    /**
+     * Close the tray of a device
+     */
+    closeTray(device) {
+        console.log(`[DriveControl] Closing tray of /dev/${device}`);
+        return run('eject', ['-t', `/dev/${device}`], this.timeout);
+    }
+}
+
+module.exports = DriveControl;
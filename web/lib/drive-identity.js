@@ -0,0 +1,171 @@
+/**
+ * Drive Identity Module
+ *
+ * Resolves a stable hardware identity for an optical drive, so stats and
+ * history follow the physical drive when kernel srN names move between
+ * drives (after a bus reset or a reboot). In order of preference:
+ *   1. a /dev/disk/by-id link (wwn-* first)
+ *   2. vendor, model and (USB) serial from sysfs
+ *   3. a /dev/disk/by-path link (stable per port, not per drive)
+ *   4. the kernel name itself
+ * autorip.sh resolves the same ID for the history entries it writes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Sources that name the physical drive rather than its port or kernel name
+const STABLE_SOURCES = ['by-id', 'sysfs'];
+
+class DriveIdentity {
+    constructor(config) {
+        this.config = config;
+        this.devDir = '/dev';
+        this.byIdDir = '/dev/disk/by-id';
+        this.byPathDir = '/dev/disk/by-path';
+        this.sysBlockDir = '/sys/block';
+        this.cacheTTL = 60000; // 1 minute; udev may add by-id links late
+        this.cache = new Map(); // device -> { target, identity, time }
+    }
+
+    /**
+     * Identity of a device (e.g. "sr0"):
+     * { id, device, label, vendor, model, serial, source }
+     */
+    async resolve(device) {
+        const sysDevice = path.join(this.sysBlockDir, device, 'device');
+        let target = null;
+        try {
+            target = await fs.promises.realpath(sysDevice);
+        } catch (err) {
+            // Device gone; resolve from what is left
+        }
+
+        // Re-enumeration gives the device a new sysfs path; by-path and
+        // device-name IDs are resolved again until udev's by-id link shows up
+        const cached = this.cache.get(device);
+        if (cached && cached.target === target && Date.now() - cached.time < this.cacheTTL &&
+            STABLE_SOURCES.includes(cached.identity.source)) {
+            return cached.identity;
+        }
+
+        const vendor = await readField(path.join(sysDevice, 'vendor'));
+        const model = await readField(path.join(sysDevice, 'model'));
+        const serial = target ? await findSerial(target) : null;
+
+        let id = null;
+        let source = null;
+        const byId = await findLinks(this.byIdDir, path.join(this.devDir, device));
+        if (byId.length > 0) {
+            id = byId.find(name => name.startsWith('wwn-')) || byId[0];
+            source = 'by-id';
+        } else if (vendor && model && serial) {
+            id = [vendor, model, serial].map(cleanField).join('_');
+            source = 'sysfs';
+        } else {
+            const byPath = await findLinks(this.byPathDir, path.join(this.devDir, device));
+            id = byPath.length > 0 ? byPath[0] : device;
+            source = byPath.length > 0 ? 'by-path' : 'device';
+        }
+
+        const identity = {
+            id,
+            device,
+            label: [vendor, model].filter(Boolean).join(' ') || id,
+            vendor,
+            model,
+            serial,
+            source,
+        };
+        if (!cached || cached.identity.id !== id) {
+            console.log(`[DriveIdentity] ${device} is ${id} (${source})`);
+        }
+        this.cache.set(device, { target, identity, time: Date.now() });
+        return identity;
+    }
+
+    /**
+     * Last resolved identity of a device, or null
+     */
+    get(device) {
+        const cached = this.cache.get(device);
+        return cached ? cached.identity : null;
+    }
+
+    /**
+     * Current device of a drive ID, or null if the drive isn't present
+     */
+    deviceFor(id) {
+        for (const { identity } of this.cache.values()) {
+            if (identity.id === id) {
+                return identity.device;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Forget devices that are gone
+     */
+    prune(devices) {
+        for (const device of this.cache.keys()) {
+            if (!devices.includes(device)) {
+                this.cache.delete(device);
+            }
+        }
+    }
+}
+
+// Names of the links in a directory that point to a device, sorted
+async function findLinks(dir, devicePath) {
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (err) {
+        return [];
+    }
+
+    const matches = [];
+    for (const name of names.sort()) {
+        try {
+            if (await fs.promises.realpath(path.join(dir, name)) === devicePath) {
+                matches.push(name);
+            }
+        } catch (err) {
+            // Dangling link
+        }
+    }
+    return matches;
+}
+
+// First "serial" attribute above a sysfs device (the USB device's)
+async function findSerial(sysPath) {
+    let currentPath = sysPath;
+    while (currentPath && currentPath !== '/sys' && currentPath !== '/') {
+        const serial = await readField(path.join(currentPath, 'serial'));
+        if (serial) {
+            return serial;
+        }
+        currentPath = path.dirname(currentPath);
+    }
+    return null;
+}
+
+// First line of a sysfs attribute, trimmed; null if missing or empty
+async function readField(file) {
+    try {
+        const value = (await fs.promises.readFile(file, 'utf8')).split('\n')[0].trim();
+        return value || null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Same cleanup as autorip.sh, so both resolve the same ID
+function cleanField(value) {
+    return value.replace(/[^A-Za-z0-9._-]+/g, '_');
+}
+
+DriveIdentity.readField = readField;
+
+module.exports = DriveIdentity;
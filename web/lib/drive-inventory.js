@@ -0,0 +1,239 @@
+/**
+ * Drive Inventory Module
+ *
+ * Describes an optical drive's hardware from sysfs and udev properties:
+ * vendor, model and firmware revision, the media it reads and writes, and
+ * for USB drives the bridge chipset, driver and negotiated speed. Falls
+ * back to /proc/sys/dev/cdrom/info for media when udev has no data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { readField } = require('./drive-identity');
+
+// cdrom_id properties: [capability, media]
+const UDEV_MEDIA = {
+    ID_CDROM_CD: ['read', 'CD'],
+    ID_CDROM_CD_R: ['write', 'CD-R'],
+    ID_CDROM_CD_RW: ['write', 'CD-RW'],
+    ID_CDROM_DVD: ['read', 'DVD'],
+    ID_CDROM_DVD_R: ['write', 'DVD-R'],
+    ID_CDROM_DVD_RW: ['write', 'DVD-RW'],
+    ID_CDROM_DVD_RAM: ['write', 'DVD-RAM'],
+    ID_CDROM_DVD_PLUS_R: ['write', 'DVD+R'],
+    ID_CDROM_DVD_PLUS_RW: ['write', 'DVD+RW'],
+    ID_CDROM_DVD_PLUS_R_DL: ['write', 'DVD+R DL'],
+    ID_CDROM_BD: ['read', 'BD'],
+    ID_CDROM_BD_R: ['write', 'BD-R'],
+    ID_CDROM_BD_RE: ['write', 'BD-RE'],
+};
+
+// /proc/sys/dev/cdrom/info rows: [capability, media]
+const PROC_MEDIA = {
+    'Can read DVD': ['read', 'DVD'],
+    'Can write CD-R': ['write', 'CD-R'],
+    'Can write CD-RW': ['write', 'CD-RW'],
+    'Can write DVD-R': ['write', 'DVD-R'],
+    'Can write DVD-RAM': ['write', 'DVD-RAM'],
+};
+
+// USB vendor IDs of common USB-to-SATA bridge makers
+const USB_BRIDGE_VENDORS = {
+    '04fc': 'Sunplus',
+    '05e3': 'Genesys Logic',
+    '067b': 'Prolific',
+    '0928': 'PLX (Oxford)',
+    '0bda': 'Realtek',
+    '0e8d': 'MediaTek',
+    '13fd': 'Initio',
+    '14cd': 'Super Top',
+    '152d': 'JMicron',
+    '174c': 'ASMedia',
+    '1bcf': 'Sunplus Innovation',
+    '2109': 'VIA Labs',
+};
+
+// Negotiated speed in Mbps (sysfs "speed") -> name
+const USB_SPEEDS = {
+    '1.5': 'USB 1.1 Low Speed',
+    '12': 'USB 1.1 Full Speed',
+    '480': 'USB 2.0 High Speed',
+    '5000': 'USB 3.0 SuperSpeed',
+    '10000': 'USB 3.1 SuperSpeed+',
+    '20000': 'USB 3.2 SuperSpeed+ 2x2',
+};
+
+class DriveInventory {
+    constructor(config) {
+        this.config = config;
+        this.sysBlockDir = '/sys/block';
+        this.procCdromInfo = '/proc/sys/dev/cdrom/info';
+        this.timeout = 5000;
+        this.cacheTTL = 10 * 60 * 1000; // 10 minutes; hardware rarely changes
+        this.cache = new Map(); // device -> { target, inventory, time }
+    }
+
+    /**
+     * Hardware inventory of a device (e.g. "sr0")
+     */
+    async get(device) {
+        const sysDevice = path.join(this.sysBlockDir, device, 'device');
+        let target = null;
+        try {
+            target = await fs.promises.realpath(sysDevice);
+        } catch (err) {
+            // Device gone; report what udev still knows
+        }
+
+        const cached = this.cache.get(device);
+        if (cached && cached.target === target && Date.now() - cached.time < this.cacheTTL) {
+            return cached.inventory;
+        }
+
+        const udev = await this.udevProperties(device);
+        const usb = target ? await this.usbInfo(target) : null;
+        const inventory = {
+            device,
+            vendor: await readField(path.join(sysDevice, 'vendor')) || udev.ID_VENDOR || null,
+            model: await readField(path.join(sysDevice, 'model')) || udev.ID_MODEL || null,
+            firmware: await readField(path.join(sysDevice, 'rev')) || udev.ID_REVISION || null,
+            transport: usb ? 'usb' : (udev.ID_BUS || null),
+            media: await this.media(device, udev),
+            usb,
+        };
+
+        this.cache.set(device, { target, inventory, time: Date.now() });
+        return inventory;
+    }
+
+    /**
+     * Media the drive reads and writes: { read: ['CD', 'DVD'], write: [...], source }
+     */
+    async media(device, udev) {
+        const media = { read: [], write: [], source: null };
+        for (const [key, [capability, name]] of Object.entries(UDEV_MEDIA)) {
+            if (udev[key] === '1') {
+                media[capability].push(name);
+            }
+        }
+        if (media.read.length > 0 || media.write.length > 0) {
+            media.source = 'udev';
+            return media;
+        }
+
+        const proc = await this.procCapabilities(device);
+        if (proc) {
+            media.read.push('CD');
+            for (const [row, [capability, name]] of Object.entries(PROC_MEDIA)) {
+                if (proc[row] === '1') {
+                    media[capability].push(name);
+                }
+            }
+            media.source = 'proc';
+        }
+        return media;
+    }
+
+    /**
+     * USB bridge, driver and link speed of a drive, or null if not on USB
+     */
+    async usbInfo(sysPath) {
+        let usbDevice = null;
+        let usbInterface = null;
+        let currentPath = sysPath;
+        while (currentPath && currentPath !== '/sys' && currentPath !== '/') {
+            if (!usbInterface && /\/\d+-[\d.]+:\d+\.\d+$/.test(currentPath)) {
+                usbInterface = currentPath;
+            }
+            if (await readField(path.join(currentPath, 'idVendor'))) {
+                usbDevice = currentPath;
+                break;
+            }
+            currentPath = path.dirname(currentPath);
+        }
+        if (!usbDevice) {
+            return null;
+        }
+
+        const vendorId = await readField(path.join(usbDevice, 'idVendor'));
+        const productId = await readField(path.join(usbDevice, 'idProduct'));
+        const speed = await readField(path.join(usbDevice, 'speed'));
+        let driver = null;
+        if (usbInterface) {
+            try {
+                driver = path.basename(await fs.promises.realpath(path.join(usbInterface, 'driver')));
+            } catch (err) {
+                // No driver bound
+            }
+        }
+
+        return {
+            bridge: {
+                vendorId,
+                productId,
+                chipset: USB_BRIDGE_VENDORS[vendorId] || null,
+                manufacturer: await readField(path.join(usbDevice, 'manufacturer')),
+                product: await readField(path.join(usbDevice, 'product')),
+            },
+            driver, // uas or usb-storage
+            version: await readField(path.join(usbDevice, 'version')),
+            speed: speed ? parseFloat(speed) : null, // Mbps
+            speedName: USB_SPEEDS[speed] || null,
+        };
+    }
+
+    /**
+     * udev properties of a device ({} if udevadm is unavailable)
+     */
+    udevProperties(device) {
+        return new Promise((resolve) => {
+            execFile('udevadm', ['info', '--query=property', `--name=/dev/${device}`], { timeout: this.timeout }, (err, stdout) => {
+                if (err) {
+                    resolve({});
+                    return;
+                }
+                const properties = {};
+                for (const line of stdout.split('\n')) {
+                    const index = line.indexOf('=');
+                    if (index > 0) {
+                        properties[line.slice(0, index)] = line.slice(index + 1);
+                    }
+                }
+                resolve(properties);
+            });
+        });
+    }
+
+    /**
+     * A drive's column of /proc/sys/dev/cdrom/info, or null
+     */
+    async procCapabilities(device) {
+        let data;
+        try {
+            data = await fs.promises.readFile(this.procCdromInfo, 'utf8');
+        } catch (err) {
+            return null;
+        }
+
+        const rows = {};
+        for (const line of data.split('\n')) {
+            const match = line.match(/^([^:]+):\s+(.*)$/);
+            if (match) {
+                rows[match[1].trim()] = match[2].trim().split(/\s+/);
+            }
+        }
+        const column = (rows['drive name'] || []).indexOf(device);
+        if (column < 0) {
+            return null;
+        }
+
+        const capabilities = {};
+        for (const [row, values] of Object.entries(rows)) {
+            capabilities[row] = values[column];
+        }
+        return capabilities;
+    }
+}
+
+module.exports = DriveInventory;
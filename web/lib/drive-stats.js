@@ -1,7 +1,12 @@
 /**
  * Drive Statistics Module
  *
- * Tracks crash history and health statistics for each drive.
+ * Tracks crash history and health statistics for each drive, including
+ * whether bus resets brought it back. Drives are keyed by their stable
+ * identity (see drive-identity.js) with the device they were last seen as.
+ *
+ * Older drive_stats.json files are keyed by device name; such an entry
+ * moves to the drive that has the name when it is first resolved.
  */
 
 const fs = require('fs');
@@ -61,40 +66,92 @@ class DriveStats {
     }
 
     /**
-     * Get stats for all drives
+     * Get stats for all drives, keyed by drive ID
      */
     getAll() {
         const result = {};
-        for (const [device, data] of Object.entries(this.stats)) {
-            result[device] = this.enrichStats(device, data);
+        for (const [id, data] of Object.entries(this.stats)) {
+            result[id] = this.enrichStats(id, data);
         }
         return result;
     }
 
     /**
-     * Get stats for a specific drive
+     * Get stats for a specific drive ID
      */
-    get(device) {
-        const data = this.stats[device];
+    get(id) {
+        const data = this.stats[id];
         if (!data) {
             return {
-                device,
+                id,
+                device: null,
+                label: id,
                 crashCount: 0,
                 resetCount: 0,
                 lastCrash: null,
                 lastReset: null,
+                lastResetOutcome: null,
+                resetOutcomes: { recovered: 0, renamed: 0, dead: 0 },
                 crashHistory: [],
                 health: 'good',
                 crashRate: 0,
             };
         }
-        return this.enrichStats(device, data);
+        return this.enrichStats(id, data);
+    }
+
+    /**
+     * Note the device a drive is present as, taking over stats kept
+     * under that device name
+     */
+    track(identity) {
+        this.migrate(identity);
+        const data = this.stats[identity.id];
+        if (data && (data.device !== identity.device || data.label !== identity.label)) {
+            data.device = identity.device;
+            data.label = identity.label;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Move stats kept under a device name (older drive_stats.json files)
+     * to the drive that now has that name
+     */
+    migrate(identity) {
+        const legacy = this.stats[identity.device];
+        if (identity.id === identity.device || !legacy) {
+            return;
+        }
+
+        delete this.stats[identity.device];
+        const data = this.stats[identity.id];
+        if (data) {
+            const outcomes = { ...legacy.resetOutcomes };
+            for (const [outcome, count] of Object.entries(data.resetOutcomes || {})) {
+                outcomes[outcome] = (outcomes[outcome] || 0) + count;
+            }
+            const newer = (data.lastReset || 0) >= (legacy.lastReset || 0) ? data : legacy;
+            data.crashCount = (data.crashCount || 0) + (legacy.crashCount || 0);
+            data.resetCount = (data.resetCount || 0) + (legacy.resetCount || 0);
+            data.lastCrash = Math.max(data.lastCrash || 0, legacy.lastCrash || 0) || null;
+            data.lastReset = Math.max(data.lastReset || 0, legacy.lastReset || 0) || null;
+            data.lastResetOutcome = newer.lastResetOutcome || null;
+            data.resetOutcomes = outcomes;
+            data.crashHistory = (legacy.crashHistory || []).concat(data.crashHistory || [])
+                .sort((a, b) => a.timestamp - b.timestamp);
+        } else {
+            this.stats[identity.id] = { ...legacy, device: identity.device, label: identity.label };
+        }
+
+        this.dirty = true;
+        console.log(`[DriveStats] Migrated stats of ${identity.device} to ${identity.id}`);
     }
 
     /**
      * Enrich raw stats with computed values
      */
-    enrichStats(device, data) {
+    enrichStats(id, data) {
         const now = Date.now();
         const weekAgo = now - (7 * 24 * 60 * 60 * 1000);
         const monthAgo = now - (30 * 24 * 60 * 60 * 1000);
@@ -114,11 +171,15 @@ class DriveStats {
         }
 
         return {
-            device,
+            id,
+            device: data.device || null,
+            label: data.label || id,
             crashCount: data.crashCount || 0,
             resetCount: data.resetCount || 0,
             lastCrash: data.lastCrash || null,
             lastReset: data.lastReset || null,
+            lastResetOutcome: data.lastResetOutcome || null,
+            resetOutcomes: { recovered: 0, renamed: 0, dead: 0, ...data.resetOutcomes },
             crashHistory: recentCrashes,
             health,
             crashRate: crashesThisWeek,
@@ -128,66 +189,77 @@ class DriveStats {
     }
 
     /**
-     * Record a crash event
+     * Record a crash event for a drive identity ({ id, device, label })
      */
-    recordCrash(device) {
+    recordCrash(identity) {
         const now = Date.now();
+        const data = this.driveData(identity);
 
-        if (!this.stats[device]) {
-            this.stats[device] = {
-                crashCount: 0,
-                resetCount: 0,
-                lastCrash: null,
-                lastReset: null,
-                crashHistory: [],
-            };
-        }
-
-        this.stats[device].crashCount++;
-        this.stats[device].lastCrash = now;
-        this.stats[device].crashHistory.push({
+        data.crashCount++;
+        data.lastCrash = now;
+        data.crashHistory.push({
             timestamp: now,
             type: 'crash',
+            device: identity.device,
         });
 
         this.dirty = true;
-        console.log(`[DriveStats] Recorded crash for ${device} (total: ${this.stats[device].crashCount})`);
+        console.log(`[DriveStats] Recorded crash for ${identity.id} as ${identity.device} (total: ${data.crashCount})`);
     }
 
     /**
-     * Record a reset event
+     * Record a reset event, with its verification for the device
+     * ({ outcome: 'recovered' | 'renamed' | 'dead', newDevice, reason }) if known
      */
-    recordReset(device) {
+    recordReset(identity, result = null) {
         const now = Date.now();
+        const data = this.driveData(identity);
 
-        if (!this.stats[device]) {
-            this.stats[device] = {
-                crashCount: 0,
-                resetCount: 0,
-                lastCrash: null,
-                lastReset: null,
-                crashHistory: [],
-            };
+        const entry = { timestamp: now, type: 'reset', device: identity.device };
+        if (result) {
+            entry.outcome = result.outcome;
+            entry.newDevice = result.newDevice || null;
+            const outcomes = data.resetOutcomes || { recovered: 0, renamed: 0, dead: 0 };
+            outcomes[result.outcome] = (outcomes[result.outcome] || 0) + 1;
+            data.resetOutcomes = outcomes;
+            data.lastResetOutcome = result.outcome;
         }
 
-        this.stats[device].resetCount++;
-        this.stats[device].lastReset = now;
-        this.stats[device].crashHistory.push({
-            timestamp: now,
-            type: 'reset',
-        });
+        data.resetCount++;
+        data.lastReset = now;
+        data.crashHistory.push(entry);
 
         this.dirty = true;
-        console.log(`[DriveStats] Recorded reset for ${device} (total: ${this.stats[device].resetCount})`);
+        console.log(`[DriveStats] Recorded reset for ${identity.id} (total: ${data.resetCount}${result ? `, ${result.outcome}` : ''})`);
     }
 
     /**
-     * Reset stats for a specific device (after hardware replacement)
+     * Reset stats for a specific drive ID (after hardware replacement)
      */
-    resetDevice(device) {
-        delete this.stats[device];
+    resetDrive(id) {
+        delete this.stats[id];
         this.dirty = true;
-        console.log(`[DriveStats] Reset stats for ${device}`);
+        console.log(`[DriveStats] Reset stats for ${id}`);
+    }
+
+    /**
+     * Raw stats of a drive, created if new, with its current device and label
+     */
+    driveData(identity) {
+        this.migrate(identity);
+        if (!this.stats[identity.id]) {
+            this.stats[identity.id] = {
+                crashCount: 0,
+                resetCount: 0,
+                lastCrash: null,
+                lastReset: null,
+                crashHistory: [],
+            };
+        }
+        const data = this.stats[identity.id];
+        data.device = identity.device;
+        data.label = identity.label;
+        return data;
     }
 
     /**
@@ -197,8 +269,8 @@ class DriveStats {
         const cutoff = Date.now() - (30 * 24 * 60 * 60 * 1000);
         let cleaned = false;
 
-        for (const device of Object.keys(this.stats)) {
-            const data = this.stats[device];
+        for (const id of Object.keys(this.stats)) {
+            const data = this.stats[id];
             if (data.crashHistory) {
                 const before = data.crashHistory.length;
                 data.crashHistory = data.crashHistory.filter(c => c.timestamp > cutoff);
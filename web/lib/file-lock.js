@@ -0,0 +1,39 @@
+/**
+ * File Lock Module
+ *
+ * Holds the same flock(1) locks autorip.sh takes around shared files, so
+ * the server can rewrite those files without racing the bash writers.
+ */
+
+const { spawn } = require('child_process');
+
+/**
+ * Run `fn` while holding an exclusive flock on lockFile
+ * Waits up to `timeout` seconds for the lock
+ */
+async function withFileLock(lockFile, fn, timeout = 10) {
+    // flock keeps the lock until its child shell exits; the shell
+    // reports once it runs and exits when we close its stdin
+    const holder = spawn('flock', ['-x', '-w', String(timeout), lockFile, '-c', 'echo locked; read _'], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    holder.stdin.on('error', () => {}); // EPIPE if flock already exited
+
+    try {
+        await new Promise((resolve, reject) => {
+            let stderr = '';
+            holder.stdout.on('data', resolve);
+            holder.stderr.on('data', (data) => { stderr += data; });
+            holder.on('error', reject);
+            holder.on('exit', (code) => {
+                reject(new Error(`Could not lock ${lockFile}${stderr ? `: ${stderr.trim()}` : ` (exit ${code})`}`));
+            });
+        });
+
+        return await fn();
+    } finally {
+        holder.stdin.end();
+    }
+}
+
+module.exports = { withFileLock };
@@ -0,0 +1,96 @@
+/**
+ * History Export Module
+ *
+ * Serializes rip history entries as CSV, pretty JSON or NDJSON, one
+ * chunk at a time so large exports can be streamed.
+ */
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+// CSV columns: [header, value getter]
+const CSV_COLUMNS = [
+    ['id', e => e.id],
+    ['device', e => e.device],
+    ['drive_id', e => e.driveId],
+    ['disc_name', e => e.discName],
+    ['disc_type', e => e.discType],
+    ['status', e => e.status],
+    ['start_time', e => isoTime(e.startTime)],
+    ['end_time', e => isoTime(e.endTime)],
+    ['duration_seconds', e => e.duration],
+    ['wait_seconds', e => e.waitTime],
+    ['output_dir', e => e.outputDir],
+    ['error_message', e => e.errorMessage],
+    ['titles_total', e => e.titlesTotal],
+    ['titles_succeeded', e => e.titlesSucceeded],
+    ['titles_failed', e => e.titlesFailed],
+    ['failed_titles', e => describeFailedTitles(e.failedTitles)],
+];
+
+/**
+ * Yield the serialized export in chunks
+ */
+function* serialize(entries, format) {
+    switch (format) {
+        case 'csv':
+            yield csvLine(CSV_COLUMNS.map(([name]) => name));
+            for (const entry of entries) {
+                yield csvLine(CSV_COLUMNS.map(([, get]) => get(entry)));
+            }
+            break;
+
+        case 'json':
+            yield '[';
+            for (let i = 0; i < entries.length; i++) {
+                const body = JSON.stringify(entries[i], null, 2).replace(/\n/g, '\n  ');
+                yield `${i > 0 ? ',' : ''}\n  ${body}`;
+            }
+            yield entries.length > 0 ? '\n]\n' : ']\n';
+            break;
+
+        case 'ndjson':
+            for (const entry of entries) {
+                yield JSON.stringify(entry) + '\n';
+            }
+            break;
+
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+// One CSV record, quoting fields as needed (RFC 4180). Text that a
+// spreadsheet would run as a formula (disc names, error messages) gets a
+// leading ' so it opens as plain text
+function csvLine(values) {
+    return values.map(value => {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\r\n';
+}
+
+function isoTime(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : '';
+}
+
+// "title 2: error; error" from failedTitles objects
+function describeFailedTitles(failedTitles) {
+    if (!Array.isArray(failedTitles)) {
+        return '';
+    }
+    return failedTitles
+        .map(t => (t.title !== undefined ? `title ${t.title}: ${t.error || ''}` : t.error || ''))
+        .join('; ');
+}
+
+module.exports = {
+    FORMATS,
+    serialize,
+};
@@ -0,0 +1,354 @@
+/**
+ * Rip History Module
+ *
+ * Owns the append-only NDJSON rip history: autorip.sh appends one line
+ * per rip and this module loads new lines incrementally into an in-memory
+ * index, emits an event for each new entry, imports the legacy
+ * history.json and enforces the age/count retention policy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { EventEmitter } = require('events');
+const { withFileLock } = require('./file-lock');
+const { statOrNull, readRange } = require('./log-tailer');
+
+const gzip = promisify(zlib.gzip);
+
+// Taken by autorip.sh around every history append
+const LOCK_FILE = '/tmp/autorip-history.lock';
+
+class RipHistory extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.storeFile = config.historyStore;
+        this.legacyFile = config.historyFile;
+        this.maxAgeDays = config.historyMaxAgeDays; // 0 = no age limit
+        this.maxEntries = config.historyMaxEntries; // 0 = no count limit
+        this.archiveDir = config.historyArchiveDir; // '' = discard pruned entries
+        this.pollInterval = 2000; // 2 seconds
+        this.pruneInterval = 60 * 60 * 1000; // 1 hour
+
+        this.entries = []; // File order, oldest first
+        this.byId = new Map();
+        this.offset = 0; // Bytes of the store already indexed
+        this.ino = null;
+        this.partial = ''; // Incomplete last line
+        this.queue = Promise.resolve(); // Serializes reads and rewrites
+        this.pruneTimer = null;
+        this.watching = false;
+    }
+
+    /**
+     * Import the legacy file, load the store and watch it for new entries
+     */
+    async start() {
+        try {
+            await this.importLegacy();
+        } catch (err) {
+            console.error(`[History] Import of ${this.legacyFile} failed: ${err.message}`);
+        }
+
+        await this.run(() => this.readNew(false)).catch(err => {
+            console.error(`[History] Error reading ${this.storeFile}: ${err.message}`);
+        });
+
+        // Poll with stat: appends don't always trigger fs.watch, and
+        // compaction replaces the file
+        fs.watchFile(this.storeFile, { interval: this.pollInterval }, (curr, prev) => {
+            if (curr.mtimeMs !== prev.mtimeMs || curr.ino !== prev.ino) {
+                this.run(() => this.readNew(true)).catch(err => {
+                    console.error(`[History] Error reading ${this.storeFile}: ${err.message}`);
+                });
+            }
+        });
+        this.watching = true;
+
+        const prune = () => this.prune().catch(err => {
+            console.error(`[History] Retention failed: ${err.message}`);
+        });
+        prune();
+        this.pruneTimer = setInterval(prune, this.pruneInterval);
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        if (this.watching) {
+            fs.unwatchFile(this.storeFile);
+            this.watching = false;
+        }
+        clearInterval(this.pruneTimer);
+    }
+
+    /**
+     * Run a task after every queued read/rewrite has finished
+     */
+    run(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Index lines appended since the last read
+     * Starts over if the file was replaced or truncated; with `emit`,
+     * reports entries not seen before
+     */
+    async readNew(emit) {
+        const stat = await statOrNull(this.storeFile);
+        if (!stat) {
+            return;
+        }
+
+        let known = null;
+        if (stat.ino !== this.ino || stat.size < this.offset) {
+            known = new Set(this.byId.keys());
+            this.resetIndex([]);
+        }
+        this.ino = stat.ino;
+
+        if (stat.size === this.offset) {
+            return;
+        }
+
+        const data = await readRange(this.storeFile, this.offset, stat.size);
+        this.offset += data.length;
+
+        const lines = (this.partial + data.toString('utf8')).split('\n');
+        this.partial = lines.pop();
+
+        for (const entry of parseLines(lines, this.storeFile)) {
+            if (this.addEntry(entry) && emit && !(known && known.has(entry.id))) {
+                this.emit('entry', entry);
+            }
+        }
+    }
+
+    /**
+     * Add an entry to the index; false for duplicates and entries without ID
+     */
+    addEntry(entry) {
+        if (!entry.id || this.byId.has(entry.id)) {
+            return false;
+        }
+        this.entries.push(entry);
+        this.byId.set(entry.id, entry);
+        return true;
+    }
+
+    resetIndex(entries) {
+        this.entries = [];
+        this.byId = new Map();
+        this.partial = '';
+        this.offset = 0;
+        entries.forEach(entry => this.addEntry(entry));
+    }
+
+    /**
+     * Move entries from the legacy history.json array into the store
+     * The legacy file is renamed to *.imported afterwards
+     */
+    async importLegacy() {
+        if (!this.legacyFile) {
+            return;
+        }
+
+        let legacy;
+        try {
+            legacy = JSON.parse(await fs.promises.readFile(this.legacyFile, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return;
+            }
+            throw err;
+        }
+        if (!Array.isArray(legacy)) {
+            throw new Error('expected a JSON array');
+        }
+
+        await fs.promises.mkdir(path.dirname(this.storeFile), { recursive: true });
+        await withFileLock(LOCK_FILE, async () => {
+            const existing = new Set((await readStore(this.storeFile)).map(e => e.id));
+            // Legacy entries are newest first; the store is oldest first
+            const fresh = legacy.filter(e => e && e.id && !existing.has(e.id)).reverse();
+            if (fresh.length > 0) {
+                await fs.promises.appendFile(this.storeFile, fresh.map(e => JSON.stringify(e) + '\n').join(''));
+            }
+            await fs.promises.rename(this.legacyFile, `${this.legacyFile}.imported`);
+            console.log(`[History] Imported ${fresh.length} entries from ${this.legacyFile}`);
+        });
+    }
+
+    /**
+     * Apply the retention policy: drop entries older than maxAgeDays and
+     * all but the newest maxEntries, archiving them if configured
+     */
+    async prune(now = Date.now()) {
+        if (!this.maxAgeDays && !this.maxEntries) {
+            return;
+        }
+
+        await this.run(async () => {
+            if (this.partition(this.entries, now).dropped.length === 0) {
+                return;
+            }
+
+            await withFileLock(LOCK_FILE, async () => {
+                // Re-read under the lock so entries appended meanwhile are kept
+                const { kept, dropped } = this.partition(await readStore(this.storeFile), now);
+                if (dropped.length === 0) {
+                    return;
+                }
+
+                if (this.archiveDir) {
+                    await this.archive(dropped);
+                }
+
+                const tempFile = `${this.storeFile}.tmp`;
+                await fs.promises.writeFile(tempFile, kept.map(e => JSON.stringify(e) + '\n').join(''));
+                await fs.promises.rename(tempFile, this.storeFile);
+
+                // Lines appended since the last poll are indexed here, not by readNew
+                const known = new Set(this.byId.keys());
+                const stat = await fs.promises.stat(this.storeFile);
+                this.resetIndex(kept);
+                this.offset = stat.size;
+                this.ino = stat.ino;
+                for (const entry of kept) {
+                    if (!known.has(entry.id)) {
+                        this.emit('entry', entry);
+                    }
+                }
+                console.log(`[History] Pruned ${dropped.length} entries${this.archiveDir ? ` to ${this.archiveDir}` : ''}`);
+            });
+        });
+    }
+
+    /**
+     * Split entries (oldest first) into those the retention policy keeps and drops
+     */
+    partition(entries, now) {
+        const cutoff = this.maxAgeDays ? now / 1000 - this.maxAgeDays * 24 * 60 * 60 : -Infinity;
+        const firstKept = this.maxEntries ? Math.max(0, entries.length - this.maxEntries) : 0;
+        const kept = [];
+        const dropped = [];
+        entries.forEach((entry, i) => {
+            const time = entry.endTime || entry.startTime || 0;
+            (i >= firstKept && time >= cutoff ? kept : dropped).push(entry);
+        });
+        return { kept, dropped };
+    }
+
+    /**
+     * Append pruned entries to gzipped monthly files (history-YYYY-MM.ndjson.gz)
+     * Each call adds a gzip member; zcat and zlib read them as one stream
+     */
+    async archive(entries) {
+        const months = new Map();
+        for (const entry of entries) {
+            const date = new Date((entry.endTime || entry.startTime || 0) * 1000);
+            const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            if (!months.has(month)) {
+                months.set(month, []);
+            }
+            months.get(month).push(JSON.stringify(entry) + '\n');
+        }
+
+        await fs.promises.mkdir(this.archiveDir, { recursive: true });
+        for (const [month, lines] of months) {
+            const file = path.join(this.archiveDir, `history-${month}.ndjson.gz`);
+            await fs.promises.appendFile(file, await gzip(lines.join('')));
+        }
+    }
+
+    /**
+     * All entries, newest first
+     */
+    async readAll() {
+        return this.entries.slice().reverse();
+    }
+
+    /**
+     * Search, filter, sort and page the history
+     * Filters: device, drive (stable drive ID), status, discType, from/to
+     * (epoch seconds, on startTime) and q (case-insensitive disc name substring)
+     * Returns { entries, total, limit, offset }
+     */
+    async query({ device, drive, status, discType, from, to, q, sort = 'startTime', order = 'desc', limit = 100, offset = 0 } = {}) {
+        const needle = q ? q.toLowerCase() : null;
+        const matches = (await this.readAll()).filter(e =>
+            (!device || e.device === device) &&
+            (!drive || e.driveId === drive) &&
+            (!status || e.status === status) &&
+            (!discType || e.discType === discType) &&
+            (from === undefined || e.startTime >= from) &&
+            (to === undefined || e.startTime <= to) &&
+            (!needle || (e.discName || '').toLowerCase().includes(needle))
+        );
+
+        const direction = order === 'asc' ? 1 : -1;
+        matches.sort((a, b) => direction * compareValues(a[sort], b[sort]));
+
+        return {
+            entries: matches.slice(offset, offset + limit),
+            total: matches.length,
+            limit,
+            offset,
+        };
+    }
+
+    /**
+     * Find an entry by ID (null if unknown)
+     */
+    async getEntry(id) {
+        return this.byId.get(id) || null;
+    }
+}
+
+// Parse NDJSON lines, skipping blank and corrupt ones
+function parseLines(lines, file) {
+    const entries = [];
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (err) {
+            console.error(`[History] Skipping corrupt line in ${file}: ${line.slice(0, 80)}`);
+        }
+    }
+    return entries;
+}
+
+// Read every entry in the store
+async function readStore(file) {
+    try {
+        const data = await fs.promises.readFile(file, 'utf8');
+        return parseLines(data.split('\n'), file);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return [];
+        }
+        throw err;
+    }
+}
+
+// Compare two field values; missing values sort first
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    if (typeof a === 'string' || typeof b === 'string') {
+        return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+    }
+    return a < b ? -1 : 1;
+}
+
+// Fields the history can be sorted by
+RipHistory.SORT_FIELDS = ['startTime', 'endTime', 'duration', 'discName', 'device', 'status', 'discType'];
+
+module.exports = RipHistory;
@@ -0,0 +1,186 @@
+/**
+ * Log Archive Module
+ *
+ * Splits the per-device autorip logs into one session per rip, using the
+ * "Disc detected" start markers and the start/end times recorded in the
+ * history entry, and archives each session under the log directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { resolveWithin } = require('./safe-path');
+
+// "[2024-01-31 18:04:05] [sr0] message" as written by log() in autorip.sh
+const LINE_PATTERN = /^\[(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})\] \[(sr\d+)\] (.*)$/;
+const START_MARKER = /^Disc detected on /;
+const BANNER_PATTERN = /^\[[^\]]+\] \[sr\d+\] =+$/;
+
+// History IDs are UUIDs from /proc/sys/kernel/random/uuid
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class LogArchive {
+    constructor(config, ripHistory) {
+        this.config = config;
+        this.ripHistory = ripHistory;
+        this.archiveDir = path.join(config.logDir, 'autorip-sessions');
+        this.markerSlack = 10; // Seconds between disc detection and the start marker
+        this.endGrace = 60; // Seconds of output (eject, cleanup) kept after endTime
+        this.timers = new Set();
+    }
+
+    /**
+     * Archive each new rip once its trailing output has been written
+     */
+    start() {
+        this.ripHistory.on('entry', (entry) => {
+            const timer = setTimeout(() => {
+                this.timers.delete(timer);
+                this.archive(entry).catch(err => {
+                    console.error(`[LogArchive] Error archiving log for ${entry.id}: ${err.message}`);
+                });
+            }, this.endGrace * 1000);
+            this.timers.add(timer);
+        });
+    }
+
+    /**
+     * Cancel pending archive jobs
+     */
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    /**
+     * Path of the archived session for a history entry
+     */
+    archiveFile(id) {
+        if (!ID_PATTERN.test(id)) {
+            return null;
+        }
+        return resolveWithin(this.archiveDir, `${id}.log`);
+    }
+
+    /**
+     * Get the log of one rip: from the archive if present, otherwise
+     * segmented from the device log (and archived once the rip is over)
+     * Returns null if the output is no longer in the device log
+     */
+    async getLog(entry) {
+        const file = this.archiveFile(entry.id);
+        if (file) {
+            try {
+                return await fs.promises.readFile(file, 'utf8');
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            }
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (now > entry.endTime + this.endGrace) {
+            return this.archive(entry);
+        }
+        const lines = await this.extract(entry);
+        return lines ? lines.join('\n') + '\n' : null;
+    }
+
+    /**
+     * Write a rip's session to the archive
+     * Returns the archived text, or null if the session was not found
+     */
+    async archive(entry) {
+        const file = this.archiveFile(entry.id);
+        const lines = await this.extract(entry);
+        if (!lines) {
+            return null;
+        }
+
+        const text = lines.join('\n') + '\n';
+        if (file) {
+            await fs.promises.mkdir(this.archiveDir, { recursive: true });
+            const tempFile = `${file}.tmp`;
+            await fs.promises.writeFile(tempFile, text);
+            await fs.promises.rename(tempFile, file);
+            console.log(`[LogArchive] Archived ${lines.length} log lines for ${entry.device} rip ${entry.id}`);
+        }
+        return text;
+    }
+
+    /**
+     * Find a rip's session in its device log
+     * The session starts at the start marker logged when the disc was
+     * detected (startTime less the review and queue waitTime) and
+     * runs until the next start marker or the first line after the grace
+     * period following endTime. Untimestamped tool output in between is kept.
+     */
+    async extract(entry) {
+        if (!entry.device || !entry.startTime) {
+            return null;
+        }
+
+        let logFile;
+        try {
+            logFile = resolveWithin(this.config.logDir, `autorip-${entry.device}.log`);
+        } catch (err) {
+            return null;
+        }
+
+        const detectedAt = entry.startTime - (entry.waitTime || 0);
+        const endLimit = (entry.endTime || entry.startTime) + this.endGrace;
+        let result = null;
+        let previous = null;
+
+        let stream;
+        try {
+            stream = fs.createReadStream(logFile, { encoding: 'utf8' });
+            await new Promise((resolve, reject) => {
+                stream.once('open', resolve);
+                stream.once('error', reject);
+            });
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw err;
+        }
+
+        const reader = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        for await (const line of reader) {
+            const match = line.match(LINE_PATTERN);
+            const time = match ? parseLogTime(match) : null;
+            const isMarker = !!match && START_MARKER.test(match[8]);
+
+            if (result) {
+                if (isMarker) {
+                    // Leave the next rip's "=====" banner to it
+                    if (BANNER_PATTERN.test(result[result.length - 1])) {
+                        result.pop();
+                    }
+                    break;
+                }
+                if (time !== null && time > endLimit) {
+                    break;
+                }
+                result.push(line);
+            } else if (isMarker && Math.abs(time - detectedAt) <= this.markerSlack) {
+                result = previous !== null && BANNER_PATTERN.test(previous) ? [previous, line] : [line];
+            }
+            previous = line;
+        }
+
+        reader.close();
+        stream.destroy();
+        return result;
+    }
+}
+
+// Parse the local-time timestamp of a log line into epoch seconds
+function parseLogTime(match) {
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return Math.floor(new Date(year, month - 1, day, hour, minute, second).getTime() / 1000);
+}
+
+module.exports = LogArchive;
@@ -0,0 +1,225 @@
+/**
+ * Log Tailer Module
+ *
+ * Follows per-device autorip log files by byte offset, emitting only new
+ * lines and coping with truncation and rotation. Also reads backwards
+ * from any offset so clients can page through earlier output.
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { resolveWithin } = require('./safe-path');
+
+class LogTailer extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.logDir = config.logDir;
+        this.pollInterval = 1000; // 1 second
+        this.chunkSize = 64 * 1024;
+        this.maxReadPerPoll = 1024 * 1024; // Catch up at most 1MB per poll
+        this.tails = new Map(); // device -> tail state
+    }
+
+    /**
+     * Path of a device's log file
+     */
+    logFile(device) {
+        return resolveWithin(this.logDir, `autorip-${device}.log`);
+    }
+
+    /**
+     * Start following a device (reference counted)
+     * Registers synchronously; resolves with the byte offset new lines will be reported from
+     */
+    subscribe(device) {
+        const existing = this.tails.get(device);
+        if (existing) {
+            existing.subscribers++;
+            return existing.ready || Promise.resolve(existing.offset - Buffer.byteLength(existing.partial));
+        }
+
+        const tail = {
+            device,
+            file: this.logFile(device),
+            subscribers: 1,
+            offset: 0,
+            ino: null,
+            partial: '',
+            reading: false,
+            timer: null,
+            ready: null,
+        };
+        this.tails.set(device, tail);
+
+        // Start at the current end of the file, then poll for growth
+        tail.ready = statOrNull(tail.file)
+            .catch(() => null)
+            .then(stat => {
+                if (stat) {
+                    tail.offset = stat.size;
+                    tail.ino = stat.ino;
+                }
+                tail.ready = null;
+                if (this.tails.get(device) === tail) {
+                    tail.timer = setInterval(() => this.poll(tail), this.pollInterval);
+                }
+                return tail.offset;
+            });
+        return tail.ready;
+    }
+
+    /**
+     * Stop following a device once no subscriber is left
+     */
+    unsubscribe(device) {
+        const tail = this.tails.get(device);
+        if (!tail) {
+            return;
+        }
+        tail.subscribers--;
+        if (tail.subscribers <= 0) {
+            clearInterval(tail.timer);
+            this.tails.delete(device);
+        }
+    }
+
+    /**
+     * Stop all tails
+     */
+    stop() {
+        for (const tail of this.tails.values()) {
+            clearInterval(tail.timer);
+        }
+        this.tails.clear();
+    }
+
+    /**
+     * Check a tailed file for new data
+     * Emits 'reset' (device) on truncation/rotation and
+     * 'lines' (device, lines, startOffset) for new complete lines
+     */
+    async poll(tail) {
+        if (tail.reading) {
+            return;
+        }
+        tail.reading = true;
+
+        try {
+            const stat = await statOrNull(tail.file);
+            if (!stat) {
+                return;
+            }
+
+            // New inode (rotated/recreated) or shrunk (truncated): start over
+            if ((tail.ino !== null && stat.ino !== tail.ino) || stat.size < tail.offset) {
+                tail.offset = 0;
+                tail.partial = '';
+                this.emit('reset', tail.device);
+            }
+            tail.ino = stat.ino;
+
+            if (stat.size === tail.offset) {
+                return;
+            }
+
+            const end = Math.min(stat.size, tail.offset + this.maxReadPerPoll);
+            const data = await readRange(tail.file, tail.offset, end);
+            const startOffset = tail.offset - Buffer.byteLength(tail.partial);
+            tail.offset = end;
+
+            const text = tail.partial + data.toString('utf8');
+            const lines = text.split('\n');
+            tail.partial = lines.pop();
+
+            if (lines.length > 0) {
+                this.emit('lines', tail.device, lines, startOffset);
+            }
+        } catch (err) {
+            console.error(`[LogTailer] Error reading ${tail.file}: ${err.message}`);
+        } finally {
+            tail.reading = false;
+        }
+    }
+
+    /**
+     * Read up to maxLines complete lines ending before byte offset `before`
+     * (end of file when omitted), scanning backwards in chunks
+     * Returns { lines, start, end, size } where start is the offset of the first line
+     */
+    async readBackward(device, maxLines, before = null) {
+        const file = this.logFile(device);
+        const stat = await statOrNull(file);
+        if (!stat) {
+            return { lines: [], start: 0, end: 0, size: 0 };
+        }
+
+        const end = before === null ? stat.size : Math.min(Math.max(before, 0), stat.size);
+        let start = end;
+        let buffer = Buffer.alloc(0);
+        let newlines = 0;
+
+        // Drop a trailing newline so it doesn't count as an empty line
+        let scanEnd = end;
+        if (end > 0) {
+            const last = await readRange(file, end - 1, end);
+            if (last[0] === 0x0a) {
+                scanEnd = end - 1;
+                start = scanEnd;
+            }
+        }
+
+        while (start > 0 && newlines <= maxLines) {
+            const chunkStart = Math.max(0, start - this.chunkSize);
+            const chunk = await readRange(file, chunkStart, start);
+            buffer = Buffer.concat([chunk, buffer]);
+            start = chunkStart;
+            for (const byte of chunk) {
+                if (byte === 0x0a) newlines++;
+            }
+        }
+
+        if (start > 0 || newlines >= maxLines) {
+            // Keep only the last maxLines lines. Cut at the newline in the
+            // bytes: the chunk may begin mid-character, so the decoded text
+            // would not give back the byte offset
+            let cut = buffer.length;
+            for (let i = 0; i < maxLines; i++) {
+                cut = buffer.lastIndexOf(0x0a, cut - 1);
+            }
+            buffer = buffer.subarray(cut + 1);
+            start += cut + 1;
+        }
+        const lines = buffer.toString('utf8').split('\n');
+
+        return { lines, start, end: scanEnd, size: stat.size };
+    }
+}
+
+async function statOrNull(file) {
+    try {
+        return await fs.promises.stat(file);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw err;
+    }
+}
+
+// Read bytes [start, end) from a file
+async function readRange(file, start, end) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const buffer = Buffer.alloc(end - start);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+LogTailer.statOrNull = statOrNull;
+LogTailer.readRange = readRange;
+
+module.exports = LogTailer;
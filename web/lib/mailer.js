@@ -0,0 +1,156 @@
+/**
+ * Mailer Module
+ *
+ * Sends alert emails through a configured SMTP server. Every message
+ * carries both a plain-text and an HTML part.
+ */
+
+const nodemailer = require('nodemailer');
+
+class Mailer {
+    constructor(config) {
+        this.config = config;
+        this.from = config.mailFrom;
+        this.to = (config.mailTo || '').split(',').map(a => a.trim()).filter(Boolean);
+        this.transport = null;
+
+        if (config.smtpHost) {
+            this.transport = nodemailer.createTransport({
+                host: config.smtpHost,
+                port: config.smtpPort,
+                secure: config.smtpSecure,
+                auth: config.smtpUser ? { user: config.smtpUser, pass: config.smtpPass } : undefined,
+            });
+        }
+    }
+
+    /**
+     * Email is enabled when an SMTP host and at least one recipient are set
+     */
+    isEnabled() {
+        return !!this.transport && this.to.length > 0;
+    }
+
+    /**
+     * Send a message to the configured recipients
+     */
+    async send({ subject, text, html }) {
+        if (!this.isEnabled()) {
+            throw new Error('Email is not configured');
+        }
+
+        const info = await this.transport.sendMail({
+            from: this.from,
+            to: this.to.join(', '),
+            subject: `[Autorip] ${subject}`,
+            text,
+            html,
+        });
+        console.log(`[Mailer] Sent "${subject}" to ${this.to.length} recipients`);
+        return info;
+    }
+
+    /**
+     * Send without throwing (for fire-and-forget alerts)
+     */
+    trySend(message) {
+        if (!this.isEnabled()) {
+            return;
+        }
+        this.send(message).catch(err => {
+            console.error(`[Mailer] Error sending "${message.subject}": ${err.message}`);
+        });
+    }
+
+    /**
+     * Alert that a drive has crashed
+     */
+    sendCrashAlert(drive, stats) {
+        const rows = [
+            ['Drive', drive.device],
+            ['Hardware', `${stats.label} (${stats.id})`],
+            ['Disc', drive.discName || 'Unknown'],
+            ['Error', drive.errorMessage || '-'],
+            ['Crashes this week', stats.crashesThisWeek],
+            ['Health', stats.health],
+        ];
+
+        this.trySend({
+            subject: `Drive ${drive.device} crashed`,
+            text: `Drive ${drive.device} has crashed.\n\n${textTable(rows)}`,
+            html: `<p>Drive <strong>${escapeHtml(drive.device)}</strong> has crashed.</p>${htmlTable(rows)}`,
+        });
+    }
+
+    /**
+     * Alert that a drive was quarantined and is no longer reset automatically
+     */
+    sendQuarantineAlert(device, quarantine, stats) {
+        const rows = [
+            ['Drive', device],
+            ['Hardware', `${stats.label} (${stats.id})`],
+            ['Reason', quarantine.reason],
+            ['Crashes this week', stats.crashesThisWeek],
+            ['Health', stats.health],
+        ];
+        const advice = 'Automatic bus resets are stopped for this drive. Check the hardware, ' +
+            'then release the quarantine from the dashboard.';
+
+        this.trySend({
+            subject: `Drive ${device} quarantined`,
+            text: `${advice}\n\n${textTable(rows)}`,
+            html: `<p>${escapeHtml(advice)}</p>${htmlTable(rows)}`,
+        });
+    }
+
+    /**
+     * Alert that a drive's health rating has degraded
+     */
+    sendHealthAlert(device, stats) {
+        const advice = stats.health === 'replace' ?
+            'This drive crashes frequently and should be replaced.' :
+            'This drive is crashing more often than usual.';
+        const rows = [
+            ['Drive', device],
+            ['Hardware', `${stats.label} (${stats.id})`],
+            ['Health', stats.health],
+            ['Crashes this week', stats.crashesThisWeek],
+            ['Crashes this month', stats.crashesThisMonth],
+            ['Total crashes', stats.crashCount],
+        ];
+
+        this.trySend({
+            subject: `Drive ${device} health: ${stats.health}`,
+            text: `${advice}\n\n${textTable(rows)}`,
+            html: `<p>${escapeHtml(advice)}</p>${htmlTable(rows)}`,
+        });
+    }
+}
+
+// Render label/value rows as aligned plain text
+function textTable(rows) {
+    const width = Math.max(...rows.map(([label]) => label.length));
+    return rows.map(([label, value]) => `${`${label}:`.padEnd(width + 2)}${value}`).join('\n');
+}
+
+// Render label/value rows as an HTML table
+function htmlTable(rows) {
+    const body = rows.map(([label, value]) =>
+        `<tr><th align="left">${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+    ).join('');
+    return `<table cellpadding="4">${body}</table>`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+Mailer.textTable = textTable;
+Mailer.htmlTable = htmlTable;
+Mailer.escapeHtml = escapeHtml;
+
+module.exports = Mailer;
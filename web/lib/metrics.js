@@ -0,0 +1,200 @@
+/**
+ * Metrics Module
+ *
+ * Renders drive, rip, bus reset and process metrics in the Prometheus
+ * text exposition format.
+ */
+
+const RipCounters = require('./rip-counters');
+
+const DRIVE_STATES = ['idle', 'detecting', 'review', 'queued', 'ripping', 'ejecting', 'error', 'crashed'];
+const HEALTH_STATES = ['good', 'warning', 'replace'];
+const RESET_OUTCOMES = ['recovered', 'renamed', 'dead'];
+
+class Metrics {
+    constructor(config, { statusCollector, driveStats, driveInventory, busManager, ripHistory, ripCounters, getClientCount }) {
+        this.config = config;
+        this.statusCollector = statusCollector;
+        this.driveInventory = driveInventory;
+        this.driveStats = driveStats;
+        this.busManager = busManager;
+        this.ripHistory = ripHistory;
+        this.ripCounters = ripCounters;
+        this.getClientCount = getClientCount;
+    }
+
+    /**
+     * Render all metrics
+     */
+    async render() {
+        const out = [];
+
+        const drives = await this.statusCollector.getDrives();
+        this.renderDrives(out, drives);
+        await this.renderDriveInfo(out, drives);
+        this.renderDriveStats(out, this.driveStats.getAll());
+        this.ripCounters.sync(await this.ripHistory.readAll());
+        this.renderRips(out, this.ripCounters);
+        this.renderBusResets(out, this.busManager.getResetCounters());
+        this.renderProcess(out);
+
+        return out.join('\n') + '\n';
+    }
+
+    /**
+     * Per-device state and progress from the status collector
+     */
+    renderDrives(out, drives) {
+        header(out, 'autorip_drive_state', 'gauge', 'Current drive state (1 for the active state)');
+        for (const drive of drives) {
+            const states = DRIVE_STATES.includes(drive.state) ? DRIVE_STATES : [...DRIVE_STATES, drive.state];
+            for (const state of states) {
+                sample(out, 'autorip_drive_state', { device: drive.device, state }, drive.state === state ? 1 : 0);
+            }
+        }
+
+        header(out, 'autorip_drive_progress_percent', 'gauge', 'Progress of the current rip');
+        for (const drive of drives) {
+            sample(out, 'autorip_drive_progress_percent', { device: drive.device }, drive.progress);
+        }
+
+        header(out, 'autorip_drive_elapsed_seconds', 'gauge', 'Seconds since the current rip started');
+        for (const drive of drives) {
+            sample(out, 'autorip_drive_elapsed_seconds', { device: drive.device }, drive.elapsed);
+        }
+    }
+
+    /**
+     * Hardware of each present drive, to join with the crash counters on `drive`
+     */
+    async renderDriveInfo(out, drives) {
+        header(out, 'autorip_drive_info', 'gauge', 'Drive hardware (always 1)');
+        for (const drive of drives) {
+            const inventory = await this.driveInventory.get(drive.device);
+            const bridge = inventory.usb ? inventory.usb.bridge : null;
+            sample(out, 'autorip_drive_info', {
+                drive: drive.identity.id,
+                device: drive.device,
+                vendor: inventory.vendor || '',
+                model: inventory.model || '',
+                firmware: inventory.firmware || '',
+                bridge: bridge ? `${bridge.vendorId}:${bridge.productId}` : '',
+                usb_speed: inventory.usb && inventory.usb.speed ? inventory.usb.speed : '',
+            }, 1);
+        }
+    }
+
+    /**
+     * Crash/reset counters and health from drive stats
+     */
+    renderDriveStats(out, stats) {
+        const entries = Object.values(stats);
+
+        header(out, 'autorip_drive_crashes_total', 'counter', 'Crashes detected per drive');
+        for (const s of entries) {
+            sample(out, 'autorip_drive_crashes_total', { drive: s.id, device: s.device || '' }, s.crashCount);
+        }
+
+        header(out, 'autorip_drive_resets_total', 'counter', 'Bus resets recorded per drive');
+        for (const s of entries) {
+            sample(out, 'autorip_drive_resets_total', { drive: s.id, device: s.device || '' }, s.resetCount);
+        }
+
+        header(out, 'autorip_drive_reset_outcomes_total', 'counter', 'Verified bus reset outcomes per drive');
+        for (const s of entries) {
+            for (const outcome of RESET_OUTCOMES) {
+                sample(out, 'autorip_drive_reset_outcomes_total', { drive: s.id, device: s.device || '', outcome }, s.resetOutcomes[outcome] || 0);
+            }
+        }
+
+        header(out, 'autorip_drive_crashes_week', 'gauge', 'Crashes in the last 7 days per drive');
+        for (const s of entries) {
+            sample(out, 'autorip_drive_crashes_week', { drive: s.id, device: s.device || '' }, s.crashesThisWeek);
+        }
+
+        header(out, 'autorip_drive_health', 'gauge', 'Drive health rating (1 for the current rating)');
+        for (const s of entries) {
+            for (const health of HEALTH_STATES) {
+                sample(out, 'autorip_drive_health', { drive: s.id, device: s.device || '', health }, s.health === health ? 1 : 0);
+            }
+        }
+    }
+
+    /**
+     * Rip outcomes and durations, counted across history pruning
+     */
+    renderRips(out, ripCounters) {
+        header(out, 'autorip_rips_total', 'counter', 'Finished rips by outcome');
+        for (const { device, discType, status, count } of ripCounters.getRips()) {
+            sample(out, 'autorip_rips_total', { device, disc_type: discType, status }, count);
+        }
+
+        header(out, 'autorip_rip_duration_seconds', 'histogram', 'Rip duration');
+        for (const [discType, hist] of Object.entries(ripCounters.getDurations())) {
+            RipCounters.DURATION_BUCKETS.forEach((le, i) => {
+                sample(out, 'autorip_rip_duration_seconds_bucket', { disc_type: discType, le: String(le) }, hist.buckets[i]);
+            });
+            sample(out, 'autorip_rip_duration_seconds_bucket', { disc_type: discType, le: '+Inf' }, hist.count);
+            sample(out, 'autorip_rip_duration_seconds_sum', { disc_type: discType }, hist.sum);
+            sample(out, 'autorip_rip_duration_seconds_count', { disc_type: discType }, hist.count);
+        }
+    }
+
+    /**
+     * Bus reset attempts and failures since the server started
+     */
+    renderBusResets(out, counters) {
+        header(out, 'autorip_bus_reset_attempts_total', 'counter', 'Bus reset attempts since server start');
+        for (const [bus, c] of Object.entries(counters)) {
+            sample(out, 'autorip_bus_reset_attempts_total', { bus }, c.attempts);
+        }
+
+        header(out, 'autorip_bus_reset_failures_total', 'counter', 'Bus resets that failed or left drives dead since server start');
+        for (const [bus, c] of Object.entries(counters)) {
+            sample(out, 'autorip_bus_reset_failures_total', { bus }, c.failures);
+        }
+    }
+
+    /**
+     * Metrics about the dashboard process itself
+     */
+    renderProcess(out) {
+        const cpu = process.cpuUsage();
+        const memory = process.memoryUsage();
+
+        header(out, 'process_cpu_seconds_total', 'counter', 'User and system CPU time spent in seconds');
+        sample(out, 'process_cpu_seconds_total', {}, (cpu.user + cpu.system) / 1e6);
+
+        header(out, 'process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes');
+        sample(out, 'process_resident_memory_bytes', {}, memory.rss);
+
+        header(out, 'nodejs_heap_used_bytes', 'gauge', 'V8 heap used in bytes');
+        sample(out, 'nodejs_heap_used_bytes', {}, memory.heapUsed);
+
+        header(out, 'process_start_time_seconds', 'gauge', 'Start time of the process since unix epoch in seconds');
+        sample(out, 'process_start_time_seconds', {}, Math.floor(Date.now() / 1000 - process.uptime()));
+
+        header(out, 'autorip_websocket_clients', 'gauge', 'Connected dashboard WebSocket clients');
+        sample(out, 'autorip_websocket_clients', {}, this.getClientCount());
+    }
+}
+
+// Write HELP and TYPE lines
+function header(out, name, type, help) {
+    out.push(`# HELP ${name} ${help}`);
+    out.push(`# TYPE ${name} ${type}`);
+}
+
+// Write a single sample line
+function sample(out, name, labels, value) {
+    const pairs = Object.entries(labels)
+        .map(([key, val]) => `${key}="${escapeLabel(val)}"`)
+        .join(',');
+    out.push(`${name}${pairs ? `{${pairs}}` : ''} ${Number(value) || 0}`);
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+module.exports = Metrics;
@@ -0,0 +1,256 @@
+/**
+ * MQTT Publisher Module
+ *
+ * Publishes drive state to an MQTT broker as retained topics, announces
+ * the drives to Home Assistant via MQTT discovery and accepts bus reset
+ * commands. Topics and entities are named after the drive's stable
+ * identity (see drive-identity.js), so a drive that comes back under
+ * another srN name keeps its Home Assistant device.
+ */
+
+const os = require('os');
+const mqtt = require('mqtt');
+
+// Sensors announced per drive: [key, name, icon, extra discovery fields]
+const SENSORS = [
+    ['state', 'State', 'mdi:disc-player', {}],
+    ['disc', 'Disc', 'mdi:disc', {}],
+    ['progress', 'Progress', 'mdi:progress-clock', { unit_of_measurement: '%', state_class: 'measurement' }],
+    ['health', 'Health', 'mdi:heart-pulse', {}],
+    ['crashes', 'Crashes this week', 'mdi:alert-circle', { state_class: 'measurement' }],
+];
+
+class MqttPublisher {
+    constructor(config, { onResetCommand }) {
+        this.config = config;
+        this.prefix = config.mqttTopic;
+        this.discoveryPrefix = config.mqttDiscoveryPrefix;
+        this.commandsEnabled = config.mqttCommands;
+        this.onResetCommand = onResetCommand;
+        this.connectTimeout = 10000; // ms to wait for the broker's CONNACK
+        this.minReconnectDelay = 1000;
+        this.maxReconnectDelay = 30000;
+        this.client = null;
+        this.stopping = false;
+        this.wasConnected = false;
+        this.published = new Map(); // topic -> last payload, to skip unchanged values
+        this.announced = new Set(); // drive keys with discovery configs sent
+        this.lastDrives = [];
+    }
+
+    /**
+     * Connect to the broker if one is configured
+     */
+    start() {
+        if (!this.config.mqttUrl) {
+            return;
+        }
+
+        const host = new URL(this.config.mqttUrl).host;
+        this.stopping = false;
+        this.client = mqtt.connect(this.config.mqttUrl, {
+            clientId: `autorip-web-${os.hostname()}`,
+            protocolVersion: 4, // MQTT 3.1.1
+            clean: true,
+            will: { topic: this.availabilityTopic(), payload: 'offline', retain: true, qos: 0 },
+            connectTimeout: this.connectTimeout,
+            reconnectPeriod: this.minReconnectDelay,
+            queueQoSZero: false, // Republished on connect anyway
+        });
+
+        this.client.on('connect', () => {
+            console.log(`[MQTT] Connected to ${host}`);
+            this.wasConnected = true;
+            this.client.options.reconnectPeriod = this.minReconnectDelay;
+            // Broker may have restarted without our retained topics
+            this.published.clear();
+            this.announced.clear();
+            this.client.publish(this.availabilityTopic(), 'online', { retain: true });
+            if (this.commandsEnabled) {
+                this.client.subscribe(`${this.prefix}/+/reset/set`);
+            }
+            this.publishDrives(this.lastDrives);
+        });
+
+        // Failed attempts (refused, CONNACK timeout) back off up to 30s
+        this.client.on('close', () => {
+            if (this.stopping) {
+                return;
+            }
+            if (this.wasConnected) {
+                console.log('[MQTT] Connection lost, reconnecting');
+                this.wasConnected = false;
+            } else {
+                this.client.options.reconnectPeriod = Math.min(this.client.options.reconnectPeriod * 2, this.maxReconnectDelay);
+            }
+        });
+
+        this.client.on('error', (err) => {
+            console.error(`[MQTT] ${err.message}`);
+        });
+
+        this.client.on('message', (topic, payload) => this.handleCommand(topic, payload.toString('utf8')));
+    }
+
+    /**
+     * Publish offline status and disconnect
+     */
+    stop() {
+        if (this.client) {
+            this.stopping = true;
+            if (this.client.connected) {
+                this.client.publish(this.availabilityTopic(), 'offline', { retain: true });
+            }
+            this.client.end();
+        }
+    }
+
+    availabilityTopic() {
+        return `${this.prefix}/status`;
+    }
+
+    /**
+     * Publish state for every drive (called on StatusCollector 'update')
+     */
+    publishDrives(drives) {
+        this.lastDrives = drives;
+        if (!this.client || !this.client.connected) {
+            return;
+        }
+
+        for (const drive of drives) {
+            const key = driveKey(drive);
+            if (!this.announced.has(key)) {
+                this.announceDrive(key, drive);
+            }
+
+            const stats = drive.stats || {};
+            const base = `${this.prefix}/${key}`;
+            this.publishRetained(`${base}/state`, drive.state);
+            this.publishRetained(`${base}/disc`, drive.discName || 'None');
+            this.publishRetained(`${base}/progress`, drive.progress);
+            this.publishRetained(`${base}/health`, stats.health || 'good');
+            this.publishRetained(`${base}/crashes`, stats.crashesThisWeek || 0);
+            this.publishRetained(`${base}/attributes`, JSON.stringify({
+                disc_type: drive.discType,
+                operation: drive.operation,
+                title_current: drive.titleCurrent,
+                title_total: drive.titleTotal,
+                elapsed: drive.elapsed,
+                error: drive.errorMessage,
+                crash_count: stats.crashCount || 0,
+                device: drive.device,
+                drive_id: drive.identity ? drive.identity.id : null,
+                drive_label: drive.identity ? drive.identity.label : null,
+            }));
+        }
+    }
+
+    /**
+     * Publish a retained value only when it changed
+     */
+    publishRetained(topic, payload) {
+        const value = String(payload);
+        if (this.published.get(topic) === value) {
+            return;
+        }
+        if (!this.client.connected) {
+            return;
+        }
+        this.client.publish(topic, value, { retain: true });
+        this.published.set(topic, value);
+    }
+
+    /**
+     * Send Home Assistant discovery configs for one drive
+     */
+    announceDrive(key, drive) {
+        const objectId = `autorip_${key}`;
+        const base = `${this.prefix}/${key}`;
+        const haDevice = {
+            identifiers: [objectId],
+            name: `Autorip ${drive.identity ? drive.identity.label : drive.device}`,
+            manufacturer: 'bash-autorip',
+            model: 'Optical drive',
+        };
+        const common = {
+            availability_topic: this.availabilityTopic(),
+            device: haDevice,
+        };
+
+        for (const [sensor, name, icon, extra] of SENSORS) {
+            const config = {
+                ...common,
+                name,
+                unique_id: `${objectId}_${sensor}`,
+                state_topic: `${base}/${sensor}`,
+                icon,
+                ...extra,
+            };
+            if (sensor === 'state') {
+                config.json_attributes_topic = `${base}/attributes`;
+            }
+            this.client.publish(`${this.discoveryPrefix}/sensor/${objectId}/${sensor}/config`, JSON.stringify(config), { retain: true });
+        }
+
+        if (this.commandsEnabled) {
+            this.client.publish(`${this.discoveryPrefix}/button/${objectId}/reset/config`, JSON.stringify({
+                ...common,
+                name: 'Reset bus',
+                unique_id: `${objectId}_reset`,
+                command_topic: `${base}/reset/set`,
+                payload_press: 'RESET',
+                icon: 'mdi:restart-alert',
+            }), { retain: true });
+        }
+
+        this.announced.add(key);
+    }
+
+    /**
+     * Handle "<prefix>/<drive>/reset/set" commands
+     * Payload RESET refuses while drives on the bus are ripping; FORCE does not
+     */
+    async handleCommand(topic, payload) {
+        const match = topic.match(new RegExp(`^${escapeRegExp(this.prefix)}/([^/]+)/reset/set$`));
+        if (!match) {
+            return;
+        }
+
+        const key = match[1];
+        const drive = this.lastDrives.find(d => driveKey(d) === key);
+        if (!drive) {
+            console.log(`[MQTT] Ignoring reset for unknown drive ${key}`);
+            return;
+        }
+
+        const device = drive.device;
+        const command = payload.trim().toUpperCase();
+        if (command !== 'RESET' && command !== 'FORCE') {
+            console.log(`[MQTT] Ignoring unknown reset payload for ${device}: ${payload}`);
+            return;
+        }
+
+        console.log(`[MQTT] Reset requested for ${device}${command === 'FORCE' ? ' (forced)' : ''}`);
+        try {
+            const result = await this.onResetCommand(device, command === 'FORCE');
+            this.client.publish(`${this.prefix}/${key}/reset/result`, JSON.stringify(result));
+        } catch (err) {
+            console.error(`[MQTT] Reset for ${device} failed: ${err.message}`);
+            this.client.publish(`${this.prefix}/${key}/reset/result`, JSON.stringify({ error: err.message }));
+        }
+    }
+}
+
+// Topic level and discovery object ID of a drive: its identity with
+// MQTT wildcards and other characters Home Assistant rejects replaced
+function driveKey(drive) {
+    const id = drive.identity ? drive.identity.id : drive.device;
+    return id.replace(/[^A-Za-z0-9_-]+/g, '_');
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = MqttPublisher;
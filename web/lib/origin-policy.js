@@ -0,0 +1,115 @@
+/**
+ * Origin Policy Module
+ *
+ * Decides which browser origins may call the API, emits matching CORS
+ * headers and guards state-changing requests against cross-site forgery.
+ */
+
+// Header app.js attaches to every state-changing request. Browsers will not
+// send a custom header cross-origin without a CORS preflight, which we only
+// grant to allowed origins.
+const CSRF_HEADER = 'x-autorip-request';
+
+class OriginPolicy {
+    constructor(config) {
+        this.config = config;
+        this.allowedOrigins = (config.allowedOrigins || '')
+            .split(',')
+            .map(o => o.trim().replace(/\/+$/, '').toLowerCase())
+            .filter(Boolean);
+    }
+
+    /**
+     * Get the origin a browser request came from
+     * Falls back to the Referer when no Origin header is sent
+     */
+    getRequestOrigin(req) {
+        const origin = req.headers.origin;
+        if (origin && origin !== 'null') {
+            return origin.toLowerCase();
+        }
+        if (origin === 'null') {
+            return 'null';
+        }
+
+        const referer = req.headers.referer;
+        if (referer) {
+            try {
+                return new URL(referer).origin.toLowerCase();
+            } catch (err) {
+                return 'null';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether an origin may talk to this server
+     * Same-origin requests (origin host matches the Host header) are always allowed
+     */
+    isAllowed(origin, host) {
+        if (!origin || origin === 'null') {
+            return false;
+        }
+        if (this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin)) {
+            return true;
+        }
+        try {
+            return !!host && new URL(origin).host === host.toLowerCase();
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Set CORS headers for allowed cross-origin callers
+     * Returns false when the request came from a disallowed origin
+     */
+    applyCorsHeaders(req, res) {
+        const origin = req.headers.origin;
+        res.setHeader('Vary', 'Origin');
+
+        if (!origin) {
+            return true;
+        }
+        if (!this.isAllowed(origin.toLowerCase(), req.headers.host)) {
+            return false;
+        }
+
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', `Content-Type, Authorization, ${CSRF_HEADER}`);
+        return true;
+    }
+
+    /**
+     * Validate a state-changing request
+     * Returns an error message, or null if the request may proceed
+     */
+    checkStateChange(req) {
+        const origin = this.getRequestOrigin(req);
+
+        // Requests without Origin/Referer come from non-browser clients
+        if (origin !== null && !this.isAllowed(origin, req.headers.host)) {
+            return `Origin ${origin} not allowed`;
+        }
+
+        if (req.headers[CSRF_HEADER] !== '1') {
+            return `Missing ${CSRF_HEADER} header`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate a WebSocket upgrade's Origin header
+     */
+    checkUpgrade(req) {
+        const origin = req.headers.origin;
+        return !origin || this.isAllowed(origin.toLowerCase(), req.headers.host);
+    }
+}
+
+OriginPolicy.CSRF_HEADER = CSRF_HEADER;
+
+module.exports = OriginPolicy;
@@ -0,0 +1,167 @@
+/**
+ * Output Browser Module
+ *
+ * Read-only access to the rip output root: directory listings and file
+ * lookups for downloads. Every path, including symlink targets, must
+ * stay inside the root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PathError, resolveWithin } = require('./safe-path');
+
+class OutputBrowser {
+    constructor(config) {
+        this.config = config;
+        this.outputRoot = path.resolve(config.outputDir);
+    }
+
+    /**
+     * Real path of the output root
+     */
+    async root() {
+        try {
+            return await fs.promises.realpath(this.outputRoot);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                throw new PathError(404, 'Output directory not found');
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Resolve an absolute directory (e.g. a history outputDir), following
+     * symlinks; null if it is missing or outside the root
+     */
+    async confine(dir) {
+        if (!dir) {
+            return null;
+        }
+        let root;
+        let resolved;
+        try {
+            root = await this.root();
+            resolved = await fs.promises.realpath(dir);
+        } catch (err) {
+            return null;
+        }
+        return isInside(root, resolved) ? resolved : null;
+    }
+
+    /**
+     * Path of a confined directory relative to the root ('' for the root)
+     */
+    async relative(dir) {
+        const resolved = await this.confine(dir);
+        return resolved === null ? null : path.relative(await this.root(), resolved);
+    }
+
+    /**
+     * Resolve a URL-supplied path relative to the root
+     * Returns { file, stat }; throws PathError (400 outside, 404 missing)
+     */
+    async resolve(rawPath) {
+        const root = await this.root();
+        const candidate = resolveWithin(root, rawPath || '');
+
+        let file;
+        try {
+            file = await fs.promises.realpath(candidate);
+        } catch (err) {
+            if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+                throw new PathError(404, 'File not found');
+            }
+            throw err;
+        }
+        // A symlink inside the root may still point outside it
+        if (!isInside(root, file)) {
+            throw new PathError(404, 'File not found');
+        }
+
+        return { file, stat: await fs.promises.stat(file), path: path.relative(root, file) };
+    }
+
+    /**
+     * List a directory: names, types, sizes and modification times
+     */
+    async list(rawPath) {
+        const { file, stat, path: relPath } = await this.resolve(rawPath);
+        if (!stat.isDirectory()) {
+            throw new PathError(400, 'Not a directory');
+        }
+
+        const root = await this.root();
+        const dirents = await fs.promises.readdir(file, { withFileTypes: true });
+        const entries = [];
+        for (const dirent of dirents) {
+            try {
+                // Hide symlinks that lead out of the root
+                if (dirent.isSymbolicLink() &&
+                    !isInside(root, await fs.promises.realpath(path.join(file, dirent.name)))) {
+                    continue;
+                }
+                const entryStat = await fs.promises.stat(path.join(file, dirent.name));
+                entries.push({
+                    name: dirent.name,
+                    type: entryStat.isDirectory() ? 'directory' : 'file',
+                    size: entryStat.isDirectory() ? null : entryStat.size,
+                    mtime: Math.floor(entryStat.mtimeMs / 1000),
+                });
+            } catch (err) {
+                // Dangling symlink or file removed meanwhile
+            }
+        }
+
+        // Directories first, then natural name order
+        entries.sort((a, b) => (a.type === b.type ?
+            a.name.localeCompare(b.name, undefined, { numeric: true }) :
+            (a.type === 'directory' ? -1 : 1)));
+
+        return { path: relPath, entries };
+    }
+}
+
+/**
+ * Parse a single-range "bytes=" Range header for a file of `size` bytes
+ * Returns { start, end } (inclusive), null to send the whole file,
+ * or false if the range cannot be satisfied
+ */
+function parseRange(header, size) {
+    if (!header) {
+        return null;
+    }
+    const match = header.match(/^bytes=(\d*)-(\d*)$/);
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null; // Multiple or malformed ranges: ignore, send everything
+    }
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        const length = parseInt(match[2], 10);
+        if (length === 0) {
+            return false;
+        }
+        start = Math.max(0, size - length);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start >= size || start > end) {
+        return false;
+    }
+    return { start, end };
+}
+
+function isInside(root, file) {
+    const relative = path.relative(root, file);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+OutputBrowser.parseRange = parseRange;
+
+module.exports = OutputBrowser;
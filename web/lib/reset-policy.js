@@ -0,0 +1,334 @@
+/**
+ * Reset Policy Module
+ *
+ * Decides whether a crashed drive's bus may be reset automatically.
+ * Resets of a bus are spaced by a cooldown that doubles (by default) with
+ * every reset in the past hour, and capped per hour. A drive that keeps
+ * crashing is quarantined: auto-reset stops for it until an operator
+ * releases it. Every decision is kept for the API.
+ *
+ * Crashes and quarantines are kept per drive identity (see
+ * drive-identity.js), so a drive stays quarantined when it comes back
+ * under another srN name. Older state files keyed by device name move
+ * to the drive that has the name when it is first seen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const HOUR = 60 * 60 * 1000;
+const MAX_DECISIONS = 100;
+
+class ResetPolicy extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.stateFile = config.resetPolicyFile;
+        this.policy = {
+            cooldown: config.resetCooldown, // seconds after the first reset
+            backoff: config.resetBackoff, // cooldown multiplier per further reset in the hour
+            maxBackoff: config.resetMaxBackoff, // seconds
+            maxPerHour: config.resetMaxPerHour, // per bus, 0 = unlimited
+            quarantineCrashes: config.quarantineCrashes, // 0 = never quarantine
+            quarantineWindow: config.quarantineWindow, // seconds
+        };
+        this.state = { buses: {}, drives: {}, decisions: [] };
+        this.retryTimers = new Map(); // drive ID -> { timer, retryAt } of a deferred reset
+
+        this.load();
+    }
+
+    /**
+     * Load bus resets, drive crashes and quarantines from file
+     */
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            this.state = {
+                buses: data.buses || {},
+                drives: data.drives || {},
+                decisions: data.decisions || [],
+            };
+            const quarantined = Object.values(this.state.drives).filter(d => d.quarantine).length;
+            console.log(`[ResetPolicy] Loaded state (${quarantined} quarantined drive${quarantined === 1 ? '' : 's'})`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`[ResetPolicy] Error loading: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Save state to file
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+            const tempFile = `${this.stateFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(this.state, null, 2));
+            fs.renameSync(tempFile, this.stateFile);
+        } catch (err) {
+            console.error(`[ResetPolicy] Error saving: ${err.message}`);
+        }
+    }
+
+    /**
+     * Note the device a drive is present as, taking over crashes and a
+     * quarantine kept under that device name
+     */
+    track(identity) {
+        const drive = this.state.drives[identity.id];
+        if (this.migrate(identity) || (drive && drive.device !== identity.device)) {
+            this.driveState(identity);
+            this.save();
+        }
+    }
+
+    /**
+     * Move state kept under a device name (older reset_policy.json files)
+     * to the drive that now has that name
+     * Returns true if anything moved
+     */
+    migrate(identity) {
+        const legacy = this.state.drives[identity.device];
+        if (identity.id === identity.device || !legacy || legacy.device) {
+            return false;
+        }
+
+        delete this.state.drives[identity.device];
+        const drive = this.state.drives[identity.id];
+        if (drive) {
+            drive.crashes = legacy.crashes.concat(drive.crashes).sort((a, b) => a - b);
+            drive.quarantine = drive.quarantine || legacy.quarantine;
+        } else {
+            this.state.drives[identity.id] = legacy;
+        }
+        console.log(`[ResetPolicy] Migrated state of ${identity.device} to ${identity.id}`);
+        return true;
+    }
+
+    /**
+     * Record a crash of a drive identity ({ id, device, label }); quarantines
+     * the drive once it crosses the threshold
+     * Returns the new quarantine, or null
+     */
+    recordCrash(identity) {
+        const now = Date.now();
+        const drive = this.driveState(identity);
+        drive.crashes = drive.crashes
+            .filter(t => t > now - this.policy.quarantineWindow * 1000)
+            .concat(now);
+
+        let quarantine = null;
+        if (!drive.quarantine && this.policy.quarantineCrashes > 0 &&
+            drive.crashes.length >= this.policy.quarantineCrashes) {
+            quarantine = {
+                since: now,
+                crashes: drive.crashes.length,
+                reason: `${drive.crashes.length} crashes in ${formatSeconds(this.policy.quarantineWindow)}`,
+            };
+            drive.quarantine = quarantine;
+            this.cancelRetry(identity.id);
+            this.addDecision({ ...decisionDrive(identity), bus: null, action: 'quarantine', reason: 'crash_threshold', message: quarantine.reason });
+            this.emit('quarantine', identity, quarantine);
+        }
+
+        this.save();
+        return quarantine;
+    }
+
+    /**
+     * Decide whether to reset a crashed drive's bus now
+     * activeDevices are the drives on the bus that are ripping
+     * Returns { action: 'reset' | 'skip', reason, message, retryAt }
+     */
+    decide(identity, busId, activeDevices = []) {
+        const now = Date.now();
+        const drive = this.driveState(identity);
+        const resets = this.recentResets(busId, now);
+        let decision;
+
+        if (drive.quarantine) {
+            decision = { action: 'skip', reason: 'quarantined', message: `Drive quarantined: ${drive.quarantine.reason}` };
+        } else if (activeDevices.length > 0) {
+            decision = {
+                action: 'skip',
+                reason: 'active_rips',
+                message: `Active rips on: ${activeDevices.join(', ')}`,
+                retryAt: now + this.policy.cooldown * 1000,
+            };
+        } else if (this.policy.maxPerHour > 0 && resets.length >= this.policy.maxPerHour) {
+            decision = {
+                action: 'skip',
+                reason: 'rate_limit',
+                message: `${resets.length} resets in the last hour (limit ${this.policy.maxPerHour})`,
+                retryAt: resets[0] + HOUR,
+            };
+        } else if (resets.length > 0 && now < resets[resets.length - 1] + this.backoffDelay(resets.length)) {
+            const delay = this.backoffDelay(resets.length);
+            decision = {
+                action: 'skip',
+                reason: resets.length === 1 ? 'cooldown' : 'backoff',
+                message: `Waiting ${formatSeconds(delay / 1000)} after ${resets.length} reset${resets.length === 1 ? '' : 's'} in the last hour`,
+                retryAt: resets[resets.length - 1] + delay,
+            };
+        } else {
+            decision = { action: 'reset', reason: 'allowed', message: `Resetting bus ${busId}` };
+        }
+
+        const recorded = this.addDecision({ ...decisionDrive(identity), bus: busId, ...decision });
+        if (decision.retryAt) {
+            this.scheduleRetry(identity.id, decision.retryAt);
+        }
+        this.save();
+        return recorded;
+    }
+
+    /**
+     * Record an automatic reset of a bus (counted even if the reset fails)
+     */
+    recordReset(busId) {
+        const now = Date.now();
+        const bus = this.state.buses[busId] || (this.state.buses[busId] = { resets: [] });
+        bus.resets = this.recentResets(busId, now).concat(now);
+        this.save();
+    }
+
+    /**
+     * Lift a drive's quarantine and forget its crashes
+     * Returns the lifted quarantine, or null if the drive wasn't quarantined
+     */
+    release(id, user) {
+        const drive = this.state.drives[id];
+        if (!drive || !drive.quarantine) {
+            return null;
+        }
+        const quarantine = drive.quarantine;
+        drive.quarantine = null;
+        drive.crashes = [];
+        this.addDecision({ drive: id, device: drive.device || null, bus: null, action: 'release', reason: 'operator', message: `Released by ${user}` });
+        this.save();
+        return quarantine;
+    }
+
+    /**
+     * Quarantine of a drive ID, or null
+     */
+    getQuarantine(id) {
+        const drive = this.state.drives[id];
+        return drive && drive.quarantine ? drive.quarantine : null;
+    }
+
+    /**
+     * Policy settings, per-bus reset budget, quarantined drives and
+     * recent decisions (newest first)
+     */
+    getState() {
+        const now = Date.now();
+        const buses = Object.keys(this.state.buses).map(id => {
+            const resets = this.recentResets(id, now);
+            const last = resets.length > 0 ? resets[resets.length - 1] : null;
+            return {
+                id,
+                resetsLastHour: resets.length,
+                lastReset: last,
+                nextResetAllowedAt: last ? Math.max(last + this.backoffDelay(resets.length),
+                    this.policy.maxPerHour > 0 && resets.length >= this.policy.maxPerHour ? resets[0] + HOUR : 0) : null,
+            };
+        });
+        const quarantined = Object.entries(this.state.drives)
+            .filter(([, d]) => d.quarantine)
+            .map(([id, d]) => ({ drive: id, device: d.device || null, label: d.label || id, ...d.quarantine }));
+
+        return {
+            policy: this.policy,
+            buses,
+            quarantined,
+            pendingRetries: Array.from(this.retryTimers.entries()).map(([id, retry]) => ({
+                drive: id,
+                device: this.state.drives[id] ? this.state.drives[id].device || null : null,
+                retryAt: retry.retryAt,
+            })),
+            decisions: this.state.decisions.slice().reverse(),
+        };
+    }
+
+    /**
+     * Cancel deferred resets
+     */
+    stop() {
+        for (const id of Array.from(this.retryTimers.keys())) {
+            this.cancelRetry(id);
+        }
+        this.save();
+    }
+
+    // Wait before the next reset of a bus that was reset `count` times in the hour
+    backoffDelay(count) {
+        const seconds = this.policy.cooldown * Math.pow(this.policy.backoff, Math.max(count - 1, 0));
+        return Math.min(seconds, this.policy.maxBackoff) * 1000;
+    }
+
+    // Reset times of a bus within the last hour, oldest first
+    recentResets(busId, now) {
+        const bus = this.state.buses[busId];
+        return bus ? bus.resets.filter(t => t > now - HOUR) : [];
+    }
+
+    // State of a drive, created if new, with its current device and label
+    driveState(identity) {
+        this.migrate(identity);
+        if (!this.state.drives[identity.id]) {
+            this.state.drives[identity.id] = { crashes: [], quarantine: null };
+        }
+        const drive = this.state.drives[identity.id];
+        drive.device = identity.device;
+        drive.label = identity.label;
+        return drive;
+    }
+
+    addDecision(decision) {
+        const recorded = { time: Date.now(), retryAt: null, ...decision };
+        this.state.decisions.push(recorded);
+        if (this.state.decisions.length > MAX_DECISIONS) {
+            this.state.decisions.splice(0, this.state.decisions.length - MAX_DECISIONS);
+        }
+        console.log(`[ResetPolicy] ${decision.drive} (${decision.device}): ${decision.action} (${decision.reason}) - ${decision.message}`);
+        this.emit('decision', recorded);
+        return recorded;
+    }
+
+    // Emit 'retry' for the drive ID when a deferred reset may go ahead
+    scheduleRetry(id, retryAt) {
+        this.cancelRetry(id);
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(id);
+            this.emit('retry', id);
+        }, Math.max(retryAt - Date.now(), 0));
+        timer.unref();
+        this.retryTimers.set(id, { timer, retryAt });
+    }
+
+    cancelRetry(id) {
+        const retry = this.retryTimers.get(id);
+        if (retry) {
+            clearTimeout(retry.timer);
+            this.retryTimers.delete(id);
+        }
+    }
+}
+
+// Drive fields of a decision
+function decisionDrive(identity) {
+    return { drive: identity.id, device: identity.device };
+}
+
+// 90 -> "90s", 300 -> "5m", 7200 -> "2h"
+function formatSeconds(seconds) {
+    if (seconds < 120) return `${Math.round(seconds)}s`;
+    if (seconds < 7200) return `${Math.round(seconds / 60)}m`;
+    return `${Math.round(seconds / 3600)}h`;
+}
+
+module.exports = ResetPolicy;
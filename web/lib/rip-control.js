@@ -0,0 +1,84 @@
+/**
+ * Rip Control Module
+ *
+ * Starts rips by running autorip.sh the way the udev rule does (it detaches
+ * itself into an autorip-srN-<time> transient unit) and cancels them by
+ * stopping that unit. Progress is reported by autorip.sh's status files.
+ */
+
+const { execFile } = require('child_process');
+
+// Drive states in which a new rip can't be started
+const BUSY_STATES = ['detecting', 'review', 'queued', 'ripping', 'ejecting'];
+
+class RipControl {
+    constructor(config, statusCollector) {
+        this.config = config;
+        this.script = config.autoripScript;
+        this.statusCollector = statusCollector;
+        this.timeout = 30000;
+    }
+
+    /**
+     * Whether a rip is in progress on a device: its status says so, or an
+     * autorip unit is running there (e.g. still detecting the disc)
+     */
+    async isBusy(device) {
+        const drive = this.statusCollector.getDrive(device);
+        return BUSY_STATES.includes(drive ? drive.state : 'idle') || (await this.activeUnits(device)).length > 0;
+    }
+
+    /**
+     * Start a rip on a device (e.g. "sr0")
+     */
+    async start(device) {
+        console.log(`[RipControl] Starting rip on /dev/${device}`);
+        await run(this.script, [device], this.timeout);
+    }
+
+    /**
+     * Transient units of rips running on a device
+     */
+    async activeUnits(device) {
+        const output = await run('systemctl', [
+            'list-units', '--plain', '--no-legend', '--state=activating,active,deactivating',
+            `autorip-${device}-*.service`,
+        ], this.timeout);
+        return output.split('\n')
+            .map(line => line.trim().split(/\s+/)[0])
+            .filter(unit => unit && unit.startsWith(`autorip-${device}-`));
+    }
+
+    /**
+     * Stop the rip running on a device
+     * Returns the stopped units (empty if nothing was running)
+     */
+    async cancel(device) {
+        const units = await this.activeUnits(device);
+        if (units.length > 0) {
+            console.log(`[RipControl] Stopping ${units.join(', ')}`);
+            await run('systemctl', ['stop', ...units], this.timeout);
+        }
+        return units;
+    }
+}
+
+// Run a command, resolving with its output or rejecting with its error output
+function run(command, args, timeout) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout }, (err, stdout, stderr) => {
+            if (err) {
+                const reason = err.killed ? `timed out after ${timeout / 1000}s` :
+                    (stderr.trim() || err.message);
+                reject(new Error(`${command} ${args.join(' ')} failed: ${reason}`));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+RipControl.BUSY_STATES = BUSY_STATES;
+RipControl.run = run;
+
+module.exports = RipControl;
@@ -0,0 +1,145 @@
+/**
+ * Rip Counters Module
+ *
+ * Counts finished rips by outcome and their durations for the Prometheus
+ * metrics. The counts are kept in a file, so unlike the history (which
+ * retention prunes) they never go down. Each history entry is counted
+ * once: as it arrives, or on the next sync for entries written while the
+ * server was down.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Rip duration histogram buckets in seconds (5 minutes to 3 hours)
+const DURATION_BUCKETS = [300, 600, 1200, 1800, 2700, 3600, 5400, 7200, 10800];
+
+class RipCounters {
+    constructor(config, ripHistory) {
+        this.config = config;
+        this.countersFile = config.ripCountersFile;
+        this.state = { rips: {}, durations: {}, counted: {} };
+        this.counted = new Map(); // ID -> end time of history entries already counted
+
+        this.load();
+        ripHistory.on('entry', (entry) => {
+            if (this.count(entry)) {
+                this.save();
+            }
+        });
+    }
+
+    /**
+     * Load counters from file
+     */
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.countersFile, 'utf8'));
+            this.state = {
+                rips: data.rips || {},
+                durations: data.durations || {},
+                counted: data.counted || {},
+            };
+            this.counted = new Map(Object.entries(this.state.counted));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`[RipCounters] Error loading: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Save counters to file
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.countersFile), { recursive: true });
+            this.state.counted = Object.fromEntries(this.counted);
+            const tempFile = `${this.countersFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(this.state, null, 2));
+            fs.renameSync(tempFile, this.countersFile);
+        } catch (err) {
+            console.error(`[RipCounters] Error saving: ${err.message}`);
+        }
+    }
+
+    /**
+     * Count the history entries not counted yet and forget the IDs of
+     * entries older than any the history still holds, which retention
+     * has pruned (history: all entries, as from RipHistory.readAll)
+     */
+    sync(history) {
+        let changed = false;
+        for (const entry of history) {
+            changed = this.count(entry) || changed;
+        }
+
+        if (history.length > 0) {
+            const oldest = Math.min(...history.map(entryTime));
+            for (const [id, time] of this.counted) {
+                if (time < oldest) {
+                    this.counted.delete(id);
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            this.save();
+        }
+    }
+
+    /**
+     * Add a finished rip to the counters unless it was counted before
+     * Returns true if it was new
+     */
+    count(entry) {
+        if (this.counted.has(entry.id)) {
+            return false;
+        }
+        this.counted.set(entry.id, entryTime(entry));
+
+        const discType = entry.discType || 'unknown';
+        const ripKey = [entry.device || 'unknown', discType, entry.status || 'unknown'].join('/');
+        this.state.rips[ripKey] = (this.state.rips[ripKey] || 0) + 1;
+
+        if (!this.state.durations[discType]) {
+            this.state.durations[discType] = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        }
+        const hist = this.state.durations[discType];
+        const duration = entry.duration || 0;
+        DURATION_BUCKETS.forEach((le, i) => {
+            if (duration <= le) hist.buckets[i]++;
+        });
+        hist.sum += duration;
+        hist.count++;
+        return true;
+    }
+
+    /**
+     * Rips by outcome: [{ device, discType, status, count }]
+     */
+    getRips() {
+        return Object.entries(this.state.rips).map(([key, count]) => {
+            const [device, discType, status] = key.split('/');
+            return { device, discType, status, count };
+        });
+    }
+
+    /**
+     * Duration histograms by disc type: { discType: { buckets, sum, count } }
+     * with bucket counts for RipCounters.DURATION_BUCKETS
+     */
+    getDurations() {
+        return this.state.durations;
+    }
+}
+
+// When a history entry finished, for telling pruned entries apart
+function entryTime(entry) {
+    return entry.endTime || entry.startTime || 0;
+}
+
+RipCounters.DURATION_BUCKETS = DURATION_BUCKETS;
+
+module.exports = RipCounters;
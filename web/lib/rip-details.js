@@ -0,0 +1,161 @@
+/**
+ * Rip Details Module
+ *
+ * Builds the per-title breakdown of a history entry: failed titles from
+ * the entry itself, successful titles found in its output directory
+ * (named from disc_info.json where possible) and the contents of the
+ * error directory for failed rips.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const VIDEO_EXTENSIONS = ['.mkv'];
+const AUDIO_EXTENSIONS = ['.flac', '.mp3', '.ogg', '.m4a', '.opus', '.wav'];
+const MAX_FILES = 500;
+const MAX_ERROR_TEXT = 64 * 1024;
+const MAX_OUTPUT_TAIL = 16 * 1024; // End of rip_output.txt, where the failure is
+
+class RipDetails {
+    constructor(config, outputBrowser) {
+        this.config = config;
+        this.outputBrowser = outputBrowser;
+    }
+
+    /**
+     * History entry plus titles, output files and error details
+     */
+    async describe(entry) {
+        const outputDir = await this.outputBrowser.confine(entry.outputDir);
+        const files = outputDir ? await listFiles(outputDir) : null;
+        const discInfo = files && files.some(f => f.name === 'disc_info.json') ?
+            await readJson(path.join(outputDir, 'disc_info.json')) :
+            null;
+
+        const details = {
+            ...entry,
+            partial: entry.status === 'partial',
+            outputAvailable: files !== null,
+            outputPath: files !== null ? await this.outputBrowser.relative(outputDir) : null, // For /api/files
+            failedTitles: normalizeFailedTitles(entry.failedTitles),
+            successfulTitles: files ? this.successfulTitles(entry, files, discInfo) : [],
+            errorDir: null,
+        };
+
+        // Failed rips keep error.txt (and the raw output for audio) in outputDir
+        const hasErrorFile = files && files.some(f => f.name === 'error.txt');
+        const hasOutputFile = files && files.some(f => f.name === 'rip_output.txt');
+        if (files && (entry.status === 'error' || hasErrorFile)) {
+            details.errorDir = {
+                path: entry.outputDir,
+                files,
+                errorText: hasErrorFile ? await readText(path.join(outputDir, 'error.txt')) : null,
+                outputTail: hasOutputFile ? await readTail(path.join(outputDir, 'rip_output.txt')) : null,
+            };
+        }
+
+        return details;
+    }
+
+    /**
+     * Ripped title files, matched to disc_info.json titles by MakeMKV's _tNN suffix
+     */
+    successfulTitles(entry, files, discInfo) {
+        const extensions = entry.discType === 'audio' ? AUDIO_EXTENSIONS : VIDEO_EXTENSIONS;
+        const titles = discInfo && Array.isArray(discInfo.titles) ? discInfo.titles : [];
+
+        return files
+            .filter(f => extensions.includes(path.extname(f.name).toLowerCase()))
+            .map(f => {
+                const match = f.name.match(/_t(\d+)\.mkv$/i);
+                const index = match ? parseInt(match[1], 10) : null;
+                const info = titles.find(t => t.index === index) || {};
+                return {
+                    file: f.name,
+                    size: f.size,
+                    title: index,
+                    name: info.name || null,
+                    duration: info.duration || null,
+                };
+            })
+            .sort((a, b) => a.file.localeCompare(b.file, undefined, { numeric: true }));
+    }
+}
+
+// failedTitles entries are { error } objects, possibly with a title number
+function normalizeFailedTitles(failedTitles) {
+    if (!Array.isArray(failedTitles)) {
+        return [];
+    }
+    return failedTitles.map(t => ({
+        title: t.title !== undefined ? t.title : null,
+        error: t.error || 'Unknown error',
+    }));
+}
+
+// Files in a directory and its subdirectories (relative names), capped at MAX_FILES
+async function listFiles(dir) {
+    const files = [];
+
+    async function walk(current, prefix) {
+        let dirents;
+        try {
+            dirents = await fs.promises.readdir(current, { withFileTypes: true });
+        } catch (err) {
+            if (prefix === '' && (err.code === 'ENOENT' || err.code === 'ENOTDIR')) {
+                return false;
+            }
+            throw err;
+        }
+        for (const dirent of dirents) {
+            if (files.length >= MAX_FILES) break;
+            const name = prefix + dirent.name;
+            if (dirent.isDirectory()) {
+                await walk(path.join(current, dirent.name), `${name}/`);
+            } else if (dirent.isFile()) {
+                const stat = await fs.promises.stat(path.join(current, dirent.name));
+                files.push({ name, size: stat.size });
+            }
+        }
+        return true;
+    }
+
+    return (await walk(dir, '')) ? files : null;
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Read up to MAX_ERROR_TEXT bytes of a text file
+async function readText(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const buffer = Buffer.alloc(MAX_ERROR_TEXT);
+        const { bytesRead } = await handle.read(buffer, 0, MAX_ERROR_TEXT, 0);
+        return buffer.subarray(0, bytesRead).toString('utf8');
+    } finally {
+        await handle.close();
+    }
+}
+
+// Read the last MAX_OUTPUT_TAIL bytes of a text file, from a line start
+async function readTail(file) {
+    const handle = await fs.promises.open(file, 'r');
+    try {
+        const { size } = await handle.stat();
+        const start = Math.max(size - MAX_OUTPUT_TAIL, 0);
+        const buffer = Buffer.alloc(size - start);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+        const text = buffer.subarray(0, bytesRead).toString('utf8');
+        return start > 0 ? text.slice(text.indexOf('\n') + 1) : text;
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = RipDetails;
@@ -0,0 +1,265 @@
+/**
+ * Rip Queue Module
+ *
+ * Coordinates rip slots for autorip.sh. Before ripping, the script writes
+ * <device>.request.json to the queue directory and waits for a
+ * <device>.grant.json. Requests are granted in arrival order while the
+ * drive's bus and the whole system are below their concurrency limits;
+ * the script removes its grant when it exits, freeing the slot.
+ *
+ * coordinator.json is refreshed on every poll so the script knows the
+ * coordinator is running and rips without waiting when it is not.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const QUEUE_PATTERN = /^(sr\d+)\.(request|grant)\.json$/;
+
+// Seconds a request or grant may disagree with the drive's state before it
+// counts as left behind by a script that was killed
+const STALE_AFTER = 30;
+
+class RipQueue extends EventEmitter {
+    constructor(config, busManager, statusCollector) {
+        super();
+        this.config = config;
+        this.queueDir = config.queueDir;
+        this.maxRips = config.maxRips; // 0 = unlimited
+        this.maxRipsPerBus = config.maxRipsPerBus; // 0 = unlimited
+        this.busManager = busManager;
+        this.statusCollector = statusCollector;
+        this.pollInterval = 2000; // 2 seconds
+        this.state = { waiting: [], active: [] };
+        this.timer = null;
+        this.watcher = null;
+        this.queue = Promise.resolve(); // Watch events and polls overlap
+    }
+
+    /**
+     * Start coordinating rip slots
+     */
+    start() {
+        try {
+            fs.mkdirSync(this.queueDir, { recursive: true });
+        } catch (err) {
+            console.error(`[RipQueue] Cannot create queue directory: ${err.message}`);
+        }
+
+        console.log(`[RipQueue] Limits: ${this.maxRips || 'unlimited'} in total, ${this.maxRipsPerBus || 'unlimited'} per bus`);
+        this.writeCoordinator();
+        this.scan();
+
+        // Only request and grant changes; our own coordinator.json writes would loop
+        try {
+            this.watcher = fs.watch(this.queueDir, (eventType, filename) => {
+                if (filename && QUEUE_PATTERN.test(filename)) {
+                    this.scan();
+                }
+            });
+        } catch (err) {
+            console.error(`[RipQueue] Cannot watch directory: ${err.message}`);
+        }
+        this.timer = setInterval(() => {
+            this.writeCoordinator();
+            this.scan();
+        }, this.pollInterval);
+    }
+
+    /**
+     * Stop coordinating; waiting scripts start on their own once
+     * coordinator.json goes stale
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Queue a pass over the requests
+     */
+    scan() {
+        this.queue = this.queue.then(() => this.refresh()).catch(err => {
+            console.error(`[RipQueue] Scan error: ${err.message}`);
+        });
+        return this.queue;
+    }
+
+    /**
+     * Grant waiting requests that fit within the limits, emitting 'change'
+     * when the queue or the active rips change
+     */
+    async refresh() {
+        const { requests, grants } = await this.readQueue();
+        const now = Math.floor(Date.now() / 1000);
+
+        // Slots are held by granted scripts and by rips started while the
+        // coordinator wasn't running
+        const active = [];
+        for (const [device, grant] of grants) {
+            if (this.isStale(device, grant.grantedAt, ['queued', 'ripping', 'ejecting'], now)) {
+                await this.removeFile(`${device}.grant.json`, `Dropped stale grant for ${device}`);
+                continue;
+            }
+            active.push({ device, bus: grant.bus, grantedAt: grant.grantedAt });
+        }
+        for (const drive of this.statusCollector.getKnownDrives()) {
+            if (drive.state === 'ripping' && !grants.has(drive.device)) {
+                active.push({ device: drive.device, bus: await this.busFor(drive.device), grantedAt: null });
+            }
+        }
+
+        const waiting = [];
+        for (const [device, request] of requests) {
+            if (grants.has(device)) continue;
+            if (this.isStale(device, request.requestedAt, ['queued'], now)) {
+                await this.removeFile(`${device}.request.json`, `Dropped stale request for ${device}`);
+                continue;
+            }
+            waiting.push({ ...request, device, bus: await this.busFor(device) });
+        }
+        waiting.sort((a, b) => (a.requestedAt - b.requestedAt) || a.device.localeCompare(b.device));
+
+        // First come, first served; a full bus only holds back its own drives
+        for (const request of [...waiting]) {
+            if (this.maxRips > 0 && active.length >= this.maxRips) break;
+            if (this.maxRipsPerBus > 0 && request.bus &&
+                active.filter(a => a.bus === request.bus).length >= this.maxRipsPerBus) {
+                continue;
+            }
+            const grant = await this.grant(request);
+            active.push({ device: request.device, bus: request.bus, grantedAt: grant.grantedAt });
+            waiting.splice(waiting.indexOf(request), 1);
+        }
+
+        const state = {
+            waiting: waiting.map((request, i) => ({
+                device: request.device,
+                discName: request.discName || '',
+                discType: request.discType || '',
+                bus: request.bus,
+                requestedAt: request.requestedAt,
+                position: i + 1,
+            })),
+            active: active.sort((a, b) => a.device.localeCompare(b.device)),
+        };
+        if (JSON.stringify(state) !== JSON.stringify(this.state)) {
+            this.state = state;
+            this.emit('change', this.getState());
+        }
+    }
+
+    /**
+     * Limits, rips holding a slot and rips waiting for one (in grant order)
+     */
+    getState() {
+        return {
+            limits: { maxRips: this.maxRips, maxRipsPerBus: this.maxRipsPerBus },
+            ...this.state,
+        };
+    }
+
+    /**
+     * Queue entry of a waiting device, or null
+     */
+    get(device) {
+        return this.state.waiting.find(w => w.device === device) || null;
+    }
+
+    /**
+     * Let a waiting script start ripping
+     */
+    async grant(request) {
+        const grant = { device: request.device, bus: request.bus, grantedAt: Math.floor(Date.now() / 1000) };
+        await writeJson(path.join(this.queueDir, `${request.device}.grant.json`), grant);
+        const waited = Math.max(0, grant.grantedAt - (request.requestedAt || grant.grantedAt));
+        console.log(`[RipQueue] Granted rip slot to ${request.device}${request.bus ? ` on ${request.bus}` : ''} after ${waited}s`);
+        return grant;
+    }
+
+    /**
+     * Read the request and grant files, keyed by device
+     */
+    async readQueue() {
+        const requests = new Map();
+        const grants = new Map();
+
+        let files;
+        try {
+            files = await fs.promises.readdir(this.queueDir);
+        } catch (err) {
+            files = [];
+        }
+
+        for (const file of files) {
+            const match = file.match(QUEUE_PATTERN);
+            if (!match) continue;
+            let data;
+            try {
+                data = JSON.parse(await fs.promises.readFile(path.join(this.queueDir, file), 'utf8'));
+            } catch (err) {
+                continue; // Removed meanwhile
+            }
+            (match[2] === 'request' ? requests : grants).set(match[1], data);
+        }
+
+        return { requests, grants };
+    }
+
+    /**
+     * Whether a queue file no longer matches its drive's state
+     */
+    isStale(device, since, states, now) {
+        const drive = this.statusCollector.getDrive(device);
+        return (!drive || !states.includes(drive.state)) && now - (since || 0) > STALE_AFTER;
+    }
+
+    /**
+     * Bus ID of a device, or null if its bus is unknown
+     */
+    async busFor(device) {
+        const bus = await this.busManager.getBusForDevice(device);
+        return bus ? bus.id : null;
+    }
+
+    /**
+     * Mark the coordinator as running for autorip.sh
+     */
+    async writeCoordinator() {
+        try {
+            await writeJson(path.join(this.queueDir, 'coordinator.json'), {
+                pid: process.pid,
+                maxRips: this.maxRips,
+                maxRipsPerBus: this.maxRipsPerBus,
+                updatedAt: Math.floor(Date.now() / 1000),
+            });
+        } catch (err) {
+            console.error(`[RipQueue] Cannot write coordinator file: ${err.message}`);
+        }
+    }
+
+    async removeFile(file, message) {
+        try {
+            await fs.promises.unlink(path.join(this.queueDir, file));
+            console.log(`[RipQueue] ${message}`);
+        } catch (err) {
+            // Removed meanwhile
+        }
+    }
+}
+
+// Write a JSON file atomically so autorip.sh never sees a partial file
+async function writeJson(file, data) {
+    const tempFile = `${file}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(data) + '\n', { mode: 0o644 });
+    await fs.promises.rename(tempFile, file);
+}
+
+module.exports = RipQueue;
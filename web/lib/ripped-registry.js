@@ -0,0 +1,219 @@
+/**
+ * Ripped Registry Module
+ *
+ * Reads and edits $OUTPUT_DIR/.ripped_discs, the list of disc IDs that
+ * autorip.sh skips as duplicates. Lines look like
+ *   audio:<cddb id>|<artist - album>|<ISO date>
+ *   video:<disc name>:<hash>|<rip dir>|<ISO date>
+ * optionally followed by |<note>. Edits take the same flock as
+ * autorip.sh so a rip finishing meanwhile can't lose its line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withFileLock } = require('./file-lock');
+
+// Taken by is_already_ripped/mark_as_ripped in autorip.sh
+const LOCK_FILE = '/tmp/autorip-ripped.lock';
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/;
+
+// History entries for an audio rip end within this many seconds of its mark
+const AUDIO_MATCH_WINDOW = 300;
+
+class RippedRegistry {
+    constructor(config, ripHistory) {
+        this.config = config;
+        this.ripHistory = ripHistory;
+        this.file = path.join(config.outputDir, '.ripped_discs');
+    }
+
+    /**
+     * Registry entries with their history records, newest first
+     * Filters: q (ID, name, directory or note), type (audio or video)
+     */
+    async list({ q, type } = {}) {
+        const needle = q ? q.toLowerCase() : null;
+        const entries = (await this.read())
+            .filter(r => r.entry)
+            .map(r => r.entry)
+            .filter(e =>
+                (!type || e.type === type) &&
+                (!needle || [e.discId, e.name, e.outputDir, e.note]
+                    .some(field => (field || '').toLowerCase().includes(needle))));
+
+        const history = await this.ripHistory.readAll();
+        return entries
+            .map(e => ({ ...e, history: matchHistory(e, history) }))
+            .sort((a, b) => (b.markedAt || 0) - (a.markedAt || 0));
+    }
+
+    /**
+     * Remove every line for a disc ID so the disc is ripped again next time
+     * Returns the number of lines removed
+     */
+    async remove(discId) {
+        let removed = 0;
+        await this.rewrite(records => records.filter(r => {
+            if (r.entry && r.entry.discId === discId) {
+                removed++;
+                return false;
+            }
+            return true;
+        }));
+        if (removed > 0) {
+            console.log(`[Registry] Removed ${discId} (${removed} line${removed === 1 ? '' : 's'})`);
+        }
+        return removed;
+    }
+
+    /**
+     * Remove the registry lines a history entry was recorded under
+     * Returns the removed disc IDs
+     */
+    async removeMatching(historyEntry) {
+        const removed = [];
+        await this.rewrite(records => records.filter(r => {
+            if (r.entry && matchHistory(r.entry, [historyEntry]).length > 0) {
+                removed.push(r.entry.discId);
+                return false;
+            }
+            return true;
+        }));
+        if (removed.length > 0) {
+            console.log(`[Registry] Removed ${removed.join(', ')} for history entry ${historyEntry.id}`);
+        }
+        return removed;
+    }
+
+    /**
+     * Set (or clear, with an empty note) the note on a disc ID's lines
+     * Returns the updated entry, or null if the ID is not registered
+     */
+    async annotate(discId, note) {
+        const text = cleanNote(note);
+        let updated = null;
+        await this.rewrite(records => records.map(r => {
+            if (!r.entry || r.entry.discId !== discId) {
+                return r;
+            }
+            updated = { ...r.entry, note: text || null };
+            return { line: formatLine(updated), entry: updated };
+        }));
+        return updated;
+    }
+
+    /**
+     * Parse the registry; unparseable lines are kept as { line, entry: null }
+     */
+    async read() {
+        let data;
+        try {
+            data = await fs.promises.readFile(this.file, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+        return data.split('\n')
+            .filter(line => line.trim())
+            .map(line => ({ line, entry: parseLine(line) }));
+    }
+
+    /**
+     * Replace the registry with transform(records) while holding the lock
+     */
+    async rewrite(transform) {
+        await withFileLock(LOCK_FILE, async () => {
+            const records = await this.read();
+            const updated = transform(records);
+
+            let mode = 0o644;
+            try {
+                mode = (await fs.promises.stat(this.file)).mode & 0o777;
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            }
+
+            const tempFile = `${this.file}.tmp`;
+            await fs.promises.writeFile(tempFile, updated.map(r => r.line + '\n').join(''), { mode });
+            await fs.promises.rename(tempFile, this.file);
+        });
+    }
+}
+
+// Split "id|detail|date[|note]"; detail (an album name) may itself contain "|"
+function parseLine(line) {
+    const fields = line.split('|');
+    const discId = fields[0].trim();
+    const match = discId.match(/^(audio|video):(.+)$/);
+    if (!match) {
+        return null;
+    }
+
+    let dateIndex = -1;
+    for (let i = fields.length - 1; i >= 1; i--) {
+        if (ISO_DATE.test(fields[i])) {
+            dateIndex = i;
+            break;
+        }
+    }
+    const detail = (dateIndex > 0 ? fields.slice(1, dateIndex) : fields.slice(1)).join('|');
+    const note = dateIndex > 0 ? fields.slice(dateIndex + 1).join('|') : '';
+    const markedAt = dateIndex > 0 ? Date.parse(fields[dateIndex]) : NaN;
+
+    const type = match[1];
+    return {
+        discId,
+        type,
+        // video:<name>:<hash> - the name may contain ":"
+        name: type === 'video' ? match[2].replace(/:[^:]*$/, '') : detail || null,
+        outputDir: type === 'video' ? detail || null : null,
+        markedAt: Number.isNaN(markedAt) ? null : Math.floor(markedAt / 1000),
+        markedAtText: dateIndex > 0 ? fields[dateIndex] : null,
+        note: note || null,
+    };
+}
+
+function formatLine(entry) {
+    const detail = entry.type === 'video' ? entry.outputDir : entry.name;
+    const fields = [entry.discId, detail || '', entry.markedAtText || ''];
+    if (entry.note) {
+        fields.push(entry.note);
+    }
+    return fields.join('|');
+}
+
+// Notes share the line with the disc ID, so keep them to one field
+function cleanNote(note) {
+    return (note || '').replace(/\s*[|\r\n]+\s*/g, ' ').trim();
+}
+
+// Video rips are recorded with their rip directory; audio rips only by
+// album name, so match those on name and time instead
+function matchHistory(entry, history) {
+    return history
+        .filter(h => {
+            if (h.discType !== entry.type) {
+                return false;
+            }
+            if (entry.type === 'video') {
+                return !!entry.outputDir && h.outputDir === entry.outputDir;
+            }
+            return h.discName === entry.name &&
+                entry.markedAt !== null &&
+                Math.abs((h.endTime || 0) - entry.markedAt) <= AUDIO_MATCH_WINDOW;
+        })
+        .map(h => ({
+            id: h.id,
+            device: h.device,
+            status: h.status,
+            startTime: h.startTime,
+            endTime: h.endTime,
+            outputDir: h.outputDir,
+        }));
+}
+
+module.exports = RippedRegistry;
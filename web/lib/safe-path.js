@@ -0,0 +1,90 @@
+/**
+ * Safe Path Module
+ *
+ * Resolves untrusted, URL-derived paths against a base directory and
+ * refuses anything that would escape it.
+ */
+
+const path = require('path');
+
+// Kernel names for optical drives (sr0, sr1, ...)
+const DEVICE_PATTERN = /^sr\d+$/;
+
+// Stable drive IDs (see drive-identity.js): udev link names or device names
+const DRIVE_ID_PATTERN = /^(?!\.\.?$)[\w.:+#=@-]{1,255}$/;
+
+class PathError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'PathError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Percent-decode a URL path or segment
+ * Rejects malformed escapes and embedded NUL bytes
+ */
+function decodePath(raw) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(raw);
+    } catch (err) {
+        throw new PathError(400, 'Malformed path encoding');
+    }
+    if (decoded.includes('\0')) {
+        throw new PathError(400, 'Invalid path');
+    }
+    return decoded;
+}
+
+/**
+ * Resolve a relative (still URL-encoded) path inside baseDir
+ * Returns the absolute path, or throws a PathError if it escapes baseDir
+ */
+function resolveWithin(baseDir, rawPath) {
+    const segments = decodePath(rawPath).split(/[\\/]+/).filter(Boolean);
+    if (segments.includes('..')) {
+        throw new PathError(400, 'Invalid path');
+    }
+
+    const root = path.resolve(baseDir);
+    const resolved = path.resolve(root, ...segments);
+    const relative = path.relative(root, resolved);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new PathError(400, 'Invalid path');
+    }
+    return resolved;
+}
+
+/**
+ * Decode and validate a device name taken from a URL segment
+ */
+function parseDeviceName(raw) {
+    const device = decodePath(raw || '');
+    if (!DEVICE_PATTERN.test(device)) {
+        throw new PathError(400, 'Invalid device name');
+    }
+    return device;
+}
+
+/**
+ * Decode and validate a drive ID taken from a URL segment or parameter
+ */
+function parseDriveId(raw) {
+    const id = decodePath(raw || '');
+    if (!DRIVE_ID_PATTERN.test(id)) {
+        throw new PathError(400, 'Invalid drive ID');
+    }
+    return id;
+}
+
+module.exports = {
+    DEVICE_PATTERN,
+    PathError,
+    decodePath,
+    resolveWithin,
+    parseDeviceName,
+    parseDriveId,
+};
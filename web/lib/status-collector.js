@@ -11,9 +11,10 @@ const { EventEmitter } = require('events');
 const { execSync, spawn } = require('child_process');
 
 class StatusCollector extends EventEmitter {
-    constructor(config) {
+    constructor(config, driveIdentity) {
         super();
         this.config = config;
+        this.driveIdentity = driveIdentity;
         this.statusDir = config.statusDir;
         this.crashTimeout = config.crashTimeout * 1000; // Convert to ms
         this.pollInterval = 2000; // 2 seconds
@@ -99,6 +100,7 @@ class StatusCollector extends EventEmitter {
                     this.drives.delete(device);
                 }
             }
+            this.driveIdentity.prune(srDevices);
 
             // Emit update
             this.emit('update', Array.from(this.drives.values()));
@@ -126,6 +128,7 @@ class StatusCollector extends EventEmitter {
         const driveInfo = {
             device,
             devicePath: `/dev/${device}`,
+            identity: await this.driveIdentity.resolve(device),
             state: status?.state || 'idle',
             discName: status?.discName || '',
             discType: status?.discType || '',
@@ -221,12 +224,33 @@ class StatusCollector extends EventEmitter {
         return Array.from(this.drives.values());
     }
 
+    /**
+     * Last known drive statuses, without rescanning
+     */
+    getKnownDrives() {
+        return Array.from(this.drives.values());
+    }
+
     /**
      * Get a specific drive's status
      */
     getDrive(device) {
         return this.drives.get(device) || null;
     }
+
+    /**
+     * Check whether a device name refers to a real optical drive
+     */
+    async hasDevice(device) {
+        if (!/^sr\d+$/.test(device)) {
+            return false;
+        }
+        if (this.drives.has(device)) {
+            return true;
+        }
+        const files = await fs.promises.readdir('/dev');
+        return files.includes(device);
+    }
 }
 
 module.exports = StatusCollector;
@@ -0,0 +1,160 @@
+/**
+ * Title Review Module
+ *
+ * In review mode autorip.sh publishes a video disc's titles as
+ * <device>.pending.json in the decision directory and waits for a
+ * <device>.decision.json naming the titles to rip. This module watches the
+ * pending files and writes the decisions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const PENDING_PATTERN = /^(sr\d+)\.pending\.json$/;
+
+class TitleReview extends EventEmitter {
+    constructor(config) {
+        super();
+        this.config = config;
+        this.decisionDir = config.decisionDir;
+        this.pollInterval = 2000; // 2 seconds
+        this.pending = new Map(); // device -> pending selection
+        this.timer = null;
+        this.watcher = null;
+        this.queue = Promise.resolve(); // Watch events and polls overlap
+    }
+
+    /**
+     * Start watching for discs waiting for a selection
+     */
+    start() {
+        this.scan();
+
+        // fs.watch fails until autorip.sh creates the directory; polling covers that
+        try {
+            this.watcher = fs.watch(this.decisionDir, () => this.scan());
+        } catch (err) {
+            // Directory not there yet
+        }
+        this.timer = setInterval(() => this.scan(), this.pollInterval);
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Queue a re-read of the pending files
+     */
+    scan() {
+        this.queue = this.queue.then(() => this.refresh()).catch(err => {
+            console.error(`[TitleReview] Scan error: ${err.message}`);
+        });
+        return this.queue;
+    }
+
+    /**
+     * Re-read the pending files, emitting 'pending' for new selections
+     * and 'resolved' for ones autorip.sh has finished waiting for
+     */
+    async refresh() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.decisionDir);
+        } catch (err) {
+            files = [];
+        }
+
+        const seen = new Set();
+        for (const file of files) {
+            const match = file.match(PENDING_PATTERN);
+            if (!match) continue;
+
+            const device = match[1];
+            const selection = await readPending(path.join(this.decisionDir, file), device);
+            if (!selection) continue;
+
+            seen.add(device);
+            const previous = this.pending.get(device);
+            if (!previous || previous.requestedAt !== selection.requestedAt) {
+                this.pending.set(device, selection);
+                console.log(`[TitleReview] ${device} waiting for title selection (${selection.titles.length} titles)`);
+                this.emit('pending', selection);
+            }
+        }
+
+        for (const device of this.pending.keys()) {
+            if (!seen.has(device)) {
+                this.pending.delete(device);
+                this.emit('resolved', device);
+            }
+        }
+    }
+
+    /**
+     * Discs currently waiting for a selection
+     */
+    list() {
+        return Array.from(this.pending.values());
+    }
+
+    /**
+     * The pending selection of a device, or null
+     */
+    get(device) {
+        return this.pending.get(device) || null;
+    }
+
+    /**
+     * Tell autorip.sh which titles to rip: an array of title indexes, or 'all'
+     */
+    async decide(device, titles) {
+        const decisionFile = path.join(this.decisionDir, `${device}.decision.json`);
+        const tempFile = `${decisionFile}.tmp`;
+        const decision = { titles, decidedAt: Math.floor(Date.now() / 1000) };
+
+        await fs.promises.writeFile(tempFile, JSON.stringify(decision) + '\n');
+        await fs.promises.rename(tempFile, decisionFile);
+        console.log(`[TitleReview] ${device}: rip ${titles === 'all' ? 'all titles' : `titles ${titles.join(', ')}`}`);
+        return decision;
+    }
+}
+
+// Parse a pending file written by autorip.sh; null while it is incomplete
+async function readPending(file, device) {
+    let pending;
+    try {
+        pending = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+        return null;
+    }
+
+    const discInfo = pending.discInfo || {};
+    return {
+        device,
+        discId: pending.discId || '',
+        discName: discInfo.name || '',
+        outputDir: pending.outputDir || '',
+        requestedAt: pending.requestedAt || 0,
+        deadline: pending.deadline || 0,
+        titles: (Array.isArray(discInfo.titles) ? discInfo.titles : []).map(t => ({
+            index: t.index,
+            name: t.name || '',
+            duration: t.duration || '',
+            size: t.size || '',
+        })),
+    };
+}
+
+module.exports = TitleReview;
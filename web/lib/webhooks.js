@@ -0,0 +1,309 @@
+/**
+ * Webhook Notifier Module
+ *
+ * POSTs crash, reset, quarantine and rip-completion events to configured webhook
+ * URLs with per-hook event filters, HMAC signing and retry/backoff.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const EVENTS = ['crash', 'reset', 'quarantine', 'rip_complete'];
+const FORMATS = ['json', 'slack', 'discord'];
+
+// Discord embed colors per event/status
+const COLORS = {
+    crash: 0xe94560,
+    reset: 0x00b4d8,
+    quarantine: 0xffc107,
+    success: 0x4ecca3,
+    partial: 0xffc107,
+    error: 0xe94560,
+};
+
+class Webhooks {
+    constructor(config) {
+        this.config = config;
+        this.webhooksFile = config.webhooksFile;
+        this.maxAttempts = config.webhookMaxAttempts;
+        this.retryDelay = 2000; // First retry after 2s, doubling each time
+        this.requestTimeout = 10000;
+        this.maxLogEntries = 200;
+        this.hooks = [];
+        this.deliveries = [];
+        this.timers = new Set();
+
+        this.load();
+    }
+
+    /**
+     * Load webhook definitions from file
+     */
+    load() {
+        if (!this.webhooksFile) {
+            return;
+        }
+
+        try {
+            const data = fs.readFileSync(this.webhooksFile, 'utf8');
+            const hooks = JSON.parse(data);
+            this.hooks = [];
+            hooks.forEach((hook, index) => {
+                try {
+                    this.hooks.push(this.normalizeHook(hook, index));
+                } catch (err) {
+                    console.error(`[Webhooks] Ignoring webhook #${index}: ${err.message}`);
+                }
+            });
+            console.log(`[Webhooks] Loaded ${this.hooks.length} webhooks`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error(`[Webhooks] Error loading: ${err.message}`);
+            }
+            this.hooks = [];
+        }
+    }
+
+    /**
+     * Validate a webhook definition and fill in defaults
+     */
+    normalizeHook(hook, index) {
+        const url = new URL(hook.url);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new Error(`unsupported protocol ${url.protocol}`);
+        }
+
+        const events = hook.events || EVENTS;
+        const unknown = events.filter(e => !EVENTS.includes(e));
+        if (unknown.length > 0) {
+            throw new Error(`unknown events: ${unknown.join(', ')}`);
+        }
+
+        const format = hook.format || 'json';
+        if (!FORMATS.includes(format)) {
+            throw new Error(`unknown format ${format}`);
+        }
+
+        return {
+            id: index,
+            name: hook.name || url.host,
+            url: url.toString(),
+            events,
+            ripStatuses: hook.ripStatuses || null, // null = all statuses
+            format,
+            secret: hook.secret || '',
+        };
+    }
+
+    /**
+     * List configured webhooks (secrets redacted)
+     */
+    getHooks() {
+        return this.hooks.map(({ secret, ...hook }) => ({ ...hook, signed: !!secret }));
+    }
+
+    /**
+     * Get the delivery log (newest first)
+     */
+    getDeliveries(limit = 50) {
+        return this.deliveries.slice(0, limit);
+    }
+
+    /**
+     * Send an event to every webhook subscribed to it
+     */
+    dispatch(event, data) {
+        const timestamp = Date.now();
+
+        for (const hook of this.hooks) {
+            if (!hook.events.includes(event)) continue;
+            if (event === 'rip_complete' && hook.ripStatuses && !hook.ripStatuses.includes(data.status)) continue;
+
+            this.enqueue(hook, event, data, timestamp);
+        }
+    }
+
+    /**
+     * Send a test event to a single webhook
+     */
+    sendTest(hookId) {
+        const hook = this.hooks.find(h => h.id === hookId);
+        if (!hook) {
+            return null;
+        }
+        return this.enqueue(hook, 'test', { message: 'Test notification from Autorip' }, Date.now());
+    }
+
+    /**
+     * Create a delivery record and start the first attempt
+     */
+    enqueue(hook, event, data, timestamp) {
+        const delivery = {
+            id: crypto.randomUUID(),
+            hookId: hook.id,
+            hook: hook.name,
+            event,
+            status: 'pending',
+            attempts: 0,
+            responseStatus: null,
+            lastError: null,
+            createdAt: timestamp,
+            updatedAt: timestamp,
+        };
+
+        this.deliveries.unshift(delivery);
+        if (this.deliveries.length > this.maxLogEntries) {
+            this.deliveries.length = this.maxLogEntries;
+        }
+
+        const body = JSON.stringify(this.buildPayload(hook.format, event, data, timestamp));
+        this.attempt(hook, delivery, body);
+        return delivery;
+    }
+
+    /**
+     * Try a delivery, scheduling a retry with exponential backoff on failure
+     */
+    async attempt(hook, delivery, body) {
+        delivery.attempts++;
+
+        try {
+            const status = await this.post(hook, delivery, body);
+            delivery.responseStatus = status;
+            if (status < 200 || status >= 300) {
+                throw new Error(`HTTP ${status}`);
+            }
+            delivery.status = 'delivered';
+            delivery.lastError = null;
+        } catch (err) {
+            delivery.lastError = err.message;
+
+            if (delivery.attempts < this.maxAttempts) {
+                const delay = this.retryDelay * Math.pow(2, delivery.attempts - 1);
+                delivery.status = 'retrying';
+                delivery.nextAttempt = Date.now() + delay;
+                const timer = setTimeout(() => {
+                    this.timers.delete(timer);
+                    this.attempt(hook, delivery, body);
+                }, delay);
+                this.timers.add(timer);
+            } else {
+                delivery.status = 'failed';
+                delivery.nextAttempt = null;
+                console.error(`[Webhooks] Delivery of ${delivery.event} to ${hook.name} failed after ${delivery.attempts} attempts: ${err.message}`);
+            }
+        }
+
+        delivery.updatedAt = Date.now();
+    }
+
+    /**
+     * POST a body to a webhook, resolving with the HTTP status code
+     */
+    post(hook, delivery, body) {
+        const url = new URL(hook.url);
+        const transport = url.protocol === 'https:' ? https : http;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': 'autorip-web',
+            'X-Autorip-Event': delivery.event,
+            'X-Autorip-Delivery': delivery.id,
+            'X-Autorip-Timestamp': timestamp,
+        };
+
+        // Signature covers "<timestamp>.<body>" so old payloads cannot be replayed
+        if (hook.secret) {
+            const signature = crypto.createHmac('sha256', hook.secret)
+                .update(`${timestamp}.${body}`)
+                .digest('hex');
+            headers['X-Autorip-Signature'] = `sha256=${signature}`;
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, { method: 'POST', headers, timeout: this.requestTimeout }, (res) => {
+                res.resume();
+                resolve(res.statusCode);
+            });
+            req.on('timeout', () => req.destroy(new Error('Request timed out')));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    /**
+     * Build the request body for a webhook format
+     */
+    buildPayload(format, event, data, timestamp) {
+        const summary = this.summarize(event, data);
+
+        if (format === 'slack') {
+            return { text: `*Autorip* ${summary}` };
+        }
+
+        if (format === 'discord') {
+            return {
+                username: 'Autorip',
+                embeds: [{
+                    title: event.replace('_', ' '),
+                    description: summary,
+                    color: COLORS[event === 'rip_complete' ? data.status : event] || COLORS.reset,
+                    timestamp: new Date(timestamp).toISOString(),
+                }],
+            };
+        }
+
+        return { event, timestamp, summary, data };
+    }
+
+    /**
+     * One-line human readable description of an event
+     */
+    summarize(event, data) {
+        switch (event) {
+            case 'crash':
+                return `Drive ${data.device} crashed${data.errorMessage ? `: ${data.errorMessage}` : ''}`;
+
+            case 'reset': {
+                const how = data.manual ? 'manually' : 'automatically';
+                const drive = data.drive ? ` for ${data.drive}` : '';
+                const outcome = data.verification && data.verification.drives.length > 0 ?
+                    ` (${data.verification.drives.map(d => `${d.device} ${d.outcome}${d.newDevice ? ` as ${d.newDevice}` : ''}`).join(', ')})` :
+                    '';
+                const strategy = data.verification && data.verification.strategy ? ` with ${data.verification.strategy}` : '';
+                return `Bus ${data.bus.id} was reset ${how}${strategy}${drive}${outcome}`;
+            }
+
+            case 'quarantine':
+                return `Drive ${data.device} quarantined (${data.reason}); auto-reset stopped`;
+
+            case 'rip_complete': {
+                const titles = data.titlesTotal > 0 ? `, ${data.titlesSucceeded}/${data.titlesTotal} titles` : '';
+                const error = data.errorMessage ? ` - ${data.errorMessage}` : '';
+                return `Rip ${data.status} on ${data.device}: ${data.discName || 'Unknown'} (${data.discType || 'unknown'}${titles})${error}`;
+            }
+
+            default:
+                return data.message || event;
+        }
+    }
+
+    /**
+     * Cancel pending retries
+     */
+    stop() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+}
+
+Webhooks.EVENTS = EVENTS;
+Webhooks.FORMATS = FORMATS;
+
+module.exports = Webhooks;
@@ -5,10 +5,54 @@
 // State
 let ws = null;
 let drives = [];
+const driveLabels = new Map(); // drive ID -> hardware label, for history rows
+const driveInventories = new Map(); // drive ID -> hardware inventory (null while loading)
 let buses = [];
 let history = [];
+let historyTotal = 0;
+let historyOffset = 0;
+let detailEntryId = null;
+let detailOutputPath = null;
+let rippedDiscs = [];
+let selectedDiscId = null;
 let selectedLogDevice = '';
+let logLines = []; // { offset, text } for the lines currently shown
 let pendingReset = null;
+let ripQueue = { limits: { maxRips: 0, maxRipsPerBus: 0 }, waiting: [], active: [] };
+let titleSelections = new Map(); // device -> titles waiting for a selection (review mode)
+let selectingDevice = null;
+let titleSelectTimer = null;
+let pendingDriveAction = null; // { device, action } awaiting a forced retry
+let authToken = localStorage.getItem('autorip-token') || '';
+let authEnabled = false;
+let userRole = 'operator';
+let dashboardStarted = false;
+
+// Lines kept in the log viewer; older ones can be fetched again on demand
+const MAX_LOG_LINES = 5000;
+const LOG_PAGE_LINES = 200;
+const HISTORY_PAGE_SIZE = 25;
+const PREVIEW_BYTES = 256 * 1024;
+const PREVIEWABLE = /\.(txt|log|json)$/i;
+const textEncoder = new TextEncoder();
+
+// Drive card actions: button label and toast text on success
+const DRIVE_ACTIONS = {
+    rip: { label: 'Start Rip', done: 'rip started' },
+    cancel: { label: 'Cancel Rip', done: 'rip cancelled' },
+    eject: { label: 'Eject', done: 'ejected' },
+    close: { label: 'Close Tray', done: 'tray closed' },
+    release: { label: 'Release Quarantine', done: 'released from quarantine' },
+};
+const DRIVE_BUSY_STATES = ['detecting', 'review', 'queued', 'ripping', 'ejecting'];
+
+// Bus reset strategies, gentlest first
+const RESET_STRATEGIES = {
+    scsi_rescan: 'SCSI rescan',
+    driver_rebind: 'Driver rebind',
+    usb_power_cycle: 'USB port power cycle',
+    pci_reset: 'PCI reset',
+};
 
 // DOM Elements
 const connectionStatus = document.getElementById('connection-status');
@@ -17,28 +61,198 @@ const busesContainer = document.getElementById('buses-container');
 const logDeviceSelect = document.getElementById('log-device-select');
 const logOutput = document.getElementById('log-output');
 const logRefreshBtn = document.getElementById('log-refresh-btn');
+const logEarlierBtn = document.getElementById('log-earlier-btn');
 const logAutoScroll = document.getElementById('log-auto-scroll');
 const historyFilter = document.getElementById('history-filter');
+const historySearch = document.getElementById('history-search');
+const historyDevice = document.getElementById('history-device');
+const historyType = document.getElementById('history-type');
+const historyFrom = document.getElementById('history-from');
+const historyTo = document.getElementById('history-to');
+const historySort = document.getElementById('history-sort');
+const historyPrevBtn = document.getElementById('history-prev-btn');
+const historyNextBtn = document.getElementById('history-next-btn');
+const historyPageInfo = document.getElementById('history-page-info');
+const historyExportFormat = document.getElementById('history-export-format');
+const historyExportBtn = document.getElementById('history-export-btn');
 const historyTbody = document.getElementById('history-tbody');
 const resetModal = document.getElementById('reset-modal');
 const resetModalBody = document.getElementById('reset-modal-body');
 const resetCancelBtn = document.getElementById('reset-cancel-btn');
 const resetConfirmBtn = document.getElementById('reset-confirm-btn');
+const titleSelectModal = document.getElementById('title-select-modal');
+const titleSelectTitle = document.getElementById('title-select-title');
+const titleSelectCountdown = document.getElementById('title-select-countdown');
+const titleSelectTbody = document.getElementById('title-select-tbody');
+const titleSelectAll = document.getElementById('title-select-all');
+const titleSelectCloseBtn = document.getElementById('title-select-close-btn');
+const titleSelectAllBtn = document.getElementById('title-select-all-btn');
+const titleSelectRipBtn = document.getElementById('title-select-rip-btn');
+const actionModal = document.getElementById('action-modal');
+const actionModalTitle = document.getElementById('action-modal-title');
+const actionModalBody = document.getElementById('action-modal-body');
+const actionCancelBtn = document.getElementById('action-cancel-btn');
+const actionConfirmBtn = document.getElementById('action-confirm-btn');
 const toast = document.getElementById('toast');
 const toastMessage = document.getElementById('toast-message');
+const historyDetailModal = document.getElementById('history-detail-modal');
+const historyDetailTitle = document.getElementById('history-detail-title');
+const historyDetailBody = document.getElementById('history-detail-body');
+const historyDetailLogBtn = document.getElementById('history-detail-log-btn');
+const historyDetailCloseBtn = document.getElementById('history-detail-close-btn');
+const historyDetailFilesBtn = document.getElementById('history-detail-files-btn');
+const historyDetailRetryBtn = document.getElementById('history-detail-retry-btn');
+const browseOutputBtn = document.getElementById('browse-output-btn');
+const filesModal = document.getElementById('files-modal');
+const filesBreadcrumb = document.getElementById('files-breadcrumb');
+const filesTbody = document.getElementById('files-tbody');
+const filesPreview = document.getElementById('files-preview');
+const filesCloseBtn = document.getElementById('files-close-btn');
+const ripLogModal = document.getElementById('rip-log-modal');
+const ripLogTitle = document.getElementById('rip-log-title');
+const ripLogOutput = document.getElementById('rip-log-output');
+const ripLogCloseBtn = document.getElementById('rip-log-close-btn');
+const rippedSearch = document.getElementById('ripped-search');
+const rippedType = document.getElementById('ripped-type');
+const rippedCount = document.getElementById('ripped-count');
+const rippedTbody = document.getElementById('ripped-tbody');
+const rippedModal = document.getElementById('ripped-modal');
+const rippedModalTitle = document.getElementById('ripped-modal-title');
+const rippedModalBody = document.getElementById('ripped-modal-body');
+const rippedNote = document.getElementById('ripped-note');
+const rippedRemoveBtn = document.getElementById('ripped-remove-btn');
+const rippedCancelBtn = document.getElementById('ripped-cancel-btn');
+const rippedSaveBtn = document.getElementById('ripped-save-btn');
+const loginModal = document.getElementById('login-modal');
+const loginForm = document.getElementById('login-form');
+const loginError = document.getElementById('login-error');
+const userInfo = document.getElementById('user-info');
+const logoutBtn = document.getElementById('logout-btn');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
+    setupLoginListeners();
+    checkAuth();
+});
+
+// Start the dashboard once we know we are allowed to use it
+function startDashboard() {
+    if (dashboardStarted) return;
+    dashboardStarted = true;
+
     connectWebSocket();
     loadBuses();
     loadHistory();
+    loadRipped();
     setupEventListeners();
-});
+}
+
+// Check whether login is required
+async function checkAuth() {
+    try {
+        const response = await fetch('/api/auth', { headers: authHeaders() });
+        const result = await response.json();
+        authEnabled = result.enabled;
+
+        if (result.enabled && !result.authenticated) {
+            showLogin();
+            return;
+        }
+
+        applyIdentity(result);
+        startDashboard();
+    } catch (err) {
+        console.error('Error checking authentication:', err);
+    }
+}
+
+// Update UI for the current user
+function applyIdentity(identity) {
+    userRole = identity.role || 'operator';
+
+    if (authEnabled) {
+        document.getElementById('user-name').textContent = identity.user || '';
+        document.getElementById('user-role').textContent = userRole;
+        userInfo.classList.remove('hidden');
+    } else {
+        userInfo.classList.add('hidden');
+    }
+
+    renderBuses();
+}
+
+// Show the login modal
+function showLogin(message = '') {
+    authToken = '';
+    localStorage.removeItem('autorip-token');
+    loginError.textContent = message;
+    loginError.classList.toggle('hidden', !message);
+    loginModal.classList.remove('hidden');
+    document.getElementById('login-username').focus();
+}
+
+// Submit login form
+async function login(username, password) {
+    try {
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Autorip-Request': '1' },
+            body: JSON.stringify({ username, password }),
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            showLogin(result.error || 'Login failed');
+            return;
+        }
+
+        authToken = result.token;
+        localStorage.setItem('autorip-token', authToken);
+        loginModal.classList.add('hidden');
+        loginForm.reset();
+
+        applyIdentity(result);
+        startDashboard();
+    } catch (err) {
+        showLogin(`Error: ${err.message}`);
+    }
+}
+
+// Log out and return to the login modal
+async function logout() {
+    try {
+        await fetch('/api/logout', { method: 'POST', headers: authHeaders({ 'X-Autorip-Request': '1' }) });
+    } catch (err) {
+        console.error('Error logging out:', err);
+    }
+    if (ws) ws.close();
+    showLogin();
+}
+
+// Headers carrying the current credentials
+function authHeaders(headers = {}) {
+    return authToken ? { ...headers, Authorization: `Bearer ${authToken}` } : headers;
+}
+
+// fetch() wrapper that sends credentials and handles expired sessions
+// State-changing requests also carry the anti-CSRF header the server requires
+async function apiFetch(url, options = {}) {
+    const headers = authHeaders(options.headers);
+    if (options.method && options.method !== 'GET') {
+        headers['X-Autorip-Request'] = '1';
+    }
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 401) {
+        showLogin('Session expired, please sign in again');
+        throw new Error('Authentication required');
+    }
+    return response;
+}
 
 // WebSocket Connection
 function connectWebSocket() {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}`;
+    const wsUrl = `${protocol}//${window.location.host}${authToken ? `/?token=${encodeURIComponent(authToken)}` : ''}`;
 
     ws = new WebSocket(wsUrl);
 
@@ -46,6 +260,9 @@ function connectWebSocket() {
         console.log('WebSocket connected');
         connectionStatus.classList.add('connected');
         connectionStatus.querySelector('.text').textContent = 'Connected';
+
+        // Subscriptions don't survive a reconnect
+        subscribeLog(selectedLogDevice);
     };
 
     ws.onclose = () => {
@@ -53,8 +270,14 @@ function connectWebSocket() {
         connectionStatus.classList.remove('connected');
         connectionStatus.querySelector('.text').textContent = 'Disconnected';
 
-        // Reconnect after 3 seconds
-        setTimeout(connectWebSocket, 3000);
+        // Reconnect after 3 seconds (once we have credentials again)
+        setTimeout(function reconnect() {
+            if (authEnabled && !authToken) {
+                setTimeout(reconnect, 3000);
+                return;
+            }
+            connectWebSocket();
+        }, 3000);
     };
 
     ws.onerror = (error) => {
@@ -76,8 +299,11 @@ function handleMessage(message) {
     switch (message.type) {
         case 'drives':
             drives = message.data;
+            drives.forEach(d => driveLabels.set(d.identity.id, d.identity.label));
+            drives.filter(d => !driveInventories.has(d.identity.id)).forEach(loadDriveInventory);
             renderDrives();
             updateLogDeviceSelect();
+            updateHistoryDeviceSelect();
             updateBusesWithDriveStatus();
             break;
 
@@ -86,9 +312,56 @@ function handleMessage(message) {
             break;
 
         case 'reset':
-            showToast(`Bus ${message.data.bus.id} has been reset`, 'success');
+            showResetOutcome(message.data.bus.id, message.data.verification);
             loadBuses();
             break;
+
+        case 'quarantine':
+            showToast(`Drive ${message.data.device} quarantined: ${message.data.reason}`, 'error');
+            break;
+
+        case 'queue':
+            ripQueue = message.data;
+            renderDrives();
+            renderBuses();
+            break;
+
+        case 'title_selection':
+            titleSelections.set(message.data.device, message.data);
+            renderDrives();
+            showToast(`${message.data.device}: choose the titles to rip`, 'info');
+            break;
+
+        case 'title_selection_resolved':
+            titleSelections.delete(message.data.device);
+            renderDrives();
+            if (selectingDevice === message.data.device) {
+                closeTitleSelection();
+            }
+            break;
+
+        case 'log_history':
+            if (message.data.device === selectedLogDevice) {
+                receiveLogHistory(message.data);
+            }
+            break;
+
+        case 'log':
+            if (message.data.device === selectedLogDevice) {
+                appendLogLines(message.data.lines, message.data.offset);
+            }
+            break;
+
+        case 'log_reset':
+            if (message.data.device === selectedLogDevice) {
+                logLines = [];
+                renderLog();
+            }
+            break;
+
+        case 'error':
+            showToast(message.data.error, 'error');
+            break;
     }
 }
 
@@ -106,7 +379,10 @@ function renderDrives() {
         return `
             <div class="drive-card" data-device="${drive.device}">
                 <div class="drive-card-header">
-                    <span class="drive-device">${drive.device}</span>
+                    <div>
+                        <div class="drive-label" title="${escapeHtml(drive.identity.id)}">${escapeHtml(drive.identity.label)}</div>
+                        <div class="drive-mapping">now <span class="drive-device">${drive.device}</span></div>
+                    </div>
                     <span class="drive-state ${drive.state}">${drive.state}</span>
                 </div>
                 <div class="drive-info">
@@ -118,6 +394,7 @@ function renderDrives() {
                         `<div class="drive-operation">${escapeHtml(drive.operation)}</div>` :
                         ''
                     }
+                    ${drive.state === 'queued' ? renderQueuePosition(drive.device) : ''}
                     ${drive.discType ?
                         `<span class="drive-disc-type">${drive.discType}</span>` :
                         ''
@@ -144,6 +421,13 @@ function renderDrives() {
                 ${drive.errorMessage && drive.state === 'error' ? `
                     <div class="drive-error">${escapeHtml(drive.errorMessage)}</div>
                 ` : ''}
+                ${drive.quarantine ? `
+                    <div class="drive-quarantine">
+                        Quarantined ${formatDate(new Date(drive.quarantine.since))}: ${escapeHtml(drive.quarantine.reason)}.
+                        Auto-reset is stopped.
+                    </div>
+                ` : ''}
+                ${renderDriveInventory(driveInventories.get(drive.identity.id))}
                 <div class="drive-stats">
                     <div class="stat">
                         <span class="stat-label">Crashes:</span>
@@ -153,16 +437,45 @@ function renderDrives() {
                         <span class="stat-label">Health:</span>
                         <span class="${healthClass}">${stats.health}</span>
                     </div>
+                    ${stats.lastResetOutcome ? `
+                        <div class="stat">
+                            <span class="stat-label">Last reset:</span>
+                            <span class="reset-outcome ${stats.lastResetOutcome}">${stats.lastResetOutcome}</span>
+                        </div>
+                    ` : ''}
                 </div>
+                ${titleSelections.has(drive.device) ? renderTitleSelectionNotice(titleSelections.get(drive.device)) : ''}
+                <div class="drive-actions">${driveActionButtons(drive)}</div>
             </div>
         `;
     }).join('');
 }
 
+// Place of a queued drive in the rip queue
+function renderQueuePosition(device) {
+    const entry = ripQueue.waiting.find(w => w.device === device);
+    if (!entry) return '';
+    return `<div class="drive-queue">#${entry.position} in queue${entry.bus ? ` for ${escapeHtml(entry.bus)}` : ''}</div>`;
+}
+
+// Rip slots in use on a bus, against the configured limits
+function renderBusSlots(bus) {
+    const { maxRips, maxRipsPerBus } = ripQueue.limits;
+    if (!maxRips && !maxRipsPerBus) return '';
+
+    const active = ripQueue.active.filter(a => a.bus === bus.id).length;
+    const waiting = ripQueue.waiting.filter(w => w.bus === bus.id).length;
+    return `
+        <div class="bus-slots">
+            Rips: ${active}${maxRipsPerBus ? ` of ${maxRipsPerBus}` : ''}${waiting ? `, ${waiting} queued` : ''}
+        </div>
+    `;
+}
+
 // Load bus information
 async function loadBuses() {
     try {
-        const response = await fetch('/api/buses');
+        const response = await apiFetch('/api/buses');
         buses = await response.json();
         renderBuses();
     } catch (err) {
@@ -193,16 +506,53 @@ function renderBuses() {
                     </div>
                 </div>
                 <div class="bus-controller">${escapeHtml(bus.controller)}</div>
+                ${renderBusSlots(bus)}
                 <div class="bus-drives">${driveChips}</div>
-                ${bus.resetSupported ?
-                    `<button class="btn-reset" onclick="initiateReset('${bus.id}')">Reset Bus</button>` :
-                    '<button class="btn-reset" disabled>Reset Not Supported</button>'
+                ${renderStrategySelect(bus)}
+                ${!bus.resetSupported ?
+                    '<button class="btn-reset" disabled>Reset Not Supported</button>' :
+                    userRole !== 'operator' ?
+                    '<button class="btn-reset" disabled>Operator Access Required</button>' :
+                    `<button class="btn-reset" onclick="initiateReset('${bus.id}')">Reset Bus</button>`
                 }
             </div>
         `;
     }).join('');
 }
 
+// Reset strategy of a bus; operators can pin one instead of escalating
+function renderStrategySelect(bus) {
+    if (!bus.resetSupported) return '';
+    const options = ['auto', ...bus.strategies].map(s => `
+        <option value="${s}" ${s === bus.strategy ? 'selected' : ''}>${s === 'auto' ? 'Auto (gentlest first)' : RESET_STRATEGIES[s] || s}</option>
+    `).join('');
+    return `
+        <label class="bus-strategy">Reset strategy
+            <select onchange="setResetStrategy('${bus.id}', this.value)" ${userRole !== 'operator' ? 'disabled' : ''}>${options}</select>
+        </label>
+    `;
+}
+
+// Pin a bus to a reset strategy ('auto' escalates through the ladder)
+async function setResetStrategy(busId, strategy) {
+    try {
+        const response = await apiFetch(`/api/buses/${busId}/strategy`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ strategy }),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error, 'error');
+        } else {
+            showToast(`Bus ${busId} resets with ${strategy === 'auto' ? 'the gentlest working strategy' : RESET_STRATEGIES[strategy]}`, 'success');
+        }
+    } catch (err) {
+        showToast(`Error: ${err.message}`, 'error');
+    }
+    loadBuses();
+}
+
 // Update buses with current drive status
 function updateBusesWithDriveStatus() {
     buses.forEach(bus => {
@@ -251,11 +601,11 @@ async function initiateReset(busId) {
 async function performReset(busId, confirm) {
     try {
         const url = `/api/buses/${busId}/reset${confirm ? '?confirm=true' : ''}`;
-        const response = await fetch(url, { method: 'POST' });
+        const response = await apiFetch(url, { method: 'POST' });
         const result = await response.json();
 
         if (response.ok) {
-            showToast(`Bus ${busId} reset successfully`, 'success');
+            showResetOutcome(busId, result.verification);
             loadBuses();
         } else if (result.requiresConfirm) {
             // Handle confirmation required
@@ -278,49 +628,718 @@ async function performReset(busId, confirm) {
     }
 }
 
+// Toast whether a bus reset brought its drives back
+function showResetOutcome(busId, verification) {
+    if (!verification || verification.drives.length === 0) {
+        showToast(`Bus ${busId} has been reset`, 'success');
+        return;
+    }
+    const outcomes = verification.drives.map(d => {
+        if (d.outcome === 'renamed') return `${d.device} is back as ${d.newDevice}`;
+        if (d.outcome === 'dead') return `${d.device} is still dead (${d.reason.replace('_', ' ')})`;
+        return `${d.device} recovered`;
+    });
+    const strategy = verification.strategy ? ` (${RESET_STRATEGIES[verification.strategy] || verification.strategy})` : '';
+    showToast(`Bus ${busId} reset${strategy}: ${outcomes.join(', ')}`, verification.recovered ? 'success' : 'error');
+}
+
+// Fetch a drive's hardware inventory once per physical drive
+async function loadDriveInventory(drive) {
+    driveInventories.set(drive.identity.id, null);
+    try {
+        const response = await apiFetch(`/api/drives/${drive.device}/info`);
+        if (!response.ok) {
+            driveInventories.delete(drive.identity.id);
+            return;
+        }
+        driveInventories.set(drive.identity.id, await response.json());
+        renderDrives();
+    } catch (err) {
+        driveInventories.delete(drive.identity.id);
+        console.error('Error loading drive info:', err);
+    }
+}
+
+// Drive card hardware lines: firmware, media and USB bridge
+function renderDriveInventory(inventory) {
+    if (!inventory) return '';
+    const families = formats => [...new Set(formats.map(f => f.match(/^(CD|DVD|BD)/)[1]))];
+    const { read, write } = inventory.media;
+    const media = read.length > 0 ?
+        `Reads ${read.join('/')}${write.length > 0 ? `, writes ${families(write).join('/')}` : ''}` :
+        '';
+    const usb = inventory.usb;
+    const bridge = usb ? [
+        `${usb.bridge.chipset || usb.bridge.manufacturer || 'USB'} bridge ${usb.bridge.vendorId}:${usb.bridge.productId}`,
+        usb.speedName ? `${usb.speedName} (${usb.speed} Mbps)` : null,
+        usb.driver,
+    ].filter(Boolean).join(' · ') : '';
+
+    return `
+        <div class="drive-inventory">
+            ${inventory.firmware ? `<div>Firmware ${escapeHtml(inventory.firmware)}</div>` : ''}
+            ${media ? `<div title="${escapeHtml(write.join(', '))}">${media}</div>` : ''}
+            ${bridge ? `<div>${escapeHtml(bridge)}</div>` : ''}
+        </div>
+    `;
+}
+
+// Drive card notice for a disc waiting for a title selection
+function renderTitleSelectionNotice(selection) {
+    return `
+        <div class="title-selection">
+            <span>${selection.titles.length} titles - all are ripped in ${formatCountdown(selection.deadline)}</span>
+            ${userRole === 'operator' ?
+                `<button class="btn-primary" onclick="openTitleSelection('${selection.device}')">Select Titles</button>` :
+                ''
+            }
+        </div>
+    `;
+}
+
+// Show the titles of a disc waiting in review mode
+function openTitleSelection(device) {
+    const selection = titleSelections.get(device);
+    if (!selection) return;
+
+    selectingDevice = device;
+    titleSelectTitle.textContent = `Select Titles - ${selection.discName || device}`;
+    titleSelectAll.checked = false;
+    titleSelectTbody.innerHTML = selection.titles.map(t => `
+        <tr>
+            <td><input type="checkbox" class="title-select-check" value="${t.index}"></td>
+            <td>${t.index + 1}</td>
+            <td>${escapeHtml(t.name || '-')}</td>
+            <td>${escapeHtml(t.duration || '-')}</td>
+            <td>${escapeHtml(t.size || '-')}</td>
+        </tr>
+    `).join('');
+
+    const updateCountdown = () => {
+        titleSelectCountdown.textContent = `${device}: all titles are ripped if nothing is chosen within ${formatCountdown(selection.deadline)}.`;
+    };
+    updateCountdown();
+    clearInterval(titleSelectTimer);
+    titleSelectTimer = setInterval(updateCountdown, 1000);
+    titleSelectModal.classList.remove('hidden');
+}
+
+// Close the title selection modal
+function closeTitleSelection() {
+    clearInterval(titleSelectTimer);
+    titleSelectTimer = null;
+    selectingDevice = null;
+    titleSelectModal.classList.add('hidden');
+}
+
+// Send the selection ('all' or title indexes) to the waiting rip
+async function submitTitleSelection(titles) {
+    if (Array.isArray(titles) && titles.length === 0) {
+        showToast('Select at least one title', 'error');
+        return;
+    }
+    const device = selectingDevice;
+    try {
+        const response = await apiFetch(`/api/decisions/${device}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ titles }),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error, 'error');
+            return;
+        }
+        closeTitleSelection();
+        showToast(`${device}: ${titles === 'all' ? 'ripping all titles' : `ripping ${titles.length} title${titles.length === 1 ? '' : 's'}`}`, 'success');
+    } catch (err) {
+        showToast(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Action buttons of a drive card: start or cancel a rip, eject, close the tray
+function driveActionButtons(drive) {
+    const busy = DRIVE_BUSY_STATES.includes(drive.state);
+    const actions = [busy ? 'cancel' : 'rip', 'eject', 'close'];
+    if (drive.quarantine) {
+        actions.push('release');
+    }
+
+    return actions.map(action => (userRole !== 'operator' ?
+        `<button class="btn-secondary" disabled title="Operator access required">${DRIVE_ACTIONS[action].label}</button>` :
+        `<button class="btn-secondary" onclick="initiateDriveAction('${drive.device}', '${action}')">${DRIVE_ACTIONS[action].label}</button>`
+    )).join('');
+}
+
+// Run a drive action, asking first if it would interrupt a rip
+async function initiateDriveAction(device, action) {
+    const drive = drives.find(d => d.device === device);
+    if (action === 'cancel' || (['eject', 'close'].includes(action) && drive && drive.state === 'ripping')) {
+        confirmDriveAction(device, action, drive ? drive.discName : '');
+    } else {
+        await performDriveAction(device, action, false);
+    }
+}
+
+// Warn that the action will interrupt a rip
+function confirmDriveAction(device, action, discName) {
+    const cancel = action === 'cancel';
+    const { label } = DRIVE_ACTIONS[action];
+    pendingDriveAction = { device, action };
+    actionModalTitle.textContent = `Confirm ${label}`;
+    actionConfirmBtn.textContent = cancel ? label : `${label} Anyway`;
+    actionCancelBtn.textContent = cancel ? 'Keep Ripping' : 'Cancel';
+    actionModalBody.innerHTML = `
+        <div class="warning-list">
+            <strong>${escapeHtml(device)}</strong> is ripping ${escapeHtml(discName || 'an unknown disc')}.
+            ${cancel ? 'The rip will be stopped; files ripped so far are kept.' : 'The rip will fail.'}
+        </div>
+        <p style="margin-top: 1rem;">Are you sure you want to continue?</p>
+    `;
+    actionModal.classList.remove('hidden');
+}
+
+// Perform a drive action; state changes arrive through the status updates
+async function performDriveAction(device, action, force) {
+    try {
+        const url = `/api/drives/${device}/${action}${force ? '?force=true' : ''}`;
+        const response = await apiFetch(url, { method: 'POST' });
+        const result = await response.json();
+
+        if (response.ok) {
+            showToast(`${device}: ${DRIVE_ACTIONS[action].done}`, 'success');
+        } else if (result.requiresForce) {
+            confirmDriveAction(device, action, result.discName);
+        } else {
+            showToast(result.error || `${DRIVE_ACTIONS[action].label} failed`, 'error');
+        }
+    } catch (err) {
+        showToast(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Rip a failed or partial history entry again on its drive
+async function retryRip(id) {
+    try {
+        const response = await apiFetch(`/api/history/${encodeURIComponent(id)}/retry`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error || 'Retry failed', 'error');
+            return;
+        }
+        historyDetailModal.classList.add('hidden');
+        showToast(`${result.device}: rip started`, 'success');
+    } catch (err) {
+        showToast(`Error: ${err.message}`, 'error');
+    }
+}
+
+// Build the history search query from the controls
+function historyQuery() {
+    const [sort, order] = historySort.value.split(':');
+    const params = new URLSearchParams({
+        limit: HISTORY_PAGE_SIZE,
+        offset: historyOffset,
+        sort,
+        order,
+    });
+
+    if (historySearch.value.trim()) params.set('q', historySearch.value.trim());
+    if (historyDevice.value) params.set('drive', historyDevice.value);
+    if (historyFilter.value) params.set('status', historyFilter.value);
+    if (historyType.value) params.set('discType', historyType.value);
+
+    // Date inputs are local days; send epoch seconds
+    if (historyFrom.value) {
+        params.set('from', Math.floor(new Date(`${historyFrom.value}T00:00:00`).getTime() / 1000));
+    }
+    if (historyTo.value) {
+        params.set('to', Math.floor(new Date(`${historyTo.value}T23:59:59`).getTime() / 1000));
+    }
+
+    return params;
+}
+
 // Load history
 async function loadHistory() {
     try {
-        const response = await fetch('/api/history?limit=100');
-        history = await response.json();
+        const response = await apiFetch(`/api/history?${historyQuery()}`);
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error, 'error');
+            return;
+        }
+        history = result.entries;
+        historyTotal = result.total;
+
+        // Step back if the current page emptied (e.g. after narrowing the search)
+        if (history.length === 0 && historyOffset > 0 && historyTotal > 0) {
+            historyOffset = Math.max(0, Math.floor((historyTotal - 1) / HISTORY_PAGE_SIZE) * HISTORY_PAGE_SIZE);
+            loadHistory();
+            return;
+        }
         renderHistory();
     } catch (err) {
         console.error('Error loading history:', err);
     }
 }
 
+// Download every entry matching the current filters
+async function exportHistory() {
+    const params = historyQuery();
+    params.delete('limit');
+    params.delete('offset');
+    params.set('format', historyExportFormat.value);
+
+    historyExportBtn.disabled = true;
+    try {
+        const response = await apiFetch(`/api/history/export?${params}`);
+        if (!response.ok) {
+            const result = await response.json();
+            showToast(result.error, 'error');
+            return;
+        }
+
+        // Fetch as a blob so the auth header is sent, then save it
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : `autorip-history.${historyExportFormat.value}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (err) {
+        showToast(`Export failed: ${err.message}`, 'error');
+    } finally {
+        historyExportBtn.disabled = false;
+    }
+}
+
+// Start a new search from the first page
+function searchHistory() {
+    historyOffset = 0;
+    loadHistory();
+}
+
 // Render history table
 function renderHistory() {
-    const filter = historyFilter.value;
-    const filtered = filter === 'all' ?
-        history :
-        history.filter(h => h.status === filter);
+    const first = historyTotal > 0 ? historyOffset + 1 : 0;
+    const last = historyOffset + history.length;
+    historyPageInfo.textContent = `${first}-${last} of ${historyTotal}`;
+    historyPrevBtn.disabled = historyOffset === 0;
+    historyNextBtn.disabled = last >= historyTotal;
 
-    if (filtered.length === 0) {
-        historyTbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">No history</td></tr>';
+    if (history.length === 0) {
+        historyTbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">No history</td></tr>';
         return;
     }
 
-    historyTbody.innerHTML = filtered.map(entry => {
+    historyTbody.innerHTML = history.map(entry => {
         const startDate = new Date(entry.startTime * 1000);
         const titlesInfo = entry.titlesTotal > 0 ?
             `${entry.titlesSucceeded}/${entry.titlesTotal}` :
             '-';
 
         return `
-            <tr>
+            <tr onclick="showHistoryDetail('${escapeHtml(jsString(entry.id))}')">
                 <td>${formatDate(startDate)}</td>
-                <td>${entry.device}</td>
+                <td>${escapeHtml(historyDriveName(entry))}${entry.driveId ? ` <span class="history-mapping">${escapeHtml(entry.device)}</span>` : ''}</td>
                 <td>${escapeHtml(entry.discName || 'Unknown')}</td>
-                <td>${entry.discType || '-'}</td>
-                <td><span class="status-badge ${entry.status}">${entry.status}</span></td>
+                <td>${escapeHtml(entry.discType || '-')}</td>
+                <td>${statusBadge(entry)}</td>
                 <td>${formatDuration(entry.duration)}</td>
                 <td>${titlesInfo}</td>
+                <td><button class="btn-link" onclick="event.stopPropagation(); showRipLog('${escapeHtml(jsString(entry.id))}')">View</button></td>
             </tr>
         `;
     }).join('');
 }
 
+// Status badge; partial rips say how many titles made it
+function statusBadge(entry) {
+    if (entry.status === 'partial') {
+        return `<span class="status-badge partial">&#9888; Partial success (${entry.titlesSucceeded}/${entry.titlesTotal})</span>`;
+    }
+    return `<span class="status-badge ${escapeHtml(entry.status)}">${escapeHtml(entry.status)}</span>`;
+}
+
+// Show one rip with its per-title results
+async function showHistoryDetail(id) {
+    detailEntryId = id;
+    detailOutputPath = null;
+    historyDetailFilesBtn.classList.add('hidden');
+    historyDetailRetryBtn.classList.add('hidden');
+    historyDetailTitle.textContent = 'Rip Details';
+    historyDetailBody.innerHTML = '<p>Loading...</p>';
+    historyDetailModal.classList.remove('hidden');
+
+    try {
+        const response = await apiFetch(`/api/history/${encodeURIComponent(id)}`);
+        const detail = await response.json();
+        if (detailEntryId !== id) return;
+        if (!response.ok) {
+            historyDetailBody.innerHTML = `<p>${escapeHtml(detail.error)}</p>`;
+            return;
+        }
+        historyDetailTitle.textContent = detail.discName || 'Unknown';
+        historyDetailBody.innerHTML = renderHistoryDetail(detail);
+        detailOutputPath = detail.outputPath;
+        historyDetailFilesBtn.classList.toggle('hidden', detailOutputPath === null);
+        historyDetailRetryBtn.classList.toggle('hidden',
+            userRole !== 'operator' || (detail.status !== 'error' && detail.status !== 'partial'));
+    } catch (err) {
+        historyDetailBody.innerHTML = `<p>Error loading details: ${escapeHtml(err.message)}</p>`;
+    }
+}
+
+// Render the detail modal body
+function renderHistoryDetail(detail) {
+    const titleLabel = (title, name) => {
+        const number = title !== null && title !== undefined ? `Title ${title + 1}` : 'Title';
+        return name ? `${number}: ${escapeHtml(name)}` : number;
+    };
+
+    const succeeded = detail.successfulTitles.map(t => `
+        <li><span class="ok">&#10003;</span> ${t.title !== null ? titleLabel(t.title, t.name) : escapeHtml(t.file)}
+            ${t.duration ? `(${escapeHtml(t.duration)})` : ''} - ${escapeHtml(t.file)}, ${formatBytes(t.size)}</li>
+    `).join('');
+    const failed = detail.failedTitles.map(t => `
+        <li><span class="failed">&#10007;</span> ${titleLabel(t.title)} - ${escapeHtml(t.error)}</li>
+    `).join('');
+
+    let titles = '';
+    if (succeeded || failed) {
+        titles = `<ul class="title-list">${succeeded}${failed}</ul>`;
+    } else if (!detail.outputAvailable) {
+        titles = '<p>Output directory is not available.</p>';
+    } else {
+        titles = '<p>No titles found.</p>';
+    }
+
+    let errorSection = '';
+    if (detail.errorDir) {
+        errorSection = `
+            <h4>Error Directory</h4>
+            <p>${escapeHtml(detail.errorDir.path)}</p>
+            <ul class="title-list">
+                ${detail.errorDir.files.map(f => {
+                    const filePath = joinPath(detail.outputPath, f.name);
+                    const view = detail.outputPath !== null && PREVIEWABLE.test(f.name) ?
+                        ` <button class="btn-link" onclick="openFiles('${escapeHtml(jsString(detail.outputPath))}', '${escapeHtml(jsString(filePath))}')">View</button>` :
+                        '';
+                    return `<li>${escapeHtml(f.name)} (${formatBytes(f.size)})${view}</li>`;
+                }).join('')}
+            </ul>
+            ${detail.errorDir.errorText ? `<pre class="error-text">${escapeHtml(detail.errorDir.errorText)}</pre>` : ''}
+            ${detail.errorDir.outputTail ? `
+                <h4>Rip Output (end)</h4>
+                <pre class="error-text output-tail">${escapeHtml(detail.errorDir.outputTail)}</pre>
+            ` : ''}
+        `;
+    }
+
+    return `
+        <dl class="detail-grid">
+            <dt>Status</dt><dd>${statusBadge(detail)}</dd>
+            <dt>Drive</dt><dd>${escapeHtml(historyDriveName(detail))}</dd>
+            <dt>Device</dt><dd>${escapeHtml(detail.device)}</dd>
+            <dt>Type</dt><dd>${escapeHtml(detail.discType || '-')}</dd>
+            <dt>Started</dt><dd>${formatDate(new Date(detail.startTime * 1000))}</dd>
+            <dt>Duration</dt><dd>${formatDuration(detail.duration)}</dd>
+            ${detail.waitTime > 0 ? `<dt>Waited</dt><dd>${formatDuration(detail.waitTime)} for review and a rip slot</dd>` : ''}
+            <dt>Titles</dt><dd>${detail.titlesTotal > 0 ? `${detail.titlesSucceeded} of ${detail.titlesTotal} succeeded` : '-'}</dd>
+            <dt>Output</dt><dd>${escapeHtml(detail.outputDir || '-')}</dd>
+            ${detail.errorMessage ? `<dt>Error</dt><dd>${escapeHtml(detail.errorMessage)}</dd>` : ''}
+        </dl>
+        <h4>Titles</h4>
+        ${titles}
+        ${errorSection}
+    `;
+}
+
+// Join output-relative path segments
+function joinPath(dir, name) {
+    return dir ? `${dir}/${name}` : name;
+}
+
+// Escape a value for a single-quoted JS string inside an onclick attribute
+function jsString(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/"/g, '\\x22')
+        .replace(/\n/g, '\\n');
+}
+
+// Download an output file; with authentication, through a signed link
+// as links can't send the auth header
+async function downloadFile(filePath) {
+    const params = new URLSearchParams({ path: filePath });
+    let url = `/api/files/download?${params}`;
+
+    if (authToken) {
+        try {
+            const response = await apiFetch(`/api/files/link?${params}`);
+            const result = await response.json();
+            if (!response.ok) {
+                showToast(result.error, 'error');
+                return;
+            }
+            url = result.url;
+        } catch (err) {
+            showToast(`Error: ${err.message}`, 'error');
+            return;
+        }
+    }
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = '';
+    link.click();
+}
+
+// Open the file browser at an output-relative directory, optionally previewing a file
+async function openFiles(dirPath = '', previewPath = null) {
+    filesModal.classList.remove('hidden');
+    filesPreview.classList.add('hidden');
+    filesTbody.innerHTML = '<tr><td colspan="4">Loading...</td></tr>';
+
+    try {
+        const response = await apiFetch(`/api/files?${new URLSearchParams({ path: dirPath })}`);
+        const listing = await response.json();
+        if (!response.ok) {
+            filesBreadcrumb.textContent = '';
+            filesTbody.innerHTML = `<tr><td colspan="4">${escapeHtml(listing.error)}</td></tr>`;
+            return;
+        }
+        renderFiles(listing);
+        if (previewPath) {
+            previewFile(previewPath);
+        }
+    } catch (err) {
+        filesTbody.innerHTML = `<tr><td colspan="4">Error: ${escapeHtml(err.message)}</td></tr>`;
+    }
+}
+
+// Render breadcrumb and directory listing
+function renderFiles(listing) {
+    const parts = listing.path ? listing.path.split('/') : [];
+    filesBreadcrumb.innerHTML = [`<button class="btn-link" onclick="openFiles('')">output</button>`]
+        .concat(parts.map((part, i) => {
+            const target = parts.slice(0, i + 1).join('/');
+            return `<button class="btn-link" onclick="openFiles('${escapeHtml(jsString(target))}')">${escapeHtml(part)}</button>`;
+        }))
+        .join(' / ');
+
+    const parent = parts.slice(0, -1).join('/');
+    const rows = parts.length > 0 ?
+        [`<tr><td colspan="4"><button class="btn-link" onclick="openFiles('${escapeHtml(jsString(parent))}')">..</button></td></tr>`] :
+        [];
+
+    for (const entry of listing.entries) {
+        const entryPath = joinPath(listing.path, entry.name);
+        const name = entry.type === 'directory' ?
+            `<button class="btn-link" onclick="openFiles('${escapeHtml(jsString(entryPath))}')">${escapeHtml(entry.name)}/</button>` :
+            escapeHtml(entry.name);
+        const actions = entry.type === 'file' ? [
+            PREVIEWABLE.test(entry.name) ?
+                `<button class="btn-link" onclick="previewFile('${escapeHtml(jsString(entryPath))}')">View</button>` :
+                '',
+            `<button class="btn-link" onclick="downloadFile('${escapeHtml(jsString(entryPath))}')">Download</button>`,
+        ].join(' ') : '';
+
+        rows.push(`
+            <tr>
+                <td>${name}</td>
+                <td>${entry.size !== null ? formatBytes(entry.size) : '-'}</td>
+                <td>${new Date(entry.mtime * 1000).toLocaleString()}</td>
+                <td>${actions}</td>
+            </tr>
+        `);
+    }
+
+    filesTbody.innerHTML = rows.length > 0 ? rows.join('') : '<tr><td colspan="4">Empty directory</td></tr>';
+}
+
+// Show the start of a text file under the listing
+async function previewFile(filePath) {
+    filesPreview.classList.remove('hidden');
+    filesPreview.textContent = 'Loading...';
+
+    try {
+        const response = await apiFetch(`/api/files/download?${new URLSearchParams({ path: filePath })}`, {
+            headers: { Range: `bytes=0-${PREVIEW_BYTES - 1}` },
+        });
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({ error: response.statusText }));
+            filesPreview.textContent = result.error;
+            return;
+        }
+        const text = await response.text();
+        const total = (response.headers.get('Content-Range') || '').split('/')[1];
+        const truncated = response.status === 206 && total && Number(total) > PREVIEW_BYTES;
+        filesPreview.textContent = truncated ?
+            `${text}\n\n[Showing first ${formatBytes(PREVIEW_BYTES)} of ${formatBytes(Number(total))} - download for the rest]` :
+            text;
+        filesPreview.scrollTop = 0;
+    } catch (err) {
+        filesPreview.textContent = `Error loading file: ${err.message}`;
+    }
+}
+
+// Show the log output of one rip
+async function showRipLog(id) {
+    const entry = history.find(h => h.id === id);
+    ripLogTitle.textContent = entry ?
+        `${entry.discName || 'Unknown'} (${entry.device}, ${formatDate(new Date(entry.startTime * 1000))})` :
+        'Rip Log';
+    ripLogOutput.textContent = 'Loading...';
+    ripLogModal.classList.remove('hidden');
+
+    try {
+        const response = await apiFetch(`/api/history/${encodeURIComponent(id)}/log`);
+        const result = await response.json();
+        ripLogOutput.textContent = response.ok ? (result.log || 'No output') : result.error;
+    } catch (err) {
+        ripLogOutput.textContent = `Error loading log: ${err.message}`;
+    }
+}
+
+// Load the duplicate-disc registry
+async function loadRipped() {
+    const params = new URLSearchParams();
+    if (rippedSearch.value.trim()) params.set('q', rippedSearch.value.trim());
+    if (rippedType.value) params.set('type', rippedType.value);
+
+    try {
+        const response = await apiFetch(`/api/ripped?${params}`);
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error, 'error');
+            return;
+        }
+        rippedDiscs = result;
+        renderRipped();
+    } catch (err) {
+        console.error('Error loading ripped discs:', err);
+    }
+}
+
+// Render registry table
+function renderRipped() {
+    rippedCount.textContent = `${rippedDiscs.length} disc${rippedDiscs.length === 1 ? '' : 's'}`;
+
+    if (rippedDiscs.length === 0) {
+        rippedTbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">No ripped discs</td></tr>';
+        return;
+    }
+
+    rippedTbody.innerHTML = rippedDiscs.map(disc => `
+        <tr onclick="showRipped('${escapeHtml(jsString(disc.discId))}')">
+            <td>${disc.markedAt ? formatDate(new Date(disc.markedAt * 1000)) : '-'}</td>
+            <td title="${escapeHtml(disc.discId)}">${escapeHtml(disc.name || disc.discId)}</td>
+            <td>${disc.type}</td>
+            <td>${escapeHtml(disc.outputDir || '-')}</td>
+            <td>${escapeHtml(disc.note || '')}</td>
+            <td>${disc.history.length > 0 ? statusBadge(disc.history[0]) : '-'}</td>
+        </tr>
+    `).join('');
+}
+
+// Show a registry entry with its rips and note
+function showRipped(discId) {
+    const disc = rippedDiscs.find(d => d.discId === discId);
+    if (!disc) return;
+
+    selectedDiscId = discId;
+    rippedModalTitle.textContent = disc.name || disc.discId;
+    rippedNote.value = disc.note || '';
+
+    const rips = disc.history.map(entry => `
+        <li>${formatDate(new Date(entry.startTime * 1000))} on ${escapeHtml(entry.device)} ${statusBadge(entry)}
+            <button class="btn-link" onclick="rippedModal.classList.add('hidden'); showHistoryDetail('${escapeHtml(jsString(entry.id))}')">Details</button></li>
+    `).join('');
+
+    rippedModalBody.innerHTML = `
+        <dl class="detail-grid">
+            <dt>Disc ID</dt><dd>${escapeHtml(disc.discId)}</dd>
+            <dt>Type</dt><dd>${disc.type}</dd>
+            <dt>Ripped</dt><dd>${disc.markedAt ? formatDate(new Date(disc.markedAt * 1000)) : '-'}</dd>
+            <dt>Output</dt><dd>${escapeHtml(disc.outputDir || '-')}</dd>
+        </dl>
+        <h4>Rips</h4>
+        ${rips ? `<ul class="title-list">${rips}</ul>` : '<p>No matching history entries.</p>'}
+        <p>Removing the disc from the registry lets autorip rip it again the next time it is inserted.</p>
+    `;
+
+    const canEdit = userRole === 'operator';
+    rippedNote.disabled = !canEdit;
+    rippedRemoveBtn.disabled = !canEdit;
+    rippedSaveBtn.disabled = !canEdit;
+    rippedModal.classList.remove('hidden');
+}
+
+// Save the note of the selected registry entry
+async function saveRippedNote() {
+    try {
+        const response = await apiFetch('/api/ripped/note', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ discId: selectedDiscId, note: rippedNote.value }),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error, 'error');
+            return;
+        }
+        rippedModal.classList.add('hidden');
+        showToast('Note saved', 'success');
+        loadRipped();
+    } catch (err) {
+        showToast(`Error saving note: ${err.message}`, 'error');
+    }
+}
+
+// Remove the selected disc from the registry
+async function removeRipped() {
+    try {
+        const response = await apiFetch('/api/ripped/remove', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ discId: selectedDiscId }),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            showToast(result.error, 'error');
+            return;
+        }
+        rippedModal.classList.add('hidden');
+        showToast('Disc removed; it will be ripped again next time', 'success');
+        loadRipped();
+    } catch (err) {
+        showToast(`Error removing disc: ${err.message}`, 'error');
+    }
+}
+
+// Update history drive filter, keeping drives that are no longer present selectable
+function updateHistoryDeviceSelect() {
+    const currentValue = historyDevice.value;
+    const options = drives.map(d => [d.identity.id, `${d.identity.label} (${d.device})`]);
+    if (currentValue && !options.some(([id]) => id === currentValue)) {
+        options.push([currentValue, driveLabels.get(currentValue) || currentValue]);
+    }
+    historyDevice.innerHTML = '<option value="">All drives</option>' +
+        options.map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`).join('');
+    historyDevice.value = currentValue;
+}
+
+// Hardware label of the drive a rip ran on; entries from before drive IDs
+// were recorded only have the device name
+function historyDriveName(entry) {
+    if (!entry.driveId) return entry.device;
+    return driveLabels.get(entry.driveId) || entry.driveId;
+}
+
 // Update log device select
 function updateLogDeviceSelect() {
     const currentValue = logDeviceSelect.value;
@@ -332,41 +1351,144 @@ function updateLogDeviceSelect() {
     }
 }
 
-// Load device log
-async function loadLog(device) {
-    if (!device) {
-        logOutput.textContent = '';
+// Send a request over the WebSocket if it is open
+function sendMessage(message) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+// Switch the live log subscription to a device ('' to stop)
+function subscribeLog(device, previous = '') {
+    if (previous) {
+        sendMessage({ type: 'unsubscribe', channel: 'logs', device: previous });
+    }
+
+    logLines = [];
+    logOutput.textContent = device ? 'Loading...' : '';
+    logEarlierBtn.disabled = true;
+
+    if (device) {
+        sendMessage({ type: 'subscribe', channel: 'logs', device, lines: LOG_PAGE_LINES });
+    }
+}
+
+// Request the lines before the oldest one shown
+function loadEarlierLog() {
+    if (!selectedLogDevice || logLines.length === 0) return;
+    logEarlierBtn.disabled = true;
+    sendMessage({
+        type: 'log_history',
+        device: selectedLogDevice,
+        before: logLines[0].offset,
+        lines: LOG_PAGE_LINES,
+    });
+}
+
+// Attach byte offsets to lines starting at `offset`
+function withOffsets(lines, offset) {
+    return lines.map(text => {
+        const line = { offset, text };
+        offset += textEncoder.encode(text).length + 1;
+        return line;
+    });
+}
+
+// Initial history replaces the view; earlier pages are prepended
+function receiveLogHistory(data) {
+    const lines = withOffsets(data.lines, data.start);
+
+    if (data.initial) {
+        logLines = lines;
+        renderLog();
         return;
     }
 
-    try {
-        const response = await fetch(`/api/logs/${device}?lines=200`);
-        const result = await response.json();
-        logOutput.textContent = result.log || 'No log available';
+    const expected = logLines.length > 0 ? logLines[0].offset : null;
+    if (expected === null || data.end + 1 < expected) {
+        return; // Stale response
+    }
+    const previousHeight = logOutput.scrollHeight;
+    logLines = lines.concat(logLines);
+    renderLog(false);
+    logOutput.scrollTop += logOutput.scrollHeight - previousHeight;
+}
 
-        if (logAutoScroll.checked) {
-            logOutput.scrollTop = logOutput.scrollHeight;
-        }
-    } catch (err) {
-        logOutput.textContent = `Error loading log: ${err.message}`;
+// Append live lines, dropping the oldest beyond MAX_LOG_LINES
+function appendLogLines(lines, offset) {
+    logLines = logLines.concat(withOffsets(lines, offset));
+    if (logLines.length > MAX_LOG_LINES) {
+        logLines = logLines.slice(-MAX_LOG_LINES);
+    }
+    renderLog();
+}
+
+// Render the log viewer
+function renderLog(scroll = true) {
+    logOutput.textContent = logLines.length > 0 ?
+        logLines.map(line => line.text).join('\n') :
+        'No log available';
+    logEarlierBtn.disabled = logLines.length === 0 || logLines[0].offset === 0;
+
+    if (scroll && logAutoScroll.checked) {
+        logOutput.scrollTop = logOutput.scrollHeight;
     }
 }
 
+// Setup login/logout listeners
+function setupLoginListeners() {
+    loginForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        login(
+            document.getElementById('login-username').value,
+            document.getElementById('login-password').value
+        );
+    });
+
+    logoutBtn.addEventListener('click', logout);
+}
+
 // Setup event listeners
 function setupEventListeners() {
     // Log device select
     logDeviceSelect.addEventListener('change', () => {
+        const previous = selectedLogDevice;
         selectedLogDevice = logDeviceSelect.value;
-        loadLog(selectedLogDevice);
+        subscribeLog(selectedLogDevice, previous);
     });
 
-    // Log refresh button
+    // Log refresh button re-reads the latest lines
     logRefreshBtn.addEventListener('click', () => {
-        loadLog(selectedLogDevice);
+        subscribeLog(selectedLogDevice, selectedLogDevice);
+    });
+
+    // Load earlier log lines
+    logEarlierBtn.addEventListener('click', loadEarlierLog);
+
+    // History search controls
+    [historyFilter, historyDevice, historyType, historyFrom, historyTo, historySort].forEach(control => {
+        control.addEventListener('change', searchHistory);
+    });
+
+    let searchTimer = null;
+    historySearch.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(searchHistory, 300);
     });
 
-    // History filter
-    historyFilter.addEventListener('change', renderHistory);
+    // History export
+    historyExportBtn.addEventListener('click', exportHistory);
+
+    // History pagination
+    historyPrevBtn.addEventListener('click', () => {
+        historyOffset = Math.max(0, historyOffset - HISTORY_PAGE_SIZE);
+        loadHistory();
+    });
+
+    historyNextBtn.addEventListener('click', () => {
+        historyOffset += HISTORY_PAGE_SIZE;
+        loadHistory();
+    });
 
     // Reset modal
     resetCancelBtn.addEventListener('click', () => {
@@ -382,6 +1504,119 @@ function setupEventListeners() {
         }
     });
 
+    // Title selection modal
+    titleSelectAll.addEventListener('change', () => {
+        titleSelectTbody.querySelectorAll('.title-select-check').forEach(box => {
+            box.checked = titleSelectAll.checked;
+        });
+    });
+
+    titleSelectRipBtn.addEventListener('click', () => {
+        const titles = Array.from(titleSelectTbody.querySelectorAll('.title-select-check:checked'))
+            .map(box => parseInt(box.value, 10));
+        submitTitleSelection(titles);
+    });
+
+    titleSelectAllBtn.addEventListener('click', () => submitTitleSelection('all'));
+    titleSelectCloseBtn.addEventListener('click', closeTitleSelection);
+
+    titleSelectModal.addEventListener('click', (e) => {
+        if (e.target === titleSelectModal) {
+            closeTitleSelection();
+        }
+    });
+
+    // Drive action modal
+    actionCancelBtn.addEventListener('click', () => {
+        actionModal.classList.add('hidden');
+        pendingDriveAction = null;
+    });
+
+    actionConfirmBtn.addEventListener('click', async () => {
+        if (pendingDriveAction) {
+            const { device, action } = pendingDriveAction;
+            actionModal.classList.add('hidden');
+            pendingDriveAction = null;
+            await performDriveAction(device, action, true);
+        }
+    });
+
+    actionModal.addEventListener('click', (e) => {
+        if (e.target === actionModal) {
+            actionModal.classList.add('hidden');
+            pendingDriveAction = null;
+        }
+    });
+
+    // History detail modal
+    historyDetailCloseBtn.addEventListener('click', () => {
+        historyDetailModal.classList.add('hidden');
+    });
+
+    historyDetailRetryBtn.addEventListener('click', () => retryRip(detailEntryId));
+
+    historyDetailFilesBtn.addEventListener('click', () => {
+        historyDetailModal.classList.add('hidden');
+        openFiles(detailOutputPath);
+    });
+
+    historyDetailLogBtn.addEventListener('click', () => {
+        historyDetailModal.classList.add('hidden');
+        showRipLog(detailEntryId);
+    });
+
+    historyDetailModal.addEventListener('click', (e) => {
+        if (e.target === historyDetailModal) {
+            historyDetailModal.classList.add('hidden');
+        }
+    });
+
+    // File browser
+    browseOutputBtn.addEventListener('click', () => openFiles(''));
+
+    filesCloseBtn.addEventListener('click', () => {
+        filesModal.classList.add('hidden');
+    });
+
+    filesModal.addEventListener('click', (e) => {
+        if (e.target === filesModal) {
+            filesModal.classList.add('hidden');
+        }
+    });
+
+    // Rip log modal
+    ripLogCloseBtn.addEventListener('click', () => {
+        ripLogModal.classList.add('hidden');
+    });
+
+    ripLogModal.addEventListener('click', (e) => {
+        if (e.target === ripLogModal) {
+            ripLogModal.classList.add('hidden');
+        }
+    });
+
+    // Ripped disc registry
+    rippedType.addEventListener('change', loadRipped);
+
+    let rippedSearchTimer = null;
+    rippedSearch.addEventListener('input', () => {
+        clearTimeout(rippedSearchTimer);
+        rippedSearchTimer = setTimeout(loadRipped, 300);
+    });
+
+    rippedSaveBtn.addEventListener('click', saveRippedNote);
+    rippedRemoveBtn.addEventListener('click', removeRipped);
+
+    rippedCancelBtn.addEventListener('click', () => {
+        rippedModal.classList.add('hidden');
+    });
+
+    rippedModal.addEventListener('click', (e) => {
+        if (e.target === rippedModal) {
+            rippedModal.classList.add('hidden');
+        }
+    });
+
     // Close modal on backdrop click
     resetModal.addEventListener('click', (e) => {
         if (e.target === resetModal) {
@@ -390,15 +1625,13 @@ function setupEventListeners() {
         }
     });
 
-    // Auto-refresh log
+    // Refresh history and the registry periodically
     setInterval(() => {
-        if (selectedLogDevice) {
-            loadLog(selectedLogDevice);
+        if (authToken || !authEnabled) {
+            loadHistory();
+            loadRipped();
         }
-    }, 5000);
-
-    // Refresh history periodically
-    setInterval(loadHistory, 30000);
+    }, 30000);
 }
 
 // Show toast notification
@@ -431,6 +1664,23 @@ function formatDuration(seconds) {
     return `${minutes}:${secs.toString().padStart(2, '0')}`;
 }
 
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Time left until an epoch-seconds deadline, e.g. "4m 05s"
+function formatCountdown(deadline) {
+    const left = Math.max(0, Math.round(deadline - Date.now() / 1000));
+    return `${Math.floor(left / 60)}m ${String(left % 60).padStart(2, '0')}s`;
+}
+
 function formatDate(date) {
     const now = new Date();
     const diff = now - date;
@@ -449,5 +1699,8 @@ function formatDate(date) {
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
-// Make initiateReset available globally
+// Make onclick handlers available globally
 window.initiateReset = initiateReset;
+window.initiateDriveAction = initiateDriveAction;
+window.openTitleSelection = openTitleSelection;
+window.setResetStrategy = setResetStrategy;
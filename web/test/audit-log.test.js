@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const AuditLog = require('../lib/audit-log');
+const { tempDir } = require('./helpers');
+
+describe('AuditLog', () => {
+    let scratch;
+    let file;
+    let audit;
+
+    beforeEach(() => {
+        scratch = tempDir();
+        file = path.join(scratch.dir, 'audit', 'audit.ndjson');
+        audit = new AuditLog({ auditLog: file });
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    const action = (n, device = 'sr0') => ({ action: 'eject', device, user: 'alice', role: 'operator', n, result: 'success' });
+    const lines = name => fs.readFileSync(name, 'utf8').trim().split('\n').map(line => JSON.parse(line).n);
+
+    it('appends every action as one line, in order', async () => {
+        const before = Math.floor(Date.now() / 1000);
+        const entry = audit.record(action(1));
+        for (let n = 2; n <= 20; n++) {
+            audit.record(action(n));
+        }
+        assert.ok(entry.time >= before);
+        assert.strictEqual(entry.user, 'alice');
+
+        await audit.queue;
+        assert.deepStrictEqual(lines(file), Array.from({ length: 20 }, (_, i) => i + 1));
+    });
+
+    it('returns recent actions newest first, by device', async () => {
+        for (let n = 1; n <= 6; n++) {
+            audit.record(action(n, n % 2 ? 'sr0' : 'sr1'));
+        }
+        await audit.queue;
+        fs.appendFileSync(file, '{"torn":\n');
+
+        assert.deepStrictEqual((await audit.recent()).map(e => e.n), [6, 5, 4, 3, 2, 1]);
+        assert.deepStrictEqual((await audit.recent({ limit: 2 })).map(e => e.n), [6, 5]);
+        assert.deepStrictEqual((await audit.recent({ device: 'sr1' })).map(e => e.n), [6, 4, 2]);
+    });
+
+    it('keeps going after a failed write', async () => {
+        fs.mkdirSync(file, { recursive: true }); // Not writable as a file
+        audit.record(action(1));
+        await audit.queue;
+
+        fs.rmdirSync(file);
+        audit.record(action(2));
+        await audit.queue;
+        assert.deepStrictEqual(lines(file), [2]);
+    });
+
+    it('rotates a full log and drops the oldest rotated file', async () => {
+        audit.maxBytes = 300;
+        audit.maxFiles = 2;
+        const lineBytes = Buffer.byteLength(JSON.stringify({ time: Math.floor(Date.now() / 1000), ...action(10) }) + '\n');
+        const perFile = Math.ceil(audit.maxBytes / lineBytes);
+
+        const total = perFile * 4;
+        for (let n = 1; n <= total; n++) {
+            audit.record(action(n));
+        }
+        await audit.queue;
+
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(file)).sort(), ['audit.ndjson', 'audit.ndjson.1', 'audit.ndjson.2']);
+        assert.ok(fs.statSync(`${file}.1`).size >= audit.maxBytes);
+        assert.ok(fs.statSync(`${file}.1`).size < audit.maxBytes + lineBytes);
+
+        // Newest first across the files; the first file's worth is gone
+        const kept = [...lines(`${file}.2`), ...lines(`${file}.1`), ...lines(file)];
+        assert.deepStrictEqual(kept, Array.from({ length: kept.length }, (_, i) => total - kept.length + 1 + i));
+        assert.ok(kept[0] > perFile);
+        assert.deepStrictEqual((await audit.recent({ limit: 1000 })).map(e => e.n), [...kept].reverse());
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+const Auth = require('../lib/auth');
+const { tempDir, startServer, request } = require('./helpers');
+
+const VIEWER_TOKEN = 'viewer-token-0f3c';
+const OPERATOR_TOKEN = 'operator-token-9ab1';
+
+const bearer = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+// Resolves with the HTTP status of a refused upgrade, or 101 once open
+function upgrade(port, query = '') {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/${query}`, { headers: { Origin: `http://127.0.0.1:${port}` } });
+        ws.once('open', () => {
+            ws.close();
+            resolve(101);
+        });
+        ws.once('unexpected-response', (req, res) => {
+            resolve(res.statusCode);
+            req.destroy();
+        });
+        ws.once('error', reject);
+    });
+}
+
+describe('authentication', () => {
+    let scratch;
+    let server;
+
+    before(async () => {
+        scratch = tempDir();
+        const usersFile = path.join(scratch.dir, 'users.json');
+        fs.writeFileSync(usersFile, JSON.stringify({
+            alice: { password: Auth.hashPassword('secret'), role: 'operator' },
+            bob: { password: Auth.hashPassword('hunter2'), role: 'viewer' },
+        }));
+        server = await startServer({
+            AUTORIP_WEB_USERS_FILE: usersFile,
+            AUTORIP_WEB_TOKENS: `viewer:${VIEWER_TOKEN},operator:${OPERATOR_TOKEN}`,
+        });
+        fs.writeFileSync(path.join(server.output, 'movie.mkv'), 'matroska');
+    });
+
+    after(async () => {
+        await server.stop();
+        scratch.cleanup();
+    });
+
+    it('requires credentials on the API and metrics', async () => {
+        assert.strictEqual((await request(server.port, 'GET', '/api/drives')).status, 401);
+        assert.strictEqual((await request(server.port, 'GET', '/metrics')).status, 401);
+        assert.strictEqual((await request(server.port, 'GET', '/api/drives', bearer('wrong'))).status, 401);
+        assert.strictEqual((await request(server.port, 'GET', '/api/drives', bearer(VIEWER_TOKEN))).status, 200);
+        assert.strictEqual((await request(server.port, 'GET', '/metrics', bearer(VIEWER_TOKEN))).status, 200);
+
+        const res = await request(server.port, 'GET', '/api/auth');
+        assert.deepStrictEqual(JSON.parse(res.body), { enabled: true, authenticated: false, user: null, role: null });
+    });
+
+    it('does not take tokens from the query string on REST routes', async () => {
+        assert.strictEqual((await request(server.port, 'GET', `/api/drives?token=${VIEWER_TOKEN}`)).status, 401);
+        assert.strictEqual((await request(server.port, 'GET', `/metrics?token=${VIEWER_TOKEN}`)).status, 401);
+        const res = await request(server.port, 'GET', `/api/auth?token=${VIEWER_TOKEN}`);
+        assert.strictEqual(JSON.parse(res.body).authenticated, false);
+    });
+
+    it('lets viewers read and only operators change state', async () => {
+        const note = { body: { discId: 'video:NONE:0', note: 'x' } };
+
+        let res = await request(server.port, 'POST', '/api/ripped/note', { ...note, ...bearer(VIEWER_TOKEN) });
+        assert.strictEqual(res.status, 403);
+        assert.deepStrictEqual(JSON.parse(res.body), { error: 'Requires operator role' });
+
+        res = await request(server.port, 'POST', '/api/ripped/note', { ...note, ...bearer(OPERATOR_TOKEN) });
+        assert.strictEqual(res.status, 404, res.body);
+    });
+
+    it('signs users in with sessions that carry their role', async () => {
+        let res = await request(server.port, 'POST', '/api/login', { body: { username: 'bob', password: 'wrong' } });
+        assert.strictEqual(res.status, 401);
+        res = await request(server.port, 'POST', '/api/login', { body: { username: 'nobody', password: 'hunter2' } });
+        assert.strictEqual(res.status, 401);
+
+        res = await request(server.port, 'POST', '/api/login', { body: { username: 'bob', password: 'hunter2' } });
+        assert.strictEqual(res.status, 200);
+        const session = JSON.parse(res.body);
+        assert.strictEqual(session.user, 'bob');
+        assert.strictEqual(session.role, 'viewer');
+        assert.ok(session.expires > Date.now());
+
+        res = await request(server.port, 'GET', '/api/auth', bearer(session.token));
+        assert.deepStrictEqual(JSON.parse(res.body), { enabled: true, authenticated: true, user: 'bob', role: 'viewer' });
+        assert.strictEqual((await request(server.port, 'GET', '/api/drives', bearer(session.token))).status, 200);
+        assert.strictEqual((await request(server.port, 'POST', '/api/ripped/note', {
+            body: { discId: 'video:NONE:0', note: 'x' },
+            ...bearer(session.token),
+        })).status, 403);
+
+        assert.strictEqual((await request(server.port, 'POST', '/api/logout', bearer(session.token))).status, 200);
+        assert.strictEqual((await request(server.port, 'GET', '/api/drives', bearer(session.token))).status, 401);
+    });
+
+    it('accepts WebSocket upgrades only with credentials', async () => {
+        assert.strictEqual(await upgrade(server.port), 401);
+        assert.strictEqual(await upgrade(server.port, '?token=wrong'), 401);
+        assert.strictEqual(await upgrade(server.port, `?token=${VIEWER_TOKEN}`), 101);
+    });
+
+    it('downloads through signed links without the token', async () => {
+        let res = await request(server.port, 'GET', '/api/files/link?path=movie.mkv', bearer(VIEWER_TOKEN));
+        assert.strictEqual(res.status, 200, res.body);
+        const { url } = JSON.parse(res.body);
+        assert.ok(!url.includes(VIEWER_TOKEN));
+
+        res = await request(server.port, 'GET', url);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body, 'matroska');
+
+        // The signature covers the path and the expiry
+        const other = new URL(url, 'http://localhost');
+        other.searchParams.set('path', 'other.mkv');
+        assert.strictEqual((await request(server.port, 'GET', `${other.pathname}${other.search}`)).status, 401);
+        other.searchParams.set('path', 'movie.mkv');
+        other.searchParams.set('expires', String(Number(other.searchParams.get('expires')) + 1));
+        assert.strictEqual((await request(server.port, 'GET', `${other.pathname}${other.search}`)).status, 401);
+
+        // Only for downloads
+        const listing = new URL(url, 'http://localhost');
+        assert.strictEqual((await request(server.port, 'GET', `/api/files${listing.search}`)).status, 401);
+    });
+});
@@ -0,0 +1,318 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const BusManager = require('../lib/bus-manager');
+const { tempDir } = require('./helpers');
+
+const ANCHOR = '/sys/devices/pci0000:00/0000:00:14.0/usb1/1-2';
+
+describe('BusManager.verifyReset', () => {
+    let scratch;
+    let manager;
+    let ids; // device -> drive ID
+    let polls; // bus drives ([device, node], or a function returning them) per discovery, last one repeated
+
+    beforeEach(() => {
+        scratch = tempDir();
+        ids = {};
+        polls = [];
+        manager = new BusManager({ resetVerifyTimeout: 1 }, {
+            resolve: async device => ({ id: ids[device] || device, device }),
+        });
+        manager.verifyInterval = 10;
+        manager.verifyTimeout = 300;
+        manager.probeDevice = async () => true;
+        manager.discoverBuses = async () => {
+            let drives = polls.length > 1 ? polls.shift() : polls[0];
+            if (typeof drives === 'function') {
+                drives = drives();
+            }
+            return [{ id: 'usb-1-2', anchor: ANCHOR, drives: drives.map(([device, node]) => ({ device, sysPath: sysNode(node) })) }];
+        };
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    // A sysfs device directory stand-in; replace() gives it a new inode
+    function sysNode(name) {
+        return path.join(scratch.dir, name);
+    }
+
+    function create(name) {
+        fs.writeFileSync(sysNode(name), '');
+    }
+
+    function replace(name) {
+        fs.writeFileSync(`${sysNode(name)}.new`, '');
+        fs.renameSync(`${sysNode(name)}.new`, sysNode(name));
+    }
+
+    // Verify a reset of the bus as first discovered; `reset` runs before polling
+    async function verify(reset) {
+        const [bus] = await manager.discoverBuses();
+        const expected = await Promise.all(bus.drives.map(async d => ({ device: d.device, id: await manager.identify(d.device) })));
+        const before = await manager.busNodes(bus);
+        reset();
+        return manager.verifyReset(bus, expected, before);
+    }
+
+    it('waits for drives to leave before counting them as back', async () => {
+        ids = { sr0: 'drive-a', sr1: 'drive-b' };
+        create('a');
+        create('b');
+        polls = [
+            [['sr0', 'a'], ['sr1', 'b']], // discovery
+            [['sr0', 'a'], ['sr1', 'b']], // busNodes before
+            [['sr0', 'a'], ['sr1', 'b']], // early poll: old nodes
+            () => {
+                replace('a');
+                replace('b');
+                return [];
+            },
+            [['sr0', 'a'], ['sr1', 'b']],
+        ];
+
+        const result = await verify(() => {});
+        assert.strictEqual(polls.length, 1);
+        assert.strictEqual(result.recovered, true);
+        assert.deepStrictEqual(result.drives.map(d => [d.device, d.outcome]), [['sr0', 'recovered'], ['sr1', 'recovered']]);
+    });
+
+    it('counts a drive on a new sysfs node as back without a gap', async () => {
+        ids = { sr0: 'drive-a' };
+        create('a');
+        polls = [[['sr0', 'a']]];
+
+        const result = await verify(() => replace('a'));
+        assert.strictEqual(result.drives[0].outcome, 'recovered');
+        assert.ok(result.duration < manager.verifyTimeout);
+    });
+
+    it('matches renamed drives by identity, not order', async () => {
+        ids = { sr0: 'drive-a', sr1: 'drive-b', sr2: 'drive-b', sr3: 'drive-a' };
+        create('a');
+        create('b');
+        polls = [
+            [['sr0', 'a'], ['sr1', 'b']],
+            [['sr0', 'a'], ['sr1', 'b']],
+            [['sr2', 'b2'], ['sr3', 'a2']],
+        ];
+        create('a2');
+        create('b2');
+
+        const result = await verify(() => {});
+        assert.deepStrictEqual(result.drives.map(d => [d.device, d.drive, d.outcome, d.newDevice]), [
+            ['sr0', 'drive-a', 'renamed', 'sr3'],
+            ['sr1', 'drive-b', 'renamed', 'sr2'],
+        ]);
+    });
+
+    it('does not count another drive as a missing one', async () => {
+        ids = { sr0: 'drive-a', sr1: 'drive-b', sr2: 'drive-c' };
+        create('a');
+        create('b');
+        create('c');
+        polls = [
+            [['sr0', 'a'], ['sr1', 'b']],
+            [['sr0', 'a'], ['sr1', 'b']],
+            [],
+            [['sr0', 'a'], ['sr2', 'c']],
+        ];
+
+        const result = await verify(() => {});
+        assert.strictEqual(result.recovered, false);
+        assert.deepStrictEqual(result.drives.map(d => [d.device, d.outcome, d.reason]), [
+            ['sr0', 'recovered', null],
+            ['sr1', 'dead', 'missing'],
+        ]);
+        assert.ok(result.duration >= manager.verifyTimeout);
+    });
+
+    it('reports drives the reset never took off the bus', async () => {
+        ids = { sr0: 'drive-a' };
+        create('a');
+        polls = [[['sr0', 'a']]];
+
+        const result = await verify(() => {});
+        assert.deepStrictEqual(result.drives.map(d => [d.outcome, d.reason]), [['dead', 'not_reset']]);
+    });
+});
+
+describe('BusManager.resetBus', () => {
+    let manager;
+    let results; // verification.recovered per strategy applied
+
+    beforeEach(() => {
+        results = [];
+        manager = new BusManager({});
+        manager.sleep = async () => {};
+        manager.busNodes = async () => [];
+        manager.discoverBuses = async () => [{
+            id: 'usb-1-2',
+            type: 'usb',
+            drives: [{ device: 'sr0', sysPath: '/sys/fake/sr0' }],
+            strategies: ['scsi_rescan', 'usb_power_cycle'],
+            strategy: 'auto',
+            resetSupported: true,
+        }];
+        manager.applyStrategy = async () => {};
+        manager.verifyReset = async bus => {
+            const recovered = results.shift();
+            return { busId: bus.id, recovered, duration: 0, drives: [] };
+        };
+    });
+
+    it('counts a reset that leaves drives dead as a failure', async () => {
+        results = [false, false];
+        const verification = await manager.resetBus('usb-1-2');
+
+        assert.strictEqual(verification.recovered, false);
+        assert.deepStrictEqual(manager.getResetCounters()['usb-1-2'], { attempts: 1, failures: 1 });
+    });
+
+    it('does not count a recovered reset as a failure', async () => {
+        results = [true];
+        await manager.resetBus('usb-1-2');
+        assert.deepStrictEqual(manager.getResetCounters()['usb-1-2'], { attempts: 1, failures: 0 });
+    });
+
+    it('counts a reset no strategy could apply as a failure', async () => {
+        manager.applyStrategy = async () => {
+            throw new Error('EACCES');
+        };
+        await assert.rejects(manager.resetBus('usb-1-2'), /Reset failed/);
+        assert.deepStrictEqual(manager.getResetCounters()['usb-1-2'], { attempts: 1, failures: 1 });
+    });
+});
+
+describe('BusManager reset ladder', () => {
+    let scratch;
+    let manager;
+    let bus;
+    let files;
+    let usbInterface;
+    let results; // verification.recovered per strategy verified
+
+    // A USB drive on port 2 of the root hub of an xHCI controller, with its
+    // interface and the controller bound to drivers
+    beforeEach(() => {
+        scratch = tempDir();
+        const root = scratch.dir;
+        const pci = path.join(root, 'devices/pci0000:00/0000:00:14.0');
+        const usbDevice = path.join(pci, 'usb1/1-2');
+        usbInterface = path.join(usbDevice, '1-2:1.0');
+        const drivers = {
+            storage: path.join(root, 'bus/usb/drivers/usb-storage'),
+            xhci: path.join(root, 'bus/pci/drivers/xhci_hcd'),
+        };
+        files = {
+            unbind: path.join(drivers.storage, 'unbind'),
+            bind: path.join(drivers.storage, 'bind'),
+            portDisable: path.join(pci, 'usb1/1-0:1.0/usb1-port2/disable'),
+            authorized: path.join(usbDevice, 'authorized'),
+            pciReset: path.join(pci, 'reset'),
+        };
+
+        for (const dir of [...Object.values(drivers), usbInterface, path.dirname(files.portDisable)]) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+        for (const file of Object.values(files)) {
+            fs.writeFileSync(file, '');
+        }
+        fs.symlinkSync(drivers.storage, path.join(usbInterface, 'driver'));
+        fs.symlinkSync(drivers.xhci, path.join(pci, 'driver'));
+
+        results = [];
+        manager = new BusManager({});
+        manager.sleep = async () => {};
+        manager.busNodes = async () => [];
+        manager.verifyReset = async b => {
+            const recovered = results.shift();
+            return { busId: b.id, recovered, duration: 0, drives: [] };
+        };
+
+        bus = {
+            id: 'usb-1-2',
+            type: 'usb',
+            pciPath: pci,
+            drives: [{ device: 'sr0', sysPath: path.join(usbInterface, 'host6/target6:0:0/6:0:0:0') }],
+            strategy: 'auto',
+            resetSupported: true,
+        };
+        bus.strategies = manager.availableStrategies(bus);
+        manager.discoverBuses = async () => [bus];
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    const read = file => fs.readFileSync(file, 'utf8');
+    const steps = verification => verification.attempts.map(a => [a.strategy, a.recovered, a.error !== null]);
+
+    it('offers the strategies the sysfs tree supports', () => {
+        // No SCSI host under /sys/class/scsi_host for this drive
+        assert.deepStrictEqual(bus.strategies, ['driver_rebind', 'usb_power_cycle', 'pci_reset']);
+
+        fs.unlinkSync(files.pciReset);
+        fs.unlinkSync(path.join(usbInterface, 'driver'));
+        assert.deepStrictEqual(manager.availableStrategies(bus), ['usb_power_cycle']);
+    });
+
+    it('stops at the first strategy that brings the drives back', async () => {
+        results = [true];
+        const verification = await manager.resetBus('usb-1-2');
+
+        assert.strictEqual(verification.strategy, 'driver_rebind');
+        assert.deepStrictEqual(steps(verification), [['driver_rebind', true, false]]);
+        assert.strictEqual(read(files.unbind), '1-2:1.0');
+        assert.strictEqual(read(files.bind), '1-2:1.0');
+        assert.strictEqual(read(files.portDisable), '');
+        assert.strictEqual(read(files.pciReset), '');
+    });
+
+    it('escalates while verification finds the drives dead', async () => {
+        results = [false, true];
+        const verification = await manager.resetBus('usb-1-2');
+
+        assert.strictEqual(verification.recovered, true);
+        assert.strictEqual(verification.strategy, 'usb_power_cycle');
+        assert.deepStrictEqual(steps(verification), [['driver_rebind', false, false], ['usb_power_cycle', true, false]]);
+        assert.strictEqual(read(files.portDisable), '0'); // Port switched off, then back on
+        assert.strictEqual(read(files.authorized), '');
+        assert.strictEqual(read(files.pciReset), '');
+        assert.deepStrictEqual(manager.getResetCounters()['usb-1-2'], { attempts: 1, failures: 0 });
+    });
+
+    it('escalates past a strategy that cannot be applied', async () => {
+        // Writing the unbind file fails
+        fs.unlinkSync(files.unbind);
+        fs.mkdirSync(files.unbind);
+        fs.unlinkSync(files.portDisable);
+        results = [false, true];
+        const verification = await manager.resetBus('usb-1-2');
+
+        assert.deepStrictEqual(steps(verification), [
+            ['driver_rebind', false, true],
+            ['usb_power_cycle', false, false],
+            ['pci_reset', true, false],
+        ]);
+        assert.strictEqual(read(files.bind), '');
+        assert.strictEqual(read(files.authorized), '1'); // Deauthorized, then authorized again
+        assert.strictEqual(read(files.pciReset), '1');
+    });
+
+    it('applies only the pinned strategy', async () => {
+        bus.strategy = 'pci_reset';
+        results = [false];
+        const verification = await manager.resetBus('usb-1-2');
+
+        assert.deepStrictEqual(steps(verification), [['pci_reset', false, false]]);
+        assert.strictEqual(read(files.unbind), '');
+        assert.deepStrictEqual(manager.getResetCounters()['usb-1-2'], { attempts: 1, failures: 1 });
+    });
+});
@@ -0,0 +1,177 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const DriveInventory = require('../lib/drive-inventory');
+const DriveIdentity = require('../lib/drive-identity');
+const { tempDir } = require('./helpers');
+
+const USB_DEVICE = 'devices/pci0000:00/0000:00:14.0/usb2/2-1';
+const USB_SCSI = `${USB_DEVICE}/2-1:1.0/host4/target4:0:0/4:0:0:0`;
+const SATA_SCSI = 'devices/pci0000:00/0000:00:17.0/ata3/host2/target2:0:0/2:0:0:0';
+
+// A sysfs, /dev and /proc stand-in under a scratch directory
+function fakeSystem(root) {
+    const sys = path.join(root, 'sys');
+    const write = (dir, fields) => {
+        fs.mkdirSync(path.join(sys, dir), { recursive: true });
+        for (const [name, value] of Object.entries(fields)) {
+            fs.writeFileSync(path.join(sys, dir, name), `${value}\n`);
+        }
+    };
+    const block = (device, scsi) => {
+        fs.mkdirSync(path.join(sys, 'block', device), { recursive: true });
+        fs.symlinkSync(path.join(sys, scsi), path.join(sys, 'block', device, 'device'));
+        fs.writeFileSync(path.join(root, 'dev', device), '');
+    };
+    const link = (dir, name, device) => {
+        fs.mkdirSync(path.join(root, dir), { recursive: true });
+        fs.symlinkSync(path.join(root, 'dev', device), path.join(root, dir, name));
+    };
+    fs.mkdirSync(path.join(root, 'dev'));
+
+    // A USB drive behind a JMicron bridge on the uas driver
+    write(USB_DEVICE, {
+        idVendor: '152d', idProduct: '0578', speed: '5000', version: ' 3.20',
+        manufacturer: 'JMicron', product: 'USB to ATA/ATAPI Bridge', serial: 'DB12345678',
+    });
+    write(USB_SCSI, { vendor: 'ASUS    ', model: 'SDRW-08D2S-U    ', rev: 'B901' });
+    fs.mkdirSync(path.join(sys, 'bus/usb/drivers/uas'), { recursive: true });
+    fs.symlinkSync(path.join(sys, 'bus/usb/drivers/uas'), path.join(sys, USB_DEVICE, '2-1:1.0', 'driver'));
+    block('sr0', USB_SCSI);
+
+    // A SATA drive without a serial in sysfs
+    write(SATA_SCSI, { vendor: 'HL-DT-ST', model: 'BD-RE  WH16NS40', rev: '1.05' });
+    block('sr1', SATA_SCSI);
+
+    return { sys, link };
+}
+
+describe('DriveInventory.get', () => {
+    let scratch;
+    let inventory;
+    let udev; // device -> udev properties
+
+    beforeEach(() => {
+        scratch = tempDir();
+        const { sys } = fakeSystem(scratch.dir);
+        inventory = new DriveInventory({});
+        inventory.sysBlockDir = path.join(sys, 'block');
+        inventory.procCdromInfo = path.join(scratch.dir, 'cdrom-info');
+        udev = {};
+        inventory.udevProperties = async device => udev[device] || {};
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    it('describes a USB drive, its bridge and link from sysfs', async () => {
+        udev.sr0 = { ID_BUS: 'scsi', ID_CDROM_CD: '1', ID_CDROM_DVD: '1', ID_CDROM_DVD_PLUS_RW: '1', ID_CDROM_CD_R: '0' };
+        const drive = await inventory.get('sr0');
+
+        assert.deepStrictEqual(drive, {
+            device: 'sr0',
+            vendor: 'ASUS',
+            model: 'SDRW-08D2S-U',
+            firmware: 'B901',
+            transport: 'usb',
+            media: { read: ['CD', 'DVD'], write: ['DVD+RW'], source: 'udev' },
+            usb: {
+                bridge: {
+                    vendorId: '152d',
+                    productId: '0578',
+                    chipset: 'JMicron',
+                    manufacturer: 'JMicron',
+                    product: 'USB to ATA/ATAPI Bridge',
+                },
+                driver: 'uas',
+                version: '3.20',
+                speed: 5000,
+                speedName: 'USB 3.0 SuperSpeed',
+            },
+        });
+    });
+
+    it('falls back to /proc/sys/dev/cdrom/info for media', async () => {
+        udev.sr1 = { ID_BUS: 'ata' };
+        fs.writeFileSync(inventory.procCdromInfo, [
+            'CD-ROM information, Id: cdrom.c 3.20 2003/12/17',
+            '',
+            'drive name:\t\tsr1\tsr0',
+            'drive speed:\t\t48\t24',
+            'Can write CD-R:\t\t1\t0',
+            'Can write CD-RW:\t\t1\t0',
+            'Can read DVD:\t\t1\t1',
+            'Can write DVD-R:\t\t0\t0',
+            'Can write DVD-RAM:\t\t1\t0',
+            '',
+        ].join('\n'));
+
+        const drive = await inventory.get('sr1');
+        assert.strictEqual(drive.transport, 'ata');
+        assert.strictEqual(drive.model, 'BD-RE  WH16NS40');
+        assert.strictEqual(drive.usb, null);
+        assert.deepStrictEqual(drive.media, { read: ['CD', 'DVD'], write: ['CD-R', 'CD-RW', 'DVD-RAM'], source: 'proc' });
+    });
+
+    it('uses udev properties for a device that is gone', async () => {
+        udev.sr5 = { ID_VENDOR: 'Pioneer', ID_MODEL: 'BDR-XD07', ID_REVISION: '1.00', ID_BUS: 'usb' };
+        const drive = await inventory.get('sr5');
+        assert.deepStrictEqual([drive.vendor, drive.model, drive.firmware, drive.transport, drive.usb], ['Pioneer', 'BDR-XD07', '1.00', 'usb', null]);
+        assert.deepStrictEqual(drive.media, { read: [], write: [], source: null });
+    });
+});
+
+describe('DriveIdentity.resolve', () => {
+    let scratch;
+    let identity;
+    let link;
+
+    beforeEach(() => {
+        scratch = tempDir();
+        const system = fakeSystem(scratch.dir);
+        link = system.link;
+        identity = new DriveIdentity({});
+        identity.devDir = path.join(scratch.dir, 'dev');
+        identity.byIdDir = path.join(scratch.dir, 'by-id');
+        identity.byPathDir = path.join(scratch.dir, 'by-path');
+        identity.sysBlockDir = path.join(system.sys, 'block');
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    it('prefers the WWN by-id link', async () => {
+        link('by-id', 'ata-HL-DT-ST_BD-RE_WH16NS40_K9X12345', 'sr1');
+        link('by-id', 'wwn-0x5001480000000000', 'sr1');
+        link('by-id', 'usb-ASUS_SDRW-08D2S-U_DB12345678-0:0', 'sr0');
+
+        const drive = await identity.resolve('sr1');
+        assert.deepStrictEqual(drive, {
+            id: 'wwn-0x5001480000000000',
+            device: 'sr1',
+            label: 'HL-DT-ST BD-RE  WH16NS40',
+            vendor: 'HL-DT-ST',
+            model: 'BD-RE  WH16NS40',
+            serial: null,
+            source: 'by-id',
+        });
+        assert.strictEqual((await identity.resolve('sr0')).id, 'usb-ASUS_SDRW-08D2S-U_DB12345678-0:0');
+    });
+
+    it('builds an ID from sysfs vendor, model and USB serial without by-id links', async () => {
+        const drive = await identity.resolve('sr0');
+        assert.strictEqual(drive.id, 'ASUS_SDRW-08D2S-U_DB12345678');
+        assert.strictEqual(drive.source, 'sysfs');
+        assert.strictEqual(identity.deviceFor('ASUS_SDRW-08D2S-U_DB12345678'), 'sr0');
+    });
+
+    it('falls back to the by-path link, then the device name', async () => {
+        link('by-path', 'pci-0000:00:17.0-ata-3', 'sr1');
+        assert.deepStrictEqual(await identity.resolve('sr1').then(d => [d.id, d.source]), ['pci-0000:00:17.0-ata-3', 'by-path']);
+        assert.deepStrictEqual(await identity.resolve('sr7').then(d => [d.id, d.source, d.label]), ['sr7', 'device', 'sr7']);
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Test helpers: a server.js instance with its state in a scratch
+ * directory, raw HTTP requests that send the path unnormalized, and
+ * autorip.sh functions run on their own in bash
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const AUTORIP = path.join(__dirname, '..', '..', 'autorip.sh');
+
+/**
+ * Create a scratch directory, removed by the returned cleanup function
+ */
+function tempDir(prefix = 'autorip-test-') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+/**
+ * A free TCP port on 127.0.0.1
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start server.js on a free port with all state files under a scratch
+ * directory; env overrides the defaults
+ * Returns { port, dir, output, pid, logs, stop } where logs() is its output so far
+ */
+async function startServer(env = {}) {
+    const { dir, cleanup } = tempDir();
+    const port = await freePort();
+    const output = path.join(dir, 'output');
+    fs.mkdirSync(output);
+
+    const child = spawn(process.execPath, [SERVER], {
+        env: {
+            PATH: process.env.PATH,
+            AUTORIP_WEB_PORT: String(port),
+            AUTORIP_WEB_HOST: '127.0.0.1',
+            AUTORIP_STATUS_DIR: path.join(dir, 'status'),
+            AUTORIP_HISTORY_FILE: path.join(dir, 'history.json'),
+            AUTORIP_HISTORY_STORE: path.join(dir, 'history.ndjson'),
+            AUTORIP_DRIVE_STATS_FILE: path.join(dir, 'drive_stats.json'),
+            AUTORIP_RIP_COUNTERS_FILE: path.join(dir, 'rip_counters.json'),
+            AUTORIP_AUDIT_LOG: path.join(dir, 'audit.ndjson'),
+            AUTORIP_DECISION_DIR: path.join(dir, 'decisions'),
+            AUTORIP_QUEUE_DIR: path.join(dir, 'queue'),
+            AUTORIP_RESET_POLICY_FILE: path.join(dir, 'reset_policy.json'),
+            AUTORIP_RESET_STRATEGIES_FILE: path.join(dir, 'reset_strategies.json'),
+            AUTORIP_LOG_DIR: path.join(dir, 'logs'),
+            AUTORIP_OUTPUT: output,
+            AUTORIP_AUTO_RESET: 'false',
+            ...env,
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let log = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 10000);
+        child.stdout.on('data', chunk => {
+            log += chunk;
+            if (log.includes('Server running at')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => {
+            log += chunk;
+        });
+        child.once('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`server exited with ${code}:\n${log}`));
+        });
+    });
+
+    const stop = () => new Promise(resolve => {
+        child.removeAllListeners('exit');
+        child.once('exit', () => {
+            cleanup();
+            resolve();
+        });
+        child.kill('SIGTERM');
+    });
+
+    return { port, dir, output, pid: child.pid, logs: () => log, stop };
+}
+
+/**
+ * Send a request with rawPath as-is (no URL normalization); a null
+ * header value leaves out a default header
+ * Returns { status, headers, body }
+ */
+function request(port, method, rawPath, { headers = {}, body = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            method,
+            path: rawPath,
+            headers: Object.fromEntries(Object.entries({
+                ...(method !== 'GET' ? { 'X-Autorip-Request': '1' } : {}),
+                ...(body !== null ? { 'Content-Type': 'application/json' } : {}),
+                ...headers,
+            }).filter(([, value]) => value !== null)),
+        }, res => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                data += chunk;
+            });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+        });
+        req.on('error', reject);
+        req.end(body !== null ? JSON.stringify(body) : undefined);
+    });
+}
+
+/**
+ * Source of the named autorip.sh functions, without the script's detach,
+ * lock and main flow around them
+ */
+function autoripFunctions(...names) {
+    const lines = fs.readFileSync(AUTORIP, 'utf8').split('\n');
+    return names.map(name => {
+        const start = lines.indexOf(`${name}() {`);
+        if (start === -1) {
+            throw new Error(`autorip.sh has no function ${name}`);
+        }
+        // The body ends at the first "}" line outside a heredoc
+        let heredoc = null;
+        for (let i = start + 1; i < lines.length; i++) {
+            if (heredoc) {
+                if (lines[i].trim() === heredoc) heredoc = null;
+                continue;
+            }
+            const opening = lines[i].match(/<<-?\s*['"]?(\w+)['"]?/);
+            if (opening) {
+                heredoc = opening[1];
+            } else if (lines[i] === '}') {
+                return lines.slice(start, i + 1).join('\n');
+            }
+        }
+        throw new Error(`autorip.sh function ${name} does not end`);
+    }).join('\n\n');
+}
+
+/**
+ * Run a bash script in its own process group, so a signal to -child.pid
+ * reaches it and its children the way stopping a systemd unit does;
+ * env is added to the environment
+ * Returns { child, done } where done resolves with { code, signal, stdout, stderr }
+ */
+function bash(script, { env = {}, timeout = 20000 } = {}) {
+    const child = spawn('bash', ['-c', script], {
+        env: { PATH: process.env.PATH, ...env },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true,
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => {
+        stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+        stderr += chunk;
+    });
+    const done = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            process.kill(-child.pid, 'SIGKILL');
+            reject(new Error(`bash timed out:\n${stdout}${stderr}`));
+        }, timeout);
+        child.once('close', (code, signal) => {
+            clearTimeout(timer);
+            resolve({ code, signal, stdout, stderr });
+        });
+    });
+    return { child, done };
+}
+
+module.exports = {
+    tempDir,
+    freePort,
+    startServer,
+    request,
+    autoripFunctions,
+    bash,
+};
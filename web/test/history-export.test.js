@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const { serialize } = require('../lib/history-export');
+
+function csv(entries) {
+    return [...serialize(entries, 'csv')].join('').split('\r\n');
+}
+
+describe('history CSV export', () => {
+    it('prefixes text that would run as a formula', () => {
+        const [header, row] = csv([{
+            id: '1',
+            device: 'sr0',
+            discName: '=HYPERLINK("http://example.com","x")',
+            status: 'error',
+            errorMessage: '@SUM(A1)',
+            failedTitles: [{ title: 2, error: 'bad' }],
+            duration: 60,
+        }]);
+        const columns = header.split(',');
+
+        assert.ok(row.startsWith('1,sr0,,"\'=HYPERLINK(""http://example.com"",""x"")",'));
+        assert.ok(row.includes(',\'@SUM(A1),'));
+        assert.strictEqual(row.split(',')[columns.indexOf('duration_seconds') + 1], '60');
+    });
+
+    it('prefixes each formula character', () => {
+        for (const name of ['=1+2', '+1', '-1', '@A1', '\t=1+2']) {
+            const [, row] = csv([{ discName: name }]);
+            assert.strictEqual(row.split(',')[3], `'${name}`);
+        }
+        assert.strictEqual(csv([{ discName: '\r=1+2' }])[1].split(',')[3], '"\'\r=1+2"');
+        const [, row] = csv([{ discName: 'Film - Part 1' }]);
+        assert.strictEqual(row.split(',')[3], 'Film - Part 1');
+    });
+});
@@ -0,0 +1,184 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const RipHistory = require('../lib/history');
+const { tempDir, startServer, request } = require('./helpers');
+
+const DAY = 24 * 60 * 60;
+
+describe('RipHistory.prune', () => {
+    let scratch;
+    let history;
+    let storeFile;
+    const now = Date.UTC(2026, 5, 1);
+
+    const rip = (id, daysAgo) => ({ id, device: 'sr0', status: 'success', endTime: now / 1000 - daysAgo * DAY });
+    const append = (...entries) => fs.appendFileSync(storeFile, entries.map(e => JSON.stringify(e) + '\n').join(''));
+
+    beforeEach(async () => {
+        scratch = tempDir();
+        storeFile = path.join(scratch.dir, 'history.ndjson');
+        history = new RipHistory({ historyStore: storeFile, historyMaxAgeDays: 30, historyMaxEntries: 0 });
+        append(rip('old', 40), rip('kept', 10));
+        await history.run(() => history.readNew(false));
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    it('reports entries appended since the last poll', async () => {
+        const emitted = [];
+        history.on('entry', entry => emitted.push(entry.id));
+        append(rip('new', 0));
+
+        await history.prune(now);
+
+        assert.deepStrictEqual(emitted, ['new']);
+        assert.deepStrictEqual((await history.readAll()).map(e => e.id), ['new', 'kept']);
+        assert.deepStrictEqual(fs.readFileSync(storeFile, 'utf8').trim().split('\n').map(l => JSON.parse(l).id), ['kept', 'new']);
+
+        // Nothing left for the next poll to report again
+        await history.run(() => history.readNew(true));
+        assert.deepStrictEqual(emitted, ['new']);
+    });
+
+    it('does not report entries it already had', async () => {
+        const emitted = [];
+        history.on('entry', entry => emitted.push(entry.id));
+
+        await history.prune(now);
+
+        assert.deepStrictEqual(emitted, []);
+        assert.deepStrictEqual((await history.readAll()).map(e => e.id), ['kept']);
+    });
+});
+
+// A small history: one line per rip, oldest first
+const T = Date.UTC(2026, 2, 1) / 1000; // 2026-03-01 00:00 UTC
+const SEARCH_ENTRIES = [
+    { id: 'a', device: 'sr0', driveId: 'usb-ASUS_BW-16D1HT_0001', discName: 'The Matrix', discType: 'video', status: 'success', startTime: T - DAY, duration: 3600 },
+    { id: 'b', device: 'sr1', driveId: 'usb-LG_WH16NS40_0002', discName: 'Abbey Road', discType: 'audio', status: 'success', startTime: T + 3600, duration: 900 },
+    { id: 'c', device: 'sr0', driveId: 'usb-ASUS_BW-16D1HT_0001', discName: 'the matrix reloaded', discType: 'video', status: 'partial', startTime: T + DAY, duration: 5400 },
+    { id: 'd', device: 'sr1', driveId: 'usb-LG_WH16NS40_0002', discName: 'Backup 2026', discType: 'data', status: 'error', startTime: T + 2 * DAY },
+    { id: 'e', device: 'sr0', driveId: 'usb-ASUS_BW-16D1HT_0001', discName: 'Zodiac', discType: 'video', status: 'error', startTime: T + 3 * DAY, duration: 120 },
+];
+
+describe('RipHistory.query', () => {
+    let scratch;
+    let history;
+
+    beforeEach(async () => {
+        scratch = tempDir();
+        const storeFile = path.join(scratch.dir, 'history.ndjson');
+        fs.writeFileSync(storeFile, SEARCH_ENTRIES.map(e => JSON.stringify(e) + '\n').join(''));
+        history = new RipHistory({ historyStore: storeFile, historyMaxAgeDays: 0, historyMaxEntries: 0 });
+        await history.run(() => history.readNew(false));
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    const ids = async query => (await history.query(query)).entries.map(e => e.id);
+
+    it('returns everything newest first by default', async () => {
+        const result = await history.query();
+        assert.deepStrictEqual(result.entries.map(e => e.id), ['e', 'd', 'c', 'b', 'a']);
+        assert.deepStrictEqual([result.total, result.limit, result.offset], [5, 100, 0]);
+    });
+
+    it('filters by drive, status, disc type and disc name', async () => {
+        assert.deepStrictEqual(await ids({ device: 'sr1' }), ['d', 'b']);
+        assert.deepStrictEqual(await ids({ drive: 'usb-ASUS_BW-16D1HT_0001' }), ['e', 'c', 'a']);
+        assert.deepStrictEqual(await ids({ status: 'partial' }), ['c']);
+        assert.deepStrictEqual(await ids({ status: 'error', device: 'sr0' }), ['e']);
+        assert.deepStrictEqual(await ids({ discType: 'audio' }), ['b']);
+        assert.deepStrictEqual(await ids({ q: 'MATRIX' }), ['c', 'a']);
+        assert.deepStrictEqual(await ids({ q: 'matrix', status: 'success' }), ['a']);
+        assert.deepStrictEqual(await ids({ q: 'nothing like it' }), []);
+    });
+
+    it('filters by start time, bounds included', async () => {
+        assert.deepStrictEqual(await ids({ from: T }), ['e', 'd', 'c', 'b']);
+        assert.deepStrictEqual(await ids({ to: T + DAY }), ['c', 'b', 'a']);
+        assert.deepStrictEqual(await ids({ from: T + 3600, to: T + 2 * DAY - 1 }), ['c', 'b']);
+    });
+
+    it('sorts by any field, missing values first', async () => {
+        assert.deepStrictEqual(await ids({ sort: 'discName', order: 'asc' }), ['b', 'd', 'a', 'c', 'e']);
+        assert.deepStrictEqual(await ids({ sort: 'duration', order: 'asc' }), ['d', 'e', 'b', 'a', 'c']);
+        assert.deepStrictEqual(await ids({ sort: 'startTime', order: 'asc' }), ['a', 'b', 'c', 'd', 'e']);
+    });
+
+    it('pages through the matches and counts them all', async () => {
+        let result = await history.query({ limit: 2 });
+        assert.deepStrictEqual(result.entries.map(e => e.id), ['e', 'd']);
+        assert.strictEqual(result.total, 5);
+
+        result = await history.query({ limit: 2, offset: 4 });
+        assert.deepStrictEqual(result.entries.map(e => e.id), ['a']);
+        assert.deepStrictEqual([result.total, result.limit, result.offset], [5, 2, 4]);
+
+        result = await history.query({ device: 'sr0', limit: 1, offset: 1 });
+        assert.deepStrictEqual(result.entries.map(e => e.id), ['c']);
+        assert.strictEqual(result.total, 3);
+    });
+});
+
+describe('history search route', () => {
+    let scratch;
+    let server;
+
+    before(async () => {
+        scratch = tempDir();
+        const store = path.join(scratch.dir, 'history.ndjson');
+        fs.writeFileSync(store, SEARCH_ENTRIES.map(e => JSON.stringify(e) + '\n').join(''));
+        // Without an age limit: retention would prune these fixed dates
+        server = await startServer({ AUTORIP_HISTORY_STORE: store, AUTORIP_HISTORY_MAX_AGE_DAYS: '0' });
+
+        // The store loads after the server starts listening
+        const deadline = Date.now() + 5000;
+        while (JSON.parse((await request(server.port, 'GET', '/api/history')).body).total < SEARCH_ENTRIES.length) {
+            if (Date.now() > deadline) throw new Error('history never loaded');
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    });
+
+    after(async () => {
+        await server.stop();
+        scratch.cleanup();
+    });
+
+    const search = async query => {
+        const res = await request(server.port, 'GET', `/api/history?${query}`);
+        assert.strictEqual(res.status, 200, res.body);
+        return JSON.parse(res.body);
+    };
+
+    it('passes the search parameters through', async () => {
+        assert.deepStrictEqual((await search('device=sr0&status=error')).entries.map(e => e.id), ['e']);
+        assert.deepStrictEqual((await search('drive=usb-LG_WH16NS40_0002&sort=startTime&order=asc')).entries.map(e => e.id), ['b', 'd']);
+        assert.deepStrictEqual((await search('q=matrix&discType=video')).entries.map(e => e.id), ['c', 'a']);
+
+        const page = await search('limit=2&offset=2');
+        assert.deepStrictEqual(page.entries.map(e => e.id), ['c', 'b']);
+        assert.deepStrictEqual([page.total, page.limit, page.offset], [5, 2, 2]);
+    });
+
+    it('takes dates as epoch seconds or calendar days', async () => {
+        assert.deepStrictEqual((await search(`from=${T}&to=${T + DAY}`)).entries.map(e => e.id), ['c', 'b']);
+        // A bare end date covers the whole day
+        assert.deepStrictEqual((await search('from=2026-03-01&to=2026-03-02')).entries.map(e => e.id), ['c', 'b']);
+        assert.deepStrictEqual((await search('to=2026-03-01')).entries.map(e => e.id), ['b', 'a']);
+    });
+
+    it('rejects invalid parameters', async () => {
+        for (const query of ['limit=0', 'limit=1001', 'limit=ten', 'offset=-1', 'sort=id', 'order=up', 'device=sda', 'drive=../x', 'from=someday']) {
+            const res = await request(server.port, 'GET', `/api/history?${query}`);
+            assert.strictEqual(res.status, 400, `${query}: ${res.body}`);
+        }
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const LogArchive = require('../lib/log-archive');
+const { tempDir } = require('./helpers');
+
+const DETECTED = Math.floor(new Date(2026, 0, 15, 18, 4, 5).getTime() / 1000);
+
+// "[2026-01-15 18:04:05] [sr0] message" for a time in epoch seconds
+function line(time, message) {
+    const d = new Date(time * 1000);
+    const pad = n => String(n).padStart(2, '0');
+    const stamp = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+    return `[${stamp}] [sr0] ${message}`;
+}
+
+describe('LogArchive.extract', () => {
+    let scratch;
+    let archive;
+
+    beforeEach(() => {
+        scratch = tempDir();
+        archive = new LogArchive({ logDir: scratch.dir }, null);
+        fs.writeFileSync(path.join(scratch.dir, 'autorip-sr0.log'), [
+            line(DETECTED, '=========='),
+            line(DETECTED, 'Disc detected on /dev/sr0 (drive-a)'),
+            line(DETECTED + 20, 'Waiting up to 300s for title selection...'),
+            line(DETECTED + 180, 'Rip slot granted'),
+            'makemkvcon output',
+            line(DETECTED + 900, 'Rip complete'),
+            line(DETECTED + 2000, '=========='),
+            line(DETECTED + 2000, 'Disc detected on /dev/sr0 (drive-a)'),
+        ].join('\n') + '\n');
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    it('finds a session that waited for review and a rip slot', async () => {
+        const lines = await archive.extract({
+            device: 'sr0',
+            startTime: DETECTED + 180,
+            endTime: DETECTED + 900,
+            waitTime: 180,
+        });
+        assert.strictEqual(lines.length, 6);
+        assert.ok(lines[1].endsWith('Disc detected on /dev/sr0 (drive-a)'));
+        assert.ok(lines[5].endsWith('Rip complete'));
+    });
+
+    it('matches entries without a waitTime by startTime', async () => {
+        const lines = await archive.extract({ device: 'sr0', startTime: DETECTED + 2, endTime: DETECTED + 900 });
+        assert.strictEqual(lines.length, 6);
+    });
+
+    it('does not take a later marker for a waited rip', async () => {
+        const lines = await archive.extract({ device: 'sr0', startTime: DETECTED + 180, endTime: DETECTED + 900 });
+        assert.strictEqual(lines, null);
+    });
+});
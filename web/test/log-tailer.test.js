@@ -0,0 +1,241 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+
+const LogTailer = require('../lib/log-tailer');
+const { tempDir, startServer } = require('./helpers');
+
+describe('LogTailer', () => {
+    let scratch;
+    let tailer;
+    let file;
+    let events;
+
+    beforeEach(() => {
+        scratch = tempDir();
+        file = path.join(scratch.dir, 'autorip-sr0.log');
+        tailer = new LogTailer({ logDir: scratch.dir });
+        tailer.pollInterval = 60 * 60 * 1000; // Polled by hand
+        events = [];
+        tailer.on('lines', (device, lines, start) => events.push(['lines', device, lines, start]));
+        tailer.on('reset', device => events.push(['reset', device]));
+    });
+
+    afterEach(() => {
+        tailer.stop();
+        scratch.cleanup();
+    });
+
+    const poll = () => tailer.poll(tailer.tails.get('sr0'));
+
+    describe('poll', () => {
+        it('reports complete lines appended after subscribing', async () => {
+            fs.writeFileSync(file, 'old\n');
+            assert.strictEqual(await tailer.subscribe('sr0'), 4);
+
+            fs.appendFileSync(file, 'one\ntw');
+            await poll();
+            fs.appendFileSync(file, 'o\n');
+            await poll();
+            await poll();
+
+            assert.deepStrictEqual(events, [
+                ['lines', 'sr0', ['one'], 4],
+                ['lines', 'sr0', ['two'], 8],
+            ]);
+        });
+
+        it('starts over when the file is truncated', async () => {
+            fs.writeFileSync(file, 'first session\n');
+            await tailer.subscribe('sr0');
+
+            fs.writeFileSync(file, 'new\n');
+            await poll();
+
+            assert.deepStrictEqual(events, [
+                ['reset', 'sr0'],
+                ['lines', 'sr0', ['new'], 0],
+            ]);
+        });
+
+        it('starts over when the file is replaced by a larger one', async () => {
+            fs.writeFileSync(file, 'a\n');
+            await tailer.subscribe('sr0');
+            fs.appendFileSync(file, 'partial');
+            await poll();
+
+            // Rotation: a new inode, already longer than the old offset
+            fs.writeFileSync(`${file}.new`, 'rotated line one\nrotated line two\n');
+            fs.renameSync(`${file}.new`, file);
+            await poll();
+
+            assert.deepStrictEqual(events, [
+                ['reset', 'sr0'],
+                ['lines', 'sr0', ['rotated line one', 'rotated line two'], 0],
+            ]);
+        });
+
+        it('catches up on large appends a slice per poll', async () => {
+            fs.writeFileSync(file, '');
+            await tailer.subscribe('sr0');
+            tailer.maxReadPerPoll = 10;
+
+            fs.appendFileSync(file, 'aaaa\nbbbb\ncccc\n');
+            await poll();
+            await poll();
+
+            assert.deepStrictEqual(events, [
+                ['lines', 'sr0', ['aaaa', 'bbbb'], 0],
+                ['lines', 'sr0', ['cccc'], 10],
+            ]);
+        });
+
+        it('waits for a log that does not exist yet', async () => {
+            assert.strictEqual(await tailer.subscribe('sr0'), 0);
+            await poll();
+            fs.writeFileSync(file, 'created\n');
+            await poll();
+
+            assert.deepStrictEqual(events, [['lines', 'sr0', ['created'], 0]]);
+        });
+    });
+
+    describe('subscribe', () => {
+        it('shares one tail between subscribers until the last one leaves', async () => {
+            fs.writeFileSync(file, 'old\n');
+            const first = tailer.subscribe('sr0');
+            const second = tailer.subscribe('sr0'); // While the first is still starting
+            assert.deepStrictEqual(await Promise.all([first, second]), [4, 4]);
+
+            const tail = tailer.tails.get('sr0');
+            assert.strictEqual(tail.subscribers, 2);
+            assert.ok(tail.timer);
+
+            tailer.unsubscribe('sr0');
+            assert.strictEqual(tailer.tails.get('sr0'), tail);
+            tailer.unsubscribe('sr0');
+            assert.strictEqual(tailer.tails.has('sr0'), false);
+            tailer.unsubscribe('sr0'); // Extra calls are harmless
+        });
+
+        it('gives a late subscriber the offset of the line in progress', async () => {
+            fs.writeFileSync(file, 'old\n');
+            await tailer.subscribe('sr0');
+            fs.appendFileSync(file, 'one\ntw');
+            await poll();
+
+            // Lines from the returned offset on reach it live, so reading
+            // the history up to there leaves no gap
+            const offset = await tailer.subscribe('sr0');
+            assert.strictEqual(offset, 8);
+            assert.deepStrictEqual((await tailer.readBackward('sr0', 10, offset)).lines, ['old', 'one']);
+
+            fs.appendFileSync(file, 'o\n');
+            await poll();
+            assert.deepStrictEqual(events.pop(), ['lines', 'sr0', ['two'], 8]);
+        });
+    });
+
+    describe('readBackward', () => {
+        // Lines of varying length, some multi-byte, so chunk edges fall mid-line and mid-character
+        const LINES = Array.from({ length: 40 }, (_, i) => `line ${i} ${'é'.repeat(i % 7)}${'x'.repeat(i % 5)}`);
+
+        beforeEach(() => {
+            tailer.chunkSize = 16;
+            fs.writeFileSync(file, LINES.join('\n') + '\n');
+        });
+
+        it('reads the last lines across chunk boundaries', async () => {
+            const page = await tailer.readBackward('sr0', 5);
+            const size = fs.statSync(file).size;
+
+            assert.deepStrictEqual(page.lines, LINES.slice(-5));
+            assert.strictEqual(page.size, size);
+            assert.strictEqual(page.end, size - 1);
+            assert.strictEqual(page.start, Buffer.byteLength(LINES.slice(0, -5).join('\n') + '\n'));
+        });
+
+        it('pages back through the whole file without gaps or repeats', async () => {
+            const pages = [];
+            let before = null;
+            do {
+                const page = await tailer.readBackward('sr0', 3, before);
+                pages.unshift(page.lines);
+                before = page.start;
+            } while (before > 0);
+
+            assert.deepStrictEqual(pages.flat(), LINES);
+        });
+
+        it('reads a file smaller than one chunk', async () => {
+            tailer.chunkSize = 64 * 1024;
+            const page = await tailer.readBackward('sr0', 100);
+            assert.deepStrictEqual(page.lines, LINES);
+            assert.strictEqual(page.start, 0);
+        });
+
+        it('returns nothing for a missing log', async () => {
+            assert.deepStrictEqual(await tailer.readBackward('sr1', 5), { lines: [], start: 0, end: 0, size: 0 });
+        });
+    });
+});
+
+describe('log channel', () => {
+    let server;
+    let ws;
+    let replies;
+
+    before(async () => {
+        server = await startServer();
+        ws = new WebSocket(`ws://127.0.0.1:${server.port}/`, { headers: { Origin: `http://127.0.0.1:${server.port}` } });
+        replies = [];
+        ws.on('message', raw => {
+            const message = JSON.parse(raw);
+            if (message.type === 'error') replies.push(message.data);
+        });
+        await new Promise((resolve, reject) => {
+            ws.once('open', resolve);
+            ws.once('error', reject);
+        });
+    });
+
+    after(async () => {
+        ws.close();
+        await server.stop();
+    });
+
+    // Send a raw message and wait for the error reply, or null if none comes
+    async function send(message) {
+        const count = replies.length;
+        ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+        const deadline = Date.now() + 300;
+        while (replies.length === count && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        return replies[count] || null;
+    }
+
+    it('answers malformed requests with an error', async () => {
+        assert.deepStrictEqual(await send('{"type":'), { error: 'Invalid JSON message' });
+        assert.deepStrictEqual(await send({ type: 'subscribe', channel: 'logs', device: '../etc/passwd' }), {
+            type: 'subscribe',
+            device: '../etc/passwd',
+            error: 'Invalid device name',
+        });
+        assert.deepStrictEqual(await send({ type: 'subscribe', channel: 'logs' }), { type: 'subscribe', error: 'Invalid device name' });
+    });
+
+    it('does not tail logs of drives the system does not have', async () => {
+        for (const type of ['subscribe', 'log_history']) {
+            assert.deepStrictEqual(await send({ type, channel: 'logs', device: 'sr99', lines: 10 }), {
+                type,
+                device: 'sr99',
+                error: 'Device not found',
+            });
+        }
+        // Unsubscribing needs no drive and gets no reply
+        assert.strictEqual(await send({ type: 'unsubscribe', channel: 'logs', device: 'sr99' }), null);
+    });
+});
@@ -0,0 +1,199 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const Mailer = require('../lib/mailer');
+const DigestReport = require('../lib/digest');
+
+/**
+ * Stub SMTP server: accepts every message without TLS or auth and emits
+ * 'message' with { from, to, headers, text, html }
+ */
+class SmtpSink extends EventEmitter {
+    constructor() {
+        super();
+        this.messages = [];
+        this.sockets = new Set();
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.port = this.server.address().port;
+            resolve();
+        }));
+    }
+
+    close() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    accept(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+        socket.setEncoding('utf8');
+
+        let envelope = { from: null, to: [] };
+        let data = null; // Message lines while in DATA
+        let buffer = '';
+        socket.write('220 sink ESMTP\r\n');
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (data) {
+                    if (line === '.') {
+                        this.receive(envelope, data.join('\r\n'));
+                        envelope = { from: null, to: [] };
+                        data = null;
+                        socket.write('250 OK queued\r\n');
+                    } else {
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    socket.write('250 sink\r\n');
+                } else if (command === 'MAIL') {
+                    envelope.from = line.match(/<(.*)>/)[1];
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    envelope.to.push(line.match(/<(.*)>/)[1]);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    data = [];
+                    socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 Bye\r\n');
+                } else {
+                    socket.write('250 OK\r\n');
+                }
+            }
+        });
+    }
+
+    receive(envelope, raw) {
+        const [head] = raw.split('\r\n\r\n');
+        const headers = {};
+        for (const line of head.replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+            const colon = line.indexOf(':');
+            headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+        }
+        const message = {
+            ...envelope,
+            headers,
+            text: mimePart(raw, 'text/plain'),
+            html: mimePart(raw, 'text/html'),
+        };
+        this.messages.push(message);
+        this.emit('message', message);
+    }
+
+    nextMessage() {
+        return new Promise(resolve => this.once('message', resolve));
+    }
+}
+
+// Decoded body of the MIME part with the given content type
+function mimePart(raw, type) {
+    const start = raw.indexOf(`Content-Type: ${type}`);
+    if (start === -1) {
+        return null;
+    }
+    const part = raw.slice(start);
+    const body = part.slice(part.indexOf('\r\n\r\n') + 4).split(/\r\n--/)[0];
+    const headers = part.slice(0, part.indexOf('\r\n\r\n'));
+    if (/Content-Transfer-Encoding: quoted-printable/i.test(headers)) {
+        return body
+            .replace(/=\r\n/g, '')
+            .replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+    if (/Content-Transfer-Encoding: base64/i.test(headers)) {
+        return Buffer.from(body, 'base64').toString('utf8');
+    }
+    return body;
+}
+
+describe('Mailer', () => {
+    let sink;
+    let mailer;
+
+    beforeEach(async () => {
+        sink = new SmtpSink();
+        await sink.listen();
+        mailer = new Mailer({
+            smtpHost: '127.0.0.1',
+            smtpPort: sink.port,
+            smtpSecure: false,
+            mailFrom: 'autorip@example.com',
+            mailTo: 'alice@example.com, bob@example.com',
+        });
+    });
+
+    afterEach(async () => {
+        mailer.transport.close();
+        await sink.close();
+    });
+
+    it('sends crash alerts to every recipient', async () => {
+        const received = sink.nextMessage();
+        mailer.sendCrashAlert(
+            { device: 'sr1', discName: 'Some Movie', errorMessage: 'Medium error' },
+            { label: 'ASUS BW-16D1HT', id: 'ata-ASUS_BW-16D1HT_L8xxxx', crashesThisWeek: 2, health: 'warning' }
+        );
+        const message = await received;
+
+        assert.strictEqual(message.from, 'autorip@example.com');
+        assert.deepStrictEqual(message.to, ['alice@example.com', 'bob@example.com']);
+        assert.strictEqual(message.headers.to, 'alice@example.com, bob@example.com');
+        assert.strictEqual(message.headers.subject, '[Autorip] Drive sr1 crashed');
+        assert.match(message.text, /^Drive sr1 has crashed\./);
+        assert.match(message.text, /Hardware: +ASUS BW-16D1HT \(ata-ASUS_BW-16D1HT_L8xxxx\)/);
+        assert.match(message.text, /Crashes this week: +2/);
+        assert.match(message.html, /<strong>sr1<\/strong>/);
+    });
+
+    it('sends a digest of the period\'s rips and crashes', async () => {
+        const now = Date.UTC(2026, 0, 15, 8);
+        const end = now / 1000 - 3600;
+        const ripHistory = {
+            readAll: async () => [
+                { device: 'sr0', discName: 'Album', status: 'success', duration: 1800, endTime: end },
+                { device: 'sr1', discName: 'Film <1>', status: 'error', errorMessage: 'Read error', duration: 600, endTime: end },
+                { device: 'sr1', discName: 'Series', status: 'partial', titlesSucceeded: 3, titlesTotal: 4, duration: 3600, endTime: end },
+                { device: 'sr0', discName: 'Last week', status: 'success', duration: 900, endTime: end - 7 * 86400 },
+            ],
+        };
+        const driveStats = {
+            getAll: () => ({
+                'ata-ASUS': { label: 'ASUS BW-16D1HT', device: 'sr1', crashHistory: [{ type: 'crash', timestamp: now - 1000 }] },
+            }),
+        };
+        const digest = new DigestReport({ digestSchedule: 'off', digestHour: 7 }, ripHistory, driveStats);
+
+        const received = sink.nextMessage();
+        await mailer.send(digest.render(await digest.build('daily', now)));
+        const message = await received;
+
+        assert.deepStrictEqual(message.to, ['alice@example.com', 'bob@example.com']);
+        assert.strictEqual(message.headers.subject, '[Autorip] Daily digest: 3 discs, 1 failed');
+        assert.match(message.text, /Discs ripped: +3/);
+        assert.match(message.text, /Total ripping time: +1h 40m/);
+        assert.match(message.text, /ASUS BW-16D1HT \(sr1\): +1/);
+        assert.match(message.text, /- sr1: Film <1> - Read error/);
+        assert.match(message.text, /- sr1: Series \(3\/4 titles\)/);
+        assert.ok(!message.text.includes('Last week'));
+        assert.match(message.html, /<li>sr1: Film &lt;1&gt; - Read error<\/li>/);
+    });
+});
@@ -0,0 +1,215 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const MqttPublisher = require('../lib/mqtt-publisher');
+
+const CONNECT = 1;
+const PUBLISH = 3;
+const SUBSCRIBE = 8;
+const PINGREQ = 12;
+
+const DRIVE = {
+    device: 'sr2',
+    state: 'idle',
+    discName: null,
+    progress: 0,
+    identity: { id: 'usb-ASUS_SDRW-08D2S-U_KZ1234-0:0', device: 'sr2', label: 'ASUS SDRW-08D2S-U' },
+    stats: { health: 'good', crashesThisWeek: 1, crashCount: 3 },
+};
+const KEY = 'usb-ASUS_SDRW-08D2S-U_KZ1234-0_0';
+
+/**
+ * Stub MQTT 3.1.1 broker: records CONNECTs and PUBLISHes, answers
+ * CONNECT with CONNACK unless `silent`, and can send messages to clients
+ */
+class StubBroker extends EventEmitter {
+    constructor({ silent = false } = {}) {
+        super();
+        this.silent = silent;
+        this.connects = 0;
+        this.messages = new Map(); // topic -> last payload
+        this.sockets = new Set();
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => {
+            this.url = `mqtt://127.0.0.1:${this.server.address().port}`;
+            resolve();
+        }));
+    }
+
+    close() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    accept(socket) {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+        let buffer = Buffer.alloc(0);
+        socket.on('data', data => {
+            buffer = Buffer.concat([buffer, data]);
+            let packet;
+            while ((packet = readPacket(buffer))) {
+                buffer = buffer.subarray(packet.size);
+                this.handle(socket, packet);
+            }
+        });
+    }
+
+    handle(socket, { type, body }) {
+        switch (type) {
+            case CONNECT:
+                this.connects++;
+                this.emit('connect');
+                if (!this.silent) {
+                    socket.write(Buffer.from([0x20, 2, 0, 0]));
+                }
+                break;
+            case PUBLISH: {
+                const length = body.readUInt16BE(0);
+                const topic = body.subarray(2, 2 + length).toString();
+                this.messages.set(topic, body.subarray(2 + length).toString());
+                this.emit('publish', topic);
+                break;
+            }
+            case SUBSCRIBE:
+                socket.write(Buffer.from([0x90, 3, body[0], body[1], 0]));
+                this.emit('subscribe');
+                break;
+            case PINGREQ:
+                socket.write(Buffer.from([0xd0, 0]));
+                break;
+            default:
+                break;
+        }
+    }
+
+    send(topic, payload) {
+        const body = Buffer.concat([Buffer.from([0, Buffer.byteLength(topic)]), Buffer.from(topic), Buffer.from(payload)]);
+        for (const socket of this.sockets) {
+            socket.write(Buffer.concat([Buffer.from([PUBLISH << 4, body.length]), body]));
+        }
+    }
+
+    waitFor(event, predicate = () => true) {
+        return new Promise(resolve => {
+            const listener = (...args) => {
+                if (predicate(...args)) {
+                    this.off(event, listener);
+                    resolve();
+                }
+            };
+            this.on(event, listener);
+        });
+    }
+}
+
+// One complete packet at the start of buffer, or null
+function readPacket(buffer) {
+    let length = 0;
+    let multiplier = 1;
+    let pos = 1;
+    let byte;
+    do {
+        if (pos >= buffer.length) {
+            return null;
+        }
+        byte = buffer[pos++];
+        length += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+    } while (byte & 0x80);
+    if (buffer.length < pos + length) {
+        return null;
+    }
+    return { type: buffer[0] >> 4, body: buffer.subarray(pos, pos + length), size: pos + length };
+}
+
+function publisherConfig(url) {
+    return {
+        mqttUrl: url,
+        mqttTopic: 'autorip',
+        mqttDiscoveryPrefix: 'homeassistant',
+        mqttCommands: true,
+    };
+}
+
+describe('MqttPublisher', () => {
+    let broker;
+    let publisher;
+
+    afterEach(async () => {
+        publisher.stop();
+        await broker.close();
+    });
+
+    it('publishes drives under their identity', async () => {
+        broker = new StubBroker();
+        await broker.listen();
+        publisher = new MqttPublisher(publisherConfig(broker.url), { onResetCommand: async () => ({}) });
+
+        const published = broker.waitFor('publish', topic => topic === `autorip/${KEY}/attributes`);
+        publisher.publishDrives([DRIVE]);
+        publisher.start();
+        await published;
+
+        assert.strictEqual(broker.messages.get('autorip/status'), 'online');
+        assert.strictEqual(broker.messages.get(`autorip/${KEY}/state`), 'idle');
+        assert.strictEqual(broker.messages.get(`autorip/${KEY}/crashes`), '1');
+        const attributes = JSON.parse(broker.messages.get(`autorip/${KEY}/attributes`));
+        assert.strictEqual(attributes.device, 'sr2');
+        assert.strictEqual(attributes.drive_id, DRIVE.identity.id);
+
+        const config = JSON.parse(broker.messages.get(`homeassistant/sensor/autorip_${KEY}/state/config`));
+        assert.strictEqual(config.unique_id, `autorip_${KEY}_state`);
+        assert.deepStrictEqual(config.device.identifiers, [`autorip_${KEY}`]);
+        assert.strictEqual(config.device.name, 'Autorip ASUS SDRW-08D2S-U');
+        assert.ok(![...broker.messages.keys()].some(topic => topic.includes('sr2')));
+    });
+
+    it('runs reset commands on the drive\'s current device', async () => {
+        broker = new StubBroker();
+        await broker.listen();
+        const requests = [];
+        publisher = new MqttPublisher(publisherConfig(broker.url), {
+            onResetCommand: async (device, force) => {
+                requests.push([device, force]);
+                return { success: true };
+            },
+        });
+
+        const subscribed = broker.waitFor('subscribe');
+        publisher.publishDrives([DRIVE]);
+        publisher.start();
+        await subscribed;
+
+        const result = broker.waitFor('publish', topic => topic === `autorip/${KEY}/reset/result`);
+        broker.send('autorip/unknown/reset/set', 'RESET');
+        broker.send(`autorip/${KEY}/reset/set`, 'force');
+        await result;
+
+        assert.deepStrictEqual(requests, [['sr2', true]]);
+        assert.deepStrictEqual(JSON.parse(broker.messages.get(`autorip/${KEY}/reset/result`)), { success: true });
+    });
+
+    it('reconnects when the broker never answers CONNECT', async () => {
+        broker = new StubBroker({ silent: true });
+        await broker.listen();
+        publisher = new MqttPublisher(publisherConfig(broker.url), { onResetCommand: async () => ({}) });
+        publisher.connectTimeout = 200;
+        publisher.minReconnectDelay = 50;
+
+        const retried = broker.waitFor('connect', () => broker.connects >= 2);
+        publisher.start();
+        await retried;
+
+        assert.strictEqual(publisher.client.connected, false);
+        assert.ok(broker.connects >= 2);
+    });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+
+const { startServer, request } = require('./helpers');
+
+const ALLOWED = 'https://nas.lan:8443';
+
+describe('cross-origin protection', () => {
+    let server;
+    let self;
+
+    before(async () => {
+        server = await startServer({ AUTORIP_WEB_ALLOWED_ORIGINS: `${ALLOWED}/` });
+        self = `http://127.0.0.1:${server.port}`;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    // A state-changing route that answers 404 once past the origin checks
+    const post = headers => request(server.port, 'POST', '/api/ripped/note', {
+        body: { discId: 'video:NONE:0', note: 'x' },
+        headers,
+    });
+
+    it('accepts the dashboard and non-browser clients', async () => {
+        assert.strictEqual((await post({ Origin: self })).status, 404);
+        assert.strictEqual((await post({ Referer: `${self}/index.html` })).status, 404);
+        assert.strictEqual((await post({})).status, 404);
+    });
+
+    it('refuses state changes without the X-Autorip-Request header', async () => {
+        for (const headers of [{ 'X-Autorip-Request': null }, { 'X-Autorip-Request': null, Origin: self }]) {
+            const res = await post(headers);
+            assert.strictEqual(res.status, 403);
+            assert.deepStrictEqual(JSON.parse(res.body), { error: 'Missing x-autorip-request header' });
+        }
+    });
+
+    it('refuses cross-origin state changes even with the header', async () => {
+        let res = await post({ Origin: 'https://evil.example' });
+        assert.strictEqual(res.status, 403);
+        assert.deepStrictEqual(JSON.parse(res.body), { error: 'Origin https://evil.example not allowed' });
+
+        res = await post({ Origin: 'null' });
+        assert.strictEqual(res.status, 403);
+    });
+
+    it('falls back to the Referer without an Origin', async () => {
+        const res = await post({ Referer: 'https://evil.example/page?x=1' });
+        assert.strictEqual(res.status, 403);
+        assert.deepStrictEqual(JSON.parse(res.body), { error: 'Origin https://evil.example not allowed' });
+    });
+
+    it('allows listed origins and answers their preflights', async () => {
+        assert.strictEqual((await post({ Origin: ALLOWED })).status, 404);
+
+        let res = await request(server.port, 'OPTIONS', '/api/ripped/note', { headers: { Origin: ALLOWED, 'X-Autorip-Request': null } });
+        assert.strictEqual(res.status, 204);
+        assert.strictEqual(res.headers['access-control-allow-origin'], ALLOWED);
+        assert.match(res.headers['access-control-allow-headers'], /x-autorip-request/);
+
+        res = await request(server.port, 'OPTIONS', '/api/ripped/note', { headers: { Origin: 'https://evil.example', 'X-Autorip-Request': null } });
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual(res.headers['access-control-allow-origin'], undefined);
+    });
+
+    it('refuses cross-origin WebSocket upgrades', async () => {
+        const status = await new Promise((resolve, reject) => {
+            const ws = new WebSocket(`ws://127.0.0.1:${server.port}/`, { headers: { Origin: 'https://evil.example' } });
+            ws.once('open', () => {
+                ws.close();
+                resolve(101);
+            });
+            ws.once('unexpected-response', (req, res) => {
+                resolve(res.statusCode);
+                req.destroy();
+            });
+            ws.once('error', reject);
+        });
+        assert.strictEqual(status, 403);
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ResetPolicy = require('../lib/reset-policy');
+const { tempDir } = require('./helpers');
+
+const DRIVE = { id: 'ata-HL-DT-ST_DVDRAM_GH24NSD1_K9001', device: 'sr0', label: 'HL-DT-ST DVDRAM GH24NSD1' };
+
+function config(stateFile) {
+    return {
+        resetPolicyFile: stateFile,
+        resetCooldown: 300,
+        resetBackoff: 2,
+        resetMaxBackoff: 3600,
+        resetMaxPerHour: 4,
+        quarantineCrashes: 2,
+        quarantineWindow: 86400,
+    };
+}
+
+describe('ResetPolicy', () => {
+    let scratch;
+    let stateFile;
+    let policy;
+
+    beforeEach(() => {
+        scratch = tempDir();
+        stateFile = path.join(scratch.dir, 'reset_policy.json');
+    });
+
+    afterEach(() => {
+        policy.stop();
+        scratch.cleanup();
+    });
+
+    it('keeps a quarantine when the drive comes back under another name', () => {
+        policy = new ResetPolicy(config(stateFile));
+        let quarantined = null;
+        policy.on('quarantine', (identity) => {
+            quarantined = identity;
+        });
+
+        policy.recordCrash(DRIVE);
+        policy.recordCrash(DRIVE);
+        assert.strictEqual(quarantined.id, DRIVE.id);
+
+        const renamed = { ...DRIVE, device: 'sr2' };
+        policy.track(renamed);
+        assert.ok(policy.getQuarantine(DRIVE.id));
+        assert.strictEqual(policy.getQuarantine('sr2'), null);
+
+        const decision = policy.decide(renamed, 'usb-1-2');
+        assert.strictEqual(decision.reason, 'quarantined');
+        assert.strictEqual(decision.drive, DRIVE.id);
+        assert.strictEqual(decision.device, 'sr2');
+
+        const state = policy.getState();
+        assert.deepStrictEqual(state.quarantined.map(q => [q.drive, q.device]), [[DRIVE.id, 'sr2']]);
+    });
+
+    it('moves state kept under a device name to the drive that has it', () => {
+        fs.writeFileSync(stateFile, JSON.stringify({
+            drives: { sr0: { crashes: [Date.now()], quarantine: { since: 1, crashes: 5, reason: 'old' } } },
+        }));
+        policy = new ResetPolicy(config(stateFile));
+
+        policy.track(DRIVE);
+        assert.strictEqual(policy.getQuarantine(DRIVE.id).reason, 'old');
+        assert.strictEqual(policy.getQuarantine('sr0'), null);
+
+        const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        assert.deepStrictEqual(Object.keys(saved.drives), [DRIVE.id]);
+        assert.strictEqual(saved.drives[DRIVE.id].device, 'sr0');
+    });
+
+    it('releases a drive by ID', () => {
+        policy = new ResetPolicy(config(stateFile));
+        policy.recordCrash(DRIVE);
+        policy.recordCrash(DRIVE);
+
+        assert.ok(policy.release(DRIVE.id, 'admin'));
+        assert.strictEqual(policy.getQuarantine(DRIVE.id), null);
+        assert.strictEqual(policy.release(DRIVE.id, 'admin'), null);
+    });
+});
@@ -0,0 +1,237 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const RipControl = require('../lib/rip-control');
+const { tempDir, startServer, request, autoripFunctions, bash } = require('./helpers');
+
+const AUTORIP = path.join(__dirname, '..', '..', 'autorip.sh');
+
+describe('RipControl', () => {
+    let scratch;
+    let drives; // device -> state
+    let control;
+    let savedPath;
+
+    // systemctl and autorip.sh stand-ins that log their arguments;
+    // list-units prints the lines of the "units" file
+    beforeEach(() => {
+        scratch = tempDir();
+        const bin = path.join(scratch.dir, 'bin');
+        fs.mkdirSync(bin);
+        fs.writeFileSync(path.join(bin, 'systemctl'), [
+            '#!/bin/bash',
+            `echo "$*" >> "${scratch.dir}/systemctl.calls"`,
+            `[[ "$1" == list-units ]] && cat "${scratch.dir}/units" 2>/dev/null`,
+            'exit 0',
+        ].join('\n'), { mode: 0o755 });
+        fs.writeFileSync(path.join(bin, 'autorip.sh'), [
+            '#!/bin/bash',
+            `echo "$*" >> "${scratch.dir}/autorip.calls"`,
+            '[[ "$1" == sr9 ]] && { echo "systemd-run: unit exists" >&2; exit 1; }',
+            'exit 0',
+        ].join('\n'), { mode: 0o755 });
+
+        savedPath = process.env.PATH;
+        process.env.PATH = `${bin}:${savedPath}`;
+        drives = {};
+        control = new RipControl({ autoripScript: path.join(bin, 'autorip.sh') }, {
+            getDrive: device => (drives[device] ? { device, state: drives[device] } : null),
+        });
+    });
+
+    afterEach(() => {
+        process.env.PATH = savedPath;
+        scratch.cleanup();
+    });
+
+    const calls = name => {
+        try {
+            return fs.readFileSync(path.join(scratch.dir, `${name}.calls`), 'utf8').trim().split('\n');
+        } catch (err) {
+            return [];
+        }
+    };
+    const units = (...lines) => fs.writeFileSync(path.join(scratch.dir, 'units'), lines.join('\n') + '\n');
+
+    it('starts a rip by running autorip.sh for the device', async () => {
+        await control.start('sr0');
+        assert.deepStrictEqual(calls('autorip'), ['sr0']);
+    });
+
+    it('reports why autorip.sh failed to start', async () => {
+        await assert.rejects(control.start('sr9'), /autorip\.sh sr9 failed: systemd-run: unit exists/);
+    });
+
+    it('lists only the units of the device', async () => {
+        units(
+            'autorip-sr0-1760000000.service loaded active running /usr/local/bin/autorip.sh sr0',
+            '',
+            'autorip-sr1-1760000001.service loaded active running /usr/local/bin/autorip.sh sr1',
+            'autorip-sr10-1760000002.service loaded active running /usr/local/bin/autorip.sh sr10',
+            'autorip-sr0-1760000003.service loaded deactivating stop-sigterm /usr/local/bin/autorip.sh sr0'
+        );
+        assert.deepStrictEqual(await control.activeUnits('sr0'), ['autorip-sr0-1760000000.service', 'autorip-sr0-1760000003.service']);
+        assert.deepStrictEqual(calls('systemctl'), [
+            'list-units --plain --no-legend --state=activating,active,deactivating autorip-sr0-*.service',
+        ]);
+    });
+
+    it('counts a drive as busy while its status or a unit shows a rip', async () => {
+        assert.strictEqual(await control.isBusy('sr0'), false);
+
+        for (const state of RipControl.BUSY_STATES) {
+            drives.sr0 = state;
+            assert.strictEqual(await control.isBusy('sr0'), true, state);
+        }
+        for (const state of ['idle', 'error', 'crashed']) {
+            drives.sr0 = state;
+            assert.strictEqual(await control.isBusy('sr0'), false, state);
+        }
+
+        // Detached but not reporting status yet
+        units('autorip-sr0-1760000000.service loaded activating start /usr/local/bin/autorip.sh sr0');
+        assert.strictEqual(await control.isBusy('sr0'), true);
+        assert.strictEqual(await control.isBusy('sr1'), false);
+    });
+
+    it('cancels by stopping the running units of the device', async () => {
+        assert.deepStrictEqual(await control.cancel('sr0'), []);
+        assert.ok(!calls('systemctl').some(call => call.startsWith('stop')));
+
+        units(
+            'autorip-sr0-1760000000.service loaded active running /usr/local/bin/autorip.sh sr0',
+            'autorip-sr1-1760000001.service loaded active running /usr/local/bin/autorip.sh sr1'
+        );
+        assert.deepStrictEqual(await control.cancel('sr0'), ['autorip-sr0-1760000000.service']);
+        assert.strictEqual(calls('systemctl').pop(), 'stop autorip-sr0-1760000000.service');
+    });
+});
+
+describe('rip routes', () => {
+    let scratch;
+    let server;
+
+    before(async () => {
+        scratch = tempDir();
+        const store = path.join(scratch.dir, 'history.ndjson');
+        const now = Math.floor(Date.now() / 1000);
+        const entry = (id, status) => JSON.stringify({ id, device: 'sr9', discName: 'Disc', discType: 'video', status, startTime: now - 60, endTime: now });
+        fs.writeFileSync(store, `${entry('ok', 'success')}\n${entry('bad', 'error')}\n`);
+        server = await startServer({ AUTORIP_HISTORY_STORE: store });
+
+        // The store loads after the server starts listening
+        const deadline = Date.now() + 5000;
+        while (JSON.parse((await request(server.port, 'GET', '/api/history')).body).total < 2) {
+            if (Date.now() > deadline) throw new Error('history never loaded');
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    });
+
+    after(async () => {
+        await server.stop();
+        scratch.cleanup();
+    });
+
+    it('rejects device names that are not drives', async () => {
+        for (const route of ['rip', 'cancel']) {
+            for (const name of ['sr0-1', 'sr*', 'sda', '..%2Fsr0']) {
+                const res = await request(server.port, 'POST', `/api/drives/${name}/${route}`);
+                assert.strictEqual(res.status, 400, `${route} ${name}: ${res.body}`);
+            }
+        }
+    });
+
+    it('refuses drives the system does not have', async () => {
+        for (const route of ['rip', 'cancel']) {
+            const res = await request(server.port, 'POST', `/api/drives/sr99/${route}`);
+            assert.strictEqual(res.status, 404);
+            assert.deepStrictEqual(JSON.parse(res.body), { error: 'Device not found' });
+        }
+    });
+
+    it('retries only failed or partial rips', async () => {
+        let res = await request(server.port, 'POST', '/api/history/missing/retry');
+        assert.strictEqual(res.status, 404);
+
+        res = await request(server.port, 'POST', '/api/history/ok/retry');
+        assert.strictEqual(res.status, 409);
+        assert.match(res.body, /Only failed or partial rips can be retried/);
+
+        // Allowed, but the entry's drive is gone
+        res = await request(server.port, 'POST', '/api/history/bad/retry');
+        assert.strictEqual(res.status, 404);
+        assert.deepStrictEqual(JSON.parse(res.body), { error: 'Device not found' });
+    });
+});
+
+describe('autorip.sh cancel', () => {
+    let scratch;
+
+    beforeEach(() => {
+        scratch = tempDir();
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    it('cleans up after the unit is stopped mid-rip', async () => {
+        const dirs = Object.fromEntries(['status', 'queue', 'decisions'].map(name => {
+            const dir = path.join(scratch.dir, name);
+            fs.mkdirSync(dir);
+            return [name, dir];
+        }));
+        const lockFile = path.join(scratch.dir, 'autorip-sr0.lock');
+        const traps = fs.readFileSync(AUTORIP, 'utf8').split('\n').filter(line => line.startsWith('trap '));
+        assert.strictEqual(traps.length, 2);
+
+        // A rip holding a slot with its heartbeat running, stopped while
+        // makemkvcon (here sleep) runs; the unit's processes all get SIGTERM
+        const { child, done } = bash(`
+            log() { echo "log: $*"; }
+            ${autoripFunctions('init_status', 'write_status', 'update_heartbeat', 'start_heartbeat', 'stop_heartbeat', 'clear_status', 'cleanup')}
+            ${traps.join('\n')}
+            init_status
+            touch "$LOCK_FILE" "$QUEUE_DIR/sr0.request.json" "$QUEUE_DIR/sr0.grant.json" "$DECISION_DIR/sr0.pending.json"
+            write_status "ripping" "Some Movie" "video" 40 "" "Ripping"
+            start_heartbeat
+            echo "heartbeat=$HEARTBEAT_PID"
+            sh -c 'echo running; exec sleep 30'
+            echo "not cancelled"
+        `, {
+            env: {
+                DEVICE: 'sr0',
+                DEVICE_PATH: '/dev/sr0',
+                STATUS_DIR: dirs.status,
+                QUEUE_DIR: dirs.queue,
+                DECISION_DIR: dirs.decisions,
+                LOCK_FILE: lockFile,
+                HEARTBEAT_INTERVAL: '1',
+            },
+        });
+
+        let output = '';
+        await new Promise(resolve => child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('running')) resolve();
+        }));
+        process.kill(-child.pid, 'SIGTERM');
+        const result = await done;
+
+        assert.strictEqual(result.code, 143, result.stderr);
+        assert.match(result.stdout, /log: Rip cancelled/);
+        assert.ok(!result.stdout.includes('not cancelled'));
+
+        const status = JSON.parse(fs.readFileSync(path.join(dirs.status, 'sr0.json'), 'utf8'));
+        assert.strictEqual(status.state, 'idle');
+        assert.strictEqual(status.discName, '');
+        assert.deepStrictEqual(fs.readdirSync(dirs.queue), []);
+        assert.deepStrictEqual(fs.readdirSync(dirs.decisions), []);
+        assert.ok(!fs.existsSync(lockFile));
+
+        const heartbeat = Number(result.stdout.match(/heartbeat=(\d+)/)[1]);
+        assert.throws(() => process.kill(heartbeat, 0), { code: 'ESRCH' });
+    });
+});
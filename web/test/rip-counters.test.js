@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const RipCounters = require('../lib/rip-counters');
+const { tempDir } = require('./helpers');
+
+function rip(id, endTime, status = 'success', duration = 900) {
+    return { id, device: 'sr0', discType: 'audio', status, duration, endTime };
+}
+
+describe('RipCounters', () => {
+    let scratch;
+    let config;
+    let ripHistory;
+
+    beforeEach(() => {
+        scratch = tempDir();
+        config = { ripCountersFile: path.join(scratch.dir, 'rip_counters.json') };
+        ripHistory = new EventEmitter();
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    const successes = counters => counters.getRips().find(r => r.status === 'success').count;
+
+    it('keeps counts when retention prunes the history', () => {
+        const counters = new RipCounters(config, ripHistory);
+        counters.sync([rip('a', 1000), rip('b', 2000), rip('c', 3000, 'error')]);
+        assert.strictEqual(successes(counters), 2);
+
+        counters.sync([rip('c', 3000, 'error'), rip('d', 4000)]);
+        assert.strictEqual(successes(counters), 3);
+        assert.deepStrictEqual([...counters.counted.keys()].sort(), ['c', 'd']);
+        assert.strictEqual(counters.getDurations().audio.count, 4);
+
+        counters.sync([]);
+        assert.strictEqual(successes(counters), 3);
+    });
+
+    it('counts each entry once across restarts', () => {
+        const counters = new RipCounters(config, ripHistory);
+        ripHistory.emit('entry', rip('a', 1000, 'success', 400));
+
+        const restarted = new RipCounters(config, ripHistory);
+        restarted.sync([rip('a', 1000, 'success', 400), rip('b', 2000, 'success', 400)]);
+        assert.strictEqual(successes(restarted), 2);
+
+        const hist = restarted.getDurations().audio;
+        assert.strictEqual(hist.count, 2);
+        assert.strictEqual(hist.sum, 800);
+        assert.deepStrictEqual(hist.buckets, RipCounters.DURATION_BUCKETS.map(le => (le >= 400 ? 2 : 0)));
+        assert.strictEqual(successes(counters), 1);
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const RipDetails = require('../lib/rip-details');
+const OutputBrowser = require('../lib/output-browser');
+const { tempDir } = require('./helpers');
+
+describe('RipDetails.describe', () => {
+    let scratch;
+    let details;
+    let errorDir;
+
+    beforeEach(() => {
+        scratch = tempDir();
+        const config = { outputDir: scratch.dir };
+        details = new RipDetails(config, new OutputBrowser(config));
+        errorDir = path.join(scratch.dir, 'errors', 'Album_20260101');
+        fs.mkdirSync(errorDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    const entry = () => ({ id: '1', status: 'error', discType: 'audio', outputDir: errorDir });
+
+    it('includes error.txt and the end of rip_output.txt', async () => {
+        const lines = Array.from({ length: 2000 }, (_, i) => `line ${i}`);
+        fs.writeFileSync(path.join(errorDir, 'error.txt'), 'abcde2flac failed\n');
+        fs.writeFileSync(path.join(errorDir, 'rip_output.txt'), lines.join('\n') + '\n');
+
+        const detail = await details.describe(entry());
+        assert.strictEqual(detail.errorDir.errorText, 'abcde2flac failed\n');
+
+        const tail = detail.errorDir.outputTail;
+        assert.ok(tail.length <= 16 * 1024);
+        assert.ok(tail.endsWith('line 1999\n'));
+        assert.ok(/^line \d+\n/.test(tail), 'starts on a whole line');
+        assert.ok(!tail.includes('line 0\n'));
+    });
+
+    it('returns short output whole', async () => {
+        fs.writeFileSync(path.join(errorDir, 'rip_output.txt'), 'Grabbing track 1\nCD read error\n');
+
+        const detail = await details.describe(entry());
+        assert.strictEqual(detail.errorDir.outputTail, 'Grabbing track 1\nCD read error\n');
+        assert.strictEqual(detail.errorDir.errorText, null);
+    });
+
+    it('leaves outputTail empty without rip_output.txt', async () => {
+        fs.writeFileSync(path.join(errorDir, 'error.txt'), 'failed');
+
+        const detail = await details.describe(entry());
+        assert.strictEqual(detail.errorDir.outputTail, null);
+    });
+});
@@ -0,0 +1,217 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const RipQueue = require('../lib/rip-queue');
+const { tempDir, autoripFunctions, bash } = require('./helpers');
+
+describe('RipQueue', () => {
+    let scratch;
+    let queueDir;
+    let buses; // device -> bus ID
+    let drives; // device -> state
+    let queue;
+
+    beforeEach(() => {
+        scratch = tempDir();
+        queueDir = path.join(scratch.dir, 'queue');
+        fs.mkdirSync(queueDir);
+        buses = {};
+        drives = {};
+        queue = create({ maxRips: 0, maxRipsPerBus: 0 });
+    });
+
+    afterEach(() => {
+        queue.stop();
+        scratch.cleanup();
+    });
+
+    function create(limits) {
+        return new RipQueue({ queueDir, ...limits }, {
+            getBusForDevice: async device => (buses[device] ? { id: buses[device] } : null),
+        }, {
+            getKnownDrives: () => Object.entries(drives).map(([device, state]) => ({ device, state })),
+            getDrive: device => (drives[device] ? { device, state: drives[device] } : null),
+        });
+    }
+
+    const now = () => Math.floor(Date.now() / 1000);
+    const file = name => path.join(queueDir, name);
+    const granted = () => fs.readdirSync(queueDir).filter(f => f.endsWith('.grant.json')).map(f => f.split('.')[0]).sort();
+
+    function request(device, requestedAt, bus = null) {
+        buses[device] = bus;
+        drives[device] = 'queued';
+        fs.writeFileSync(file(`${device}.request.json`), JSON.stringify({ device, discName: `Disc ${device}`, discType: 'video', requestedAt }));
+    }
+
+    function grant(device, grantedAt, bus = null) {
+        buses[device] = bus;
+        drives[device] = 'ripping';
+        fs.writeFileSync(file(`${device}.grant.json`), JSON.stringify({ device, bus, grantedAt }));
+    }
+
+    it('grants in arrival order up to the global limit', async () => {
+        queue = create({ maxRips: 2, maxRipsPerBus: 0 });
+        const t = now();
+        request('sr2', t - 5);
+        request('sr0', t - 10);
+        request('sr1', t - 5);
+        request('sr3', t - 1);
+
+        await queue.refresh();
+        assert.deepStrictEqual(granted(), ['sr0', 'sr1']);
+        assert.deepStrictEqual(queue.getState().waiting.map(w => [w.device, w.position]), [['sr2', 1], ['sr3', 2]]);
+        assert.strictEqual(queue.get('sr3').discName, 'Disc sr3');
+        assert.strictEqual(queue.get('sr0'), null);
+
+        // A finished rip frees its slot for the next in line
+        fs.unlinkSync(file('sr0.grant.json'));
+        fs.unlinkSync(file('sr0.request.json'));
+        drives.sr0 = 'idle';
+        await queue.refresh();
+        assert.deepStrictEqual(granted(), ['sr1', 'sr2']);
+    });
+
+    it('holds back only the drives of a full bus', async () => {
+        queue = create({ maxRips: 3, maxRipsPerBus: 1 });
+        const t = now();
+        grant('sr0', t - 60, 'usb-1');
+        request('sr1', t - 10, 'usb-1');
+        request('sr2', t - 5, 'pci-0000:00:17.0');
+        request('sr3', t - 1, null); // Unknown bus: only the global limit applies
+
+        const changes = [];
+        queue.on('change', state => changes.push(state));
+        await queue.refresh();
+
+        assert.deepStrictEqual(granted(), ['sr0', 'sr2', 'sr3']);
+        assert.deepStrictEqual(queue.getState().waiting.map(w => [w.device, w.bus]), [['sr1', 'usb-1']]);
+        assert.deepStrictEqual(changes.length, 1);
+        assert.deepStrictEqual(changes[0].limits, { maxRips: 3, maxRipsPerBus: 1 });
+        assert.deepStrictEqual(changes[0].active.map(a => a.device), ['sr0', 'sr2', 'sr3']);
+
+        await queue.refresh();
+        assert.strictEqual(changes.length, 1);
+    });
+
+    it('counts rips started without a grant against the limits', async () => {
+        queue = create({ maxRips: 1, maxRipsPerBus: 0 });
+        buses.sr0 = 'usb-1';
+        drives.sr0 = 'ripping';
+        request('sr1', now());
+
+        await queue.refresh();
+        assert.deepStrictEqual(granted(), []);
+        assert.deepStrictEqual(queue.getState().active, [{ device: 'sr0', bus: 'usb-1', grantedAt: null }]);
+    });
+
+    it('drops requests and grants left behind by killed scripts', async () => {
+        const t = now();
+        request('sr0', t - 60);
+        drives.sr0 = 'idle';
+        request('sr1', t - 10);
+        drives.sr1 = 'idle'; // Not yet stale
+        grant('sr2', t - 60);
+        drives.sr2 = 'error';
+        grant('sr3', t - 60); // Still ripping
+
+        await queue.refresh();
+        assert.ok(!fs.existsSync(file('sr0.request.json')));
+        assert.ok(!fs.existsSync(file('sr2.grant.json')));
+        assert.deepStrictEqual(granted(), ['sr1', 'sr3']);
+    });
+
+    describe('with autorip.sh waiting for a slot', () => {
+        // wait_for_rip_slot with the status and heartbeat helpers stubbed;
+        // prints the rip clock and whether a grant was held
+        const script = `
+            log() { echo "log: $*"; }
+            write_status() { :; }
+            start_heartbeat() { :; }
+            stop_heartbeat() { :; }
+            sleep() { command sleep 0.1; }
+            ${autoripFunctions('queue_coordinator_running', 'wait_for_rip_slot')}
+            DISC_TIME=$(( $(date +%s) - 100 ))
+            RIP_START_TIME=$DISC_TIME
+            wait_for_rip_slot "Some Movie" "video"
+            echo "start=$RIP_START_TIME wait=$((RIP_START_TIME - DISC_TIME))"
+            [[ -f "$QUEUE_DIR/$DEVICE.grant.json" ]] && echo "granted"
+            [[ -f "$QUEUE_DIR/$DEVICE.request.json" ]] && echo "request left"
+            true
+        `;
+        const run = () => bash(script, {
+            env: { DEVICE: 'sr0', QUEUE_DIR: queueDir, QUEUE_COORDINATOR_TIMEOUT: '30' },
+        }).done;
+        const clock = result => {
+            const [, start, wait] = result.stdout.match(/start=(\d+) wait=(\d+)/);
+            return { start: Number(start), wait: Number(wait) };
+        };
+
+        it('rips at once when no coordinator is running', async () => {
+            const result = await run();
+            assert.strictEqual(result.code, 0, result.stderr);
+            assert.ok(clock(result).wait >= 100); // The clock starts now, not at detection
+            assert.ok(!result.stdout.includes('Waiting for a rip slot'));
+            assert.deepStrictEqual(fs.readdirSync(queueDir), []);
+        });
+
+        it('rips at once when the coordinator file is stale', async () => {
+            await queue.writeCoordinator();
+            const past = new Date(Date.now() - 31000);
+            fs.utimesSync(file('coordinator.json'), past, past);
+
+            const result = await run();
+            assert.ok(!result.stdout.includes('Waiting for a rip slot'));
+            assert.deepStrictEqual(fs.readdirSync(queueDir), ['coordinator.json']);
+        });
+
+        it('waits for the coordinator to grant a slot', async () => {
+            queue = create({ maxRips: 1, maxRipsPerBus: 0 });
+            grant('sr1', now());
+            drives.sr0 = 'queued';
+            queue.pollInterval = 100;
+            queue.start();
+            await waitFor(() => fs.existsSync(file('coordinator.json')));
+
+            const finished = run();
+            await waitFor(() => queue.get('sr0'));
+            assert.strictEqual(queue.get('sr0').discName, 'Some Movie');
+
+            // The rip on sr1 ends
+            fs.unlinkSync(file('sr1.grant.json'));
+            drives.sr1 = 'idle';
+            const result = await finished;
+
+            assert.match(result.stdout, /Rip slot granted/);
+            assert.match(result.stdout, /^granted$/m);
+            assert.ok(!result.stdout.includes('request left'));
+            const { grantedAt } = JSON.parse(fs.readFileSync(file('sr0.grant.json'), 'utf8'));
+            assert.ok(clock(result).start >= grantedAt);
+            assert.ok(clock(result).wait >= 100);
+        });
+
+        it('stops waiting when the coordinator goes away', async () => {
+            await queue.writeCoordinator();
+            const finished = run();
+            await waitFor(() => fs.existsSync(file('sr0.request.json')));
+            fs.unlinkSync(file('coordinator.json'));
+
+            const result = await finished;
+            assert.match(result.stdout, /coordinator stopped, starting without a slot/);
+            assert.doesNotMatch(result.stdout, /^granted$/m);
+            assert.ok(!fs.existsSync(file('sr0.request.json')));
+        });
+    });
+});
+
+async function waitFor(condition, timeout = 5000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { startServer, request } = require('./helpers');
+
+const LINES = [
+    'audio:8a0b5c0d|Artist - Album|2026-01-02T03:04:05+00:00',
+    'video:MOVIE:abc123|/ripped_discs/MOVIE|2026-01-03T04:05:06+00:00',
+    'not a registry line',
+];
+
+describe('registry edits', () => {
+    let server;
+    let registryFile;
+
+    before(async () => {
+        server = await startServer();
+        registryFile = path.join(server.output, '.ripped_discs');
+        fs.writeFileSync(registryFile, LINES.join('\n') + '\n', { mode: 0o640 });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('writes notes to .ripped_discs', async () => {
+        const res = await request(server.port, 'POST', '/api/ripped/note', {
+            body: { discId: 'video:MOVIE:abc123', note: 'bad | rip' },
+        });
+        assert.strictEqual(res.status, 200, res.body);
+
+        const lines = fs.readFileSync(registryFile, 'utf8').trim().split('\n');
+        assert.deepStrictEqual(lines, [
+            LINES[0],
+            'video:MOVIE:abc123|/ripped_discs/MOVIE|2026-01-03T04:05:06+00:00|bad rip',
+            LINES[2],
+        ]);
+        assert.strictEqual(fs.statSync(registryFile).mode & 0o777, 0o640);
+        assert.ok(!fs.existsSync(`${registryFile}.tmp`));
+
+        const list = JSON.parse((await request(server.port, 'GET', '/api/ripped?type=video')).body);
+        assert.strictEqual(list[0].note, 'bad rip');
+    });
+
+    it('removes entries from .ripped_discs', async () => {
+        const res = await request(server.port, 'POST', '/api/ripped/remove', {
+            body: { discId: 'audio:8a0b5c0d' },
+        });
+        assert.strictEqual(res.status, 200, res.body);
+
+        const data = fs.readFileSync(registryFile, 'utf8');
+        assert.ok(!data.includes('audio:8a0b5c0d'));
+        assert.ok(data.includes('video:MOVIE:abc123'));
+        assert.ok(data.includes('not a registry line'));
+
+        const again = await request(server.port, 'POST', '/api/ripped/remove', {
+            body: { discId: 'audio:8a0b5c0d' },
+        });
+        assert.strictEqual(again.status, 404);
+    });
+});
+
+describe('autorip-web.service', () => {
+    const unit = fs.readFileSync(path.join(__dirname, '..', 'autorip-web.service'), 'utf8');
+
+    it('lets the server write to the output root', () => {
+        const output = unit.match(/^Environment=AUTORIP_OUTPUT=(.+)$/m);
+        const writable = unit.match(/^ReadWritePaths=(.+)$/m);
+        assert.ok(output && writable);
+        const paths = writable[1].split(/\s+/).map(p => p.replace(/^-/, ''));
+        assert.ok(paths.includes(output[1]), `${output[1]} not in ReadWritePaths`);
+    });
+});
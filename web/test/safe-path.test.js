@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { PathError, decodePath, resolveWithin, parseDeviceName } = require('../lib/safe-path');
+const StatusCollector = require('../lib/status-collector');
+const { startServer, request } = require('./helpers');
+
+const BASE = '/srv/public';
+
+describe('decodePath', () => {
+    it('decodes percent escapes', () => {
+        assert.strictEqual(decodePath('a%20b%2Fc'), 'a b/c');
+    });
+
+    it('rejects malformed escapes', () => {
+        assert.throws(() => decodePath('%E0%A4%A'), { name: 'PathError', statusCode: 400 });
+    });
+
+    it('rejects NUL bytes, raw or encoded', () => {
+        assert.throws(() => decodePath('index.html%00.png'), PathError);
+        assert.throws(() => decodePath('index.html\0'), PathError);
+    });
+});
+
+describe('resolveWithin', () => {
+    it('resolves paths inside the base directory', () => {
+        assert.strictEqual(resolveWithin(BASE, '/index.html'), path.join(BASE, 'index.html'));
+        assert.strictEqual(resolveWithin(BASE, 'css//style.css'), path.join(BASE, 'css', 'style.css'));
+        assert.strictEqual(resolveWithin(BASE, '/'), BASE);
+    });
+
+    it('rejects dot-dot segments, plain or encoded', () => {
+        for (const raw of ['/../package.json', '/..%2f..%2fpackage.json', '/%2e%2e/server.js',
+            '/css/%2E%2E/%2E%2E/etc/passwd', '/..%5c..%5cserver.js', 'a/b/../../..']) {
+            assert.throws(() => resolveWithin(BASE, raw), { statusCode: 400 }, raw);
+        }
+    });
+
+    it('treats absolute paths as relative to the base', () => {
+        assert.strictEqual(resolveWithin(BASE, '%2Fetc%2Fpasswd'), path.join(BASE, 'etc', 'passwd'));
+    });
+
+    it('rejects NUL bytes', () => {
+        assert.throws(() => resolveWithin(BASE, '/index.html%00.js'), PathError);
+    });
+});
+
+describe('parseDeviceName', () => {
+    it('accepts kernel optical drive names', () => {
+        assert.strictEqual(parseDeviceName('sr0'), 'sr0');
+        assert.strictEqual(parseDeviceName('sr12'), 'sr12');
+    });
+
+    it('rejects anything else', () => {
+        for (const raw of ['', undefined, 'sda', 'sr', '../sr0', '..%2fsr0', 'sr0%2f..', 'sr0/', 'sr0%00', ' sr0']) {
+            assert.throws(() => parseDeviceName(raw), { statusCode: 400 }, String(raw));
+        }
+    });
+});
+
+describe('StatusCollector.hasDevice', () => {
+    const collector = new StatusCollector({ statusDir: '/nonexistent', crashTimeout: 300 }, null);
+
+    it('rejects traversal and NUL bytes before touching /dev', async () => {
+        assert.strictEqual(await collector.hasDevice('../sr0'), false);
+        assert.strictEqual(await collector.hasDevice('sr0/../../etc'), false);
+        assert.strictEqual(await collector.hasDevice('sr0\0'), false);
+        assert.strictEqual(await collector.hasDevice('null'), false);
+    });
+});
+
+describe('routes', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('serves static files', async () => {
+        const res = await request(server.port, 'GET', '/app.js');
+        assert.strictEqual(res.status, 200);
+    });
+
+    it('does not serve files outside public/', async () => {
+        for (const raw of ['/..%2f..%2fpackage.json', '/..%2fpackage.json', '/%2e%2e/server.js',
+            '/%2e%2e%2fserver.js', '/..%5cserver.js', '/index.html%00', '/%2e%2e/%2e%2e/etc/passwd']) {
+            const res = await request(server.port, 'GET', raw);
+            assert.ok(res.status === 400 || res.status === 404, `${raw}: ${res.status}`);
+            assert.ok(!res.body.includes('autorip-web'), raw);
+            assert.ok(!res.body.includes('require('), raw);
+        }
+    });
+
+    it('rejects device names that are not drives', async () => {
+        for (const raw of ['/api/logs/..%2f..%2fetc%2fpasswd', '/api/logs/sr0%00',
+            '/api/logs/%2e%2e%2fsr0', '/api/drives/..%2fsr0/info', '/api/drives/sr0%00/info',
+            '/api/history?device=..%2fsr0', '/api/history?device=sr0%00']) {
+            const res = await request(server.port, 'GET', raw);
+            assert.strictEqual(res.status, 400, raw);
+        }
+    });
+
+    it('reports unknown drives as missing', async () => {
+        const res = await request(server.port, 'GET', '/api/logs/sr99');
+        assert.strictEqual(res.status, 404);
+    });
+});
@@ -0,0 +1,256 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const TitleReview = require('../lib/title-review');
+const { tempDir, startServer, request, autoripFunctions, bash } = require('./helpers');
+
+const DISC_INFO = {
+    name: 'Test Disc',
+    titleCount: 3,
+    titles: [
+        { index: 0, name: 'Main Feature', duration: '1:52:10', size: '31.2 GB' },
+        { index: 1, name: 'Trailer', duration: '0:02:01', size: '512.0 MB' },
+        { index: 2, name: 'Extras', duration: '0:24:45', size: '4.1 GB' },
+    ],
+};
+
+// What autorip.sh writes while waiting for a selection
+function pendingFile(device, deadline) {
+    return JSON.stringify({
+        device,
+        discId: 'video:Test Disc:0123456789abcdef',
+        outputDir: `/ripped_discs/video/abcd1234-Test_Disc`,
+        requestedAt: Math.floor(Date.now() / 1000),
+        deadline,
+        discInfo: DISC_INFO,
+    });
+}
+
+describe('TitleReview', () => {
+    let scratch;
+    let decisionDir;
+    let review;
+
+    beforeEach(() => {
+        scratch = tempDir();
+        decisionDir = path.join(scratch.dir, 'decisions');
+        review = new TitleReview({ decisionDir });
+        review.pollInterval = 100;
+    });
+
+    afterEach(() => {
+        review.stop();
+        scratch.cleanup();
+    });
+
+    // review_titles with the status and heartbeat helpers stubbed; prints
+    // the selection it ends up with
+    const script = `
+        log() { echo "log: $*"; }
+        write_status() { :; }
+        start_heartbeat() { :; }
+        stop_heartbeat() { :; }
+        sleep() { command sleep 0.1; }
+        ${autoripFunctions('review_titles')}
+        mkdir -p "$RIP_DIR"
+        echo "$DISC_INFO_JSON" > "$RIP_DIR/disc_info.json"
+        review_titles
+        echo "selected=$SELECTED_TITLES"
+    `;
+    const run = (timeout = '10') => bash(script, {
+        env: {
+            DEVICE: 'sr0',
+            DISC_ID: 'video:Test Disc:0123456789abcdef',
+            DISC_NAME: 'Test Disc',
+            TITLE_COUNT: '3',
+            RIP_DIR: path.join(scratch.dir, 'rip'),
+            DISC_INFO_JSON: JSON.stringify(DISC_INFO),
+            DECISION_DIR: decisionDir,
+            REVIEW_MODE: 'true',
+            REVIEW_TIMEOUT: timeout,
+        },
+    }).done;
+    const selected = result => result.stdout.match(/^selected=(.*)$/m)[1];
+
+    it('passes the chosen titles to the waiting script', async () => {
+        review.start();
+        review.on('pending', selection => {
+            assert.strictEqual(selection.device, 'sr0');
+            assert.strictEqual(selection.discName, 'Test Disc');
+            assert.deepStrictEqual(selection.titles.map(t => [t.index, t.name]), [[0, 'Main Feature'], [1, 'Trailer'], [2, 'Extras']]);
+            assert.ok(selection.deadline > selection.requestedAt);
+            review.decide('sr0', [0, 2]);
+        });
+        const resolved = new Promise(resolve => review.once('resolved', resolve));
+
+        const result = await run();
+        assert.strictEqual(selected(result), '0 2');
+        assert.match(result.stdout, /log: Title selection: 0 2/);
+        assert.strictEqual(await resolved, 'sr0');
+        assert.deepStrictEqual(review.list(), []);
+        assert.deepStrictEqual(fs.readdirSync(decisionDir), []);
+    });
+
+    it('rips every title for "all"', async () => {
+        review.start();
+        review.on('pending', () => review.decide('sr0', 'all'));
+
+        const result = await run();
+        assert.strictEqual(selected(result), 'all');
+        assert.match(result.stdout, /log: Title selection: all titles/);
+    });
+
+    it('ignores titles the disc does not have', async () => {
+        review.start();
+        review.on('pending', () => review.decide('sr0', [1, 7]));
+        assert.strictEqual(selected(await run()), '1');
+    });
+
+    it('rips every title when no selection arrives in time', async () => {
+        review.start();
+        const pending = new Promise(resolve => review.once('pending', resolve));
+
+        const result = await run('1');
+        await pending;
+        assert.strictEqual(selected(result), 'all');
+        assert.match(result.stdout, /log: No title selection received, ripping all titles/);
+        assert.ok(!fs.existsSync(path.join(decisionDir, 'sr0.pending.json')));
+    });
+});
+
+describe('title decision routes', () => {
+    let server;
+    let decisionDir;
+
+    before(async () => {
+        server = await startServer();
+        decisionDir = path.join(server.dir, 'decisions');
+        fs.mkdirSync(decisionDir, { recursive: true });
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    async function publish(device, deadline) {
+        fs.writeFileSync(path.join(decisionDir, `${device}.pending.json`), pendingFile(device, deadline));
+        const deadlineAt = Date.now() + 5000;
+        for (;;) {
+            const res = await request(server.port, 'GET', '/api/decisions');
+            if (JSON.parse(res.body).some(s => s.device === device)) return;
+            if (Date.now() > deadlineAt) throw new Error(`${device} never listed`);
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    }
+
+    it('writes a validated selection for the waiting script', async () => {
+        await publish('sr0', Math.floor(Date.now() / 1000) + 300);
+        const decide = titles => request(server.port, 'POST', '/api/decisions/sr0', { body: { titles } });
+
+        for (const titles of [[], 'some', [0.5], undefined]) {
+            const res = await decide(titles);
+            assert.strictEqual(res.status, 400, JSON.stringify(titles));
+        }
+        let res = await decide([0, 5]);
+        assert.strictEqual(res.status, 400);
+        assert.match(res.body, /Unknown titles: 5/);
+        assert.ok(!fs.existsSync(path.join(decisionDir, 'sr0.decision.json')));
+
+        res = await decide([2, 0, 2]);
+        assert.strictEqual(res.status, 200, res.body);
+        assert.deepStrictEqual(JSON.parse(res.body).titles, [0, 2]);
+        const decision = JSON.parse(fs.readFileSync(path.join(decisionDir, 'sr0.decision.json'), 'utf8'));
+        assert.deepStrictEqual(decision.titles, [0, 2]);
+
+        const [record] = JSON.parse((await request(server.port, 'GET', '/api/audit?device=sr0')).body);
+        assert.strictEqual(record.action, 'title_selection');
+        assert.deepStrictEqual([record.device, record.titles, record.result], ['sr0', [0, 2], 'success']);
+    });
+
+    it('refuses drives without a pending selection and selections past the deadline', async () => {
+        let res = await request(server.port, 'POST', '/api/decisions/sr1', { body: { titles: 'all' } });
+        assert.strictEqual(res.status, 404);
+
+        await publish('sr2', Math.floor(Date.now() / 1000) - 1);
+        res = await request(server.port, 'POST', '/api/decisions/sr2', { body: { titles: 'all' } });
+        assert.strictEqual(res.status, 409);
+        assert.ok(!fs.existsSync(path.join(decisionDir, 'sr2.decision.json')));
+    });
+});
+
+describe('autorip.sh video rip', () => {
+    let scratch;
+
+    beforeEach(() => {
+        scratch = tempDir();
+    });
+
+    afterEach(() => {
+        scratch.cleanup();
+    });
+
+    // rip_video_disc with makemkvcon and everything outside the rip loop
+    // stubbed; each rip saves its title after reporting progress
+    const script = selection => `
+        log() { :; }
+        write_status() { echo "status: $1|$6|$8/$9|$4"; }
+        start_heartbeat() { :; }
+        stop_heartbeat() { :; }
+        clear_status() { :; }
+        is_already_ripped() { return 1; }
+        mark_as_ripped() { :; }
+        add_history_entry() { echo "history: $3 total=$6 succeeded=$7 failed=$8"; }
+        review_titles() { SELECTED_TITLES="${selection}"; }
+        wait_for_rip_slot() { :; }
+        eject() { :; }
+        sleep() { :; }
+        makemkvcon() {
+            if [[ "$2" == info ]]; then
+                printf '%s\\n' 'CINFO:2,0,"Test Disc"' 'TCOUNT:3' \\
+                    'TINFO:0,2,0,"Main Feature"' 'TINFO:1,2,0,"Trailer"' 'TINFO:2,2,0,"Extras"'
+                return 0
+            fi
+            local titles=("$4")
+            [[ "$4" == all ]] && titles=(0 1 2)
+            local i
+            for i in "\${!titles[@]}"; do
+                echo "PRGT:$i,0,\\"Saving to MKV file\\""
+                echo "PRGV:$(( i * 65536 )),0,$(( \${#titles[@]} * 65536 ))"
+                echo "PRGV:$(( i * 65536 + 32768 )),0,$(( \${#titles[@]} * 65536 ))"
+                touch "$5/title_t0\${titles[$i]}.mkv"
+            done
+            echo "MSG:5036,0,1,\\"Copy complete. \${#titles[@]} titles saved.\\""
+        }
+        ${autoripFunctions('sanitize_name', 'rip_video_disc')}
+        rip_video_disc
+    `;
+    const run = selection => bash(script(selection), {
+        env: { DEVICE: 'sr0', DEVICE_PATH: '/dev/sr0', VIDEO_OUTPUT_DIR: scratch.dir },
+    }).done;
+    const statuses = result => result.stdout.split('\n').filter(line => line.startsWith('status: ripping|')).map(line => line.slice(16));
+
+    it('numbers titles across the runs of a selection', async () => {
+        const result = await run('0 2');
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.deepStrictEqual(statuses(result), [
+            'Starting rip|0/2|0',
+            'Ripping title 1 of 2|1/2|0',
+            'Ripping|1/2|25',
+            'Ripping title 2 of 2|2/2|50',
+            'Ripping|2/2|75',
+        ]);
+        assert.match(result.stdout, /history: success total=2 succeeded=2 failed=0/);
+    });
+
+    it('numbers titles within a single run of all titles', async () => {
+        const result = await run('all');
+        assert.deepStrictEqual(statuses(result).filter(s => s.startsWith('Ripping title')), [
+            'Ripping title 1 of 3|1/3|0',
+            'Ripping title 2 of 3|2/3|16',
+            'Ripping title 3 of 3|3/3|50',
+        ]);
+        assert.match(result.stdout, /history: success total=3 succeeded=3 failed=0/);
+    });
+});
@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { tempDir, freePort, startServer, request } = require('./helpers');
+
+describe('GET /api/webhooks/deliveries', () => {
+    let scratch;
+    let server;
+
+    before(async () => {
+        scratch = tempDir();
+        const webhooksFile = path.join(scratch.dir, 'webhooks.json');
+        // Nothing listens on the port, so each delivery fails once and stays logged
+        fs.writeFileSync(webhooksFile, JSON.stringify([{ name: 'closed', url: `http://127.0.0.1:${await freePort()}/hook` }]));
+        server = await startServer({ AUTORIP_WEBHOOKS_FILE: webhooksFile, AUTORIP_WEBHOOK_MAX_ATTEMPTS: '1' });
+
+        for (let i = 0; i < 3; i++) {
+            const res = await request(server.port, 'POST', '/api/webhooks/0/test');
+            assert.strictEqual(res.status, 202, res.body);
+        }
+    });
+
+    after(async () => {
+        await server.stop();
+        scratch.cleanup();
+    });
+
+    async function deliveries(query) {
+        const res = await request(server.port, 'GET', `/api/webhooks/deliveries${query}`);
+        assert.strictEqual(res.status, 200, res.body);
+        return JSON.parse(res.body);
+    }
+
+    it('honours a valid limit', async () => {
+        assert.strictEqual((await deliveries('?limit=2')).length, 2);
+        assert.strictEqual((await deliveries('?limit=100000')).length, 3);
+    });
+
+    it('falls back to the default for invalid limits', async () => {
+        for (const query of ['', '?limit=abc', '?limit=0', '?limit=-1']) {
+            assert.strictEqual((await deliveries(query)).length, 3, query);
+        }
+    });
+});